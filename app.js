@@ -4,6 +4,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { startScheduler, stopScheduler } = require('./src/services/scheduler');
+const { registerNotificationHandlers } = require('./src/services/notifications');
+const { registerMailTriggers } = require('./src/services/mail/triggers');
+const { registerWebhookHandlers } = require('./src/services/webhooks');
+const { registerRealtimeHandlers, closeAllConnections } = require('./src/services/realtime');
 
 const app = express();
 app.set('trust proxy', 1); // Necessário para ambientes com proxy (Railway, Vercel, Heroku, etc)
@@ -255,10 +260,27 @@ app.get('/health', (req, res) => {
 
 // Importar e usar rotas - COM VERIFICAÇÃO DE CONEXÃO
 app.use('/api/auth', require('./src/routes/auth'));
+app.use('/api/auth/2fa', require('./src/routes/twoFactor'));
 app.use('/api/processes', checkMongoConnection, require('./src/routes/processes'));
 app.use('/api/tasks', checkMongoConnection, require('./src/routes/tasks'));
 app.use('/api/users', checkMongoConnection, require('./src/routes/users'));
 app.use('/api/teams', checkMongoConnection, require('./src/routes/teams'));
+app.use('/api/audit', checkMongoConnection, require('./src/routes/audit'));
+app.use('/api/workflows', checkMongoConnection, require('./src/routes/workflows'));
+app.use('/api/process-templates', checkMongoConnection, require('./src/routes/processTemplates'));
+app.use('/api/time-entries', checkMongoConnection, require('./src/routes/timeEntries'));
+app.use('/api/timesheets', checkMongoConnection, require('./src/routes/timesheets'));
+app.use('/api/recurrences', checkMongoConnection, require('./src/routes/recurrences'));
+app.use('/api/reminders', checkMongoConnection, require('./src/routes/reminders'));
+app.use('/api/notifications', checkMongoConnection, require('./src/routes/notifications'));
+app.use('/api/webhooks', checkMongoConnection, require('./src/routes/webhooks'));
+app.use('/api/realtime', checkMongoConnection, require('./src/routes/realtime'));
+
+// Assinantes do barramento de eventos
+registerNotificationHandlers();
+registerMailTriggers();
+registerWebhookHandlers();
+registerRealtimeHandlers();
 
 // Middleware de erro global - MELHORADO
 app.use((err, req, res, next) => {
@@ -346,9 +368,15 @@ const startServer = async () => {
       console.log('');
     });
 
+    // Tarefas periódicas (recorrências, lembretes de prazo, filas de emails e webhooks)
+    startScheduler();
+
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🛑 Recebido SIGTERM, encerrando servidor...');
+      stopScheduler();
+      // Streams SSE abertos impediriam o server.close de terminar
+      closeAllConnections();
       server.close(() => {
         mongoose.connection.close(false, () => {
           console.log('✅ Servidor encerrado graciosamente');
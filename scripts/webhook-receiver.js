@@ -0,0 +1,87 @@
+// scripts/webhook-receiver.js
+//
+// Receptor local para testar os webhooks do ProcessFlow.
+//
+// Uso:
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+//
+// Variáveis:
+//   WEBHOOK_RECEIVER_PORT - Porta (padrão 4000). Cadastre a URL http://localhost:4000/
+//   WEBHOOK_SECRET        - Segredo devolvido na criação do webhook; sem ele a assinatura não é conferida
+//   WEBHOOK_FAIL_FIRST    - Responde 500 às N primeiras tentativas de cada evento (testa os reenvios)
+//   WEBHOOK_DELAY_MS      - Atraso antes de responder (testa o timeout)
+
+const http = require('http');
+require('dotenv').config();
+
+const { verifySignature } = require('../src/services/webhooks');
+const { WEBHOOK_CONFIG } = require('../src/utils/constants');
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_FIRST = parseInt(process.env.WEBHOOK_FAIL_FIRST) || 0;
+const DELAY_MS = parseInt(process.env.WEBHOOK_DELAY_MS) || 0;
+
+// Tentativas recebidas por id de evento
+const attemptsByEvent = new Map();
+
+const reply = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    return reply(res, 405, { error: 'Use POST' });
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const eventId = req.headers['x-processflow-event-id'];
+    const attempt = (attemptsByEvent.get(eventId) || 0) + 1;
+    attemptsByEvent.set(eventId, attempt);
+
+    console.log('');
+    console.log(`📨 ${new Date().toISOString()} ${req.headers['x-processflow-event']} (evento ${eventId}, tentativa ${attempt})`);
+    console.log(`   Entrega: ${req.headers['x-processflow-delivery']}`);
+
+    if (SECRET) {
+      const signature = req.headers[WEBHOOK_CONFIG.SIGNATURE_HEADER.toLowerCase()];
+      if (!verifySignature(SECRET, signature, body)) {
+        console.log('   ❌ Assinatura inválida');
+        return reply(res, 401, { error: 'Assinatura inválida' });
+      }
+      console.log('   ✅ Assinatura válida');
+    } else {
+      console.log('   ⚠️ WEBHOOK_SECRET não definido: assinatura não conferida');
+    }
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2).replace(/^/gm, '   '));
+    } catch (error) {
+      console.log('   ❌ Corpo não é JSON válido');
+      return reply(res, 400, { error: 'JSON inválido' });
+    }
+
+    setTimeout(() => {
+      if (attempt <= FAIL_FIRST) {
+        console.log(`   🔄 Respondendo 500 (WEBHOOK_FAIL_FIRST=${FAIL_FIRST})`);
+        return reply(res, 500, { error: 'Falha simulada' });
+      }
+
+      reply(res, 200, { received: true });
+    }, DELAY_MS);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🚀 Receptor de webhooks em http://localhost:${PORT}/`);
+  if (FAIL_FIRST) console.log(`   Falhando as ${FAIL_FIRST} primeiras tentativas de cada evento`);
+  if (DELAY_MS) console.log(`   Respondendo com ${DELAY_MS}ms de atraso`);
+});
+
+process.on('SIGINT', () => {
+  server.close(() => process.exit(0));
+});
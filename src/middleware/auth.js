@@ -1,5 +1,105 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isAccessTokenRevoked, isSessionRevoked } = require('../utils/tokens');
+const { isTwoFactorSetupRequired } = require('../services/securityPolicy');
+
+/**
+ * Valida um access token: assinatura e validade do JWT, usuário ativo,
+ * tokenVersion, revogação individual e sessão encerrada. Usado pelo middleware auth e pelo
+ * canal em tempo real, que revalida o token durante a conexão.
+ * @param {string} token
+ * @returns {Promise<{ valid: boolean, status?: number, error?: string, user?: Object, decoded?: Object }>}
+ */
+const verifyAccessToken = async (token) => {
+  // Verificar se JWT_SECRET está configurado
+  if (!process.env.JWT_SECRET) {
+    console.error('❌ Auth: JWT_SECRET não configurado nas variáveis de ambiente');
+    return { valid: false, status: 500, error: 'Erro de configuração do servidor' };
+  }
+
+  // Log do token para debugging (apenas primeiros e últimos caracteres)
+  console.log(`🔍 Auth: Verificando token ${token.substring(0, 10)}...${token.substring(token.length - 10)}`);
+
+  // Verificar se o token tem o formato JWT válido (3 partes separadas por ponto)
+  const tokenParts = token.split('.');
+  if (tokenParts.length !== 3) {
+    console.log('❌ Auth: Token não tem formato JWT válido (3 partes)');
+    return { valid: false, status: 401, error: 'Token malformado' };
+  }
+
+  // Verificar e decodificar o token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    console.log(`✅ Auth: Token válido para usuário ${decoded.userId}`);
+  } catch (jwtError) {
+    console.log('❌ Auth: Erro na verificação JWT:', jwtError.message);
+
+    if (jwtError.name === 'TokenExpiredError') {
+      return { valid: false, status: 401, error: 'Token expirado' };
+    } else if (jwtError.name === 'JsonWebTokenError') {
+      return { valid: false, status: 401, error: 'Token inválido' };
+    }
+    return { valid: false, status: 401, error: 'Falha na autenticação' };
+  }
+
+  // Tokens de desafio do 2FA não autenticam requisições
+  if (decoded.purpose) {
+    console.log(`❌ Auth: Token de propósito "${decoded.purpose}" usado como access token`);
+    return { valid: false, status: 401, error: 'Token inválido' };
+  }
+
+  // Buscar usuário no banco de dados
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    console.log(`❌ Auth: Usuário ${decoded.userId} não encontrado no banco`);
+    return { valid: false, status: 401, error: 'Usuário não encontrado' };
+  }
+
+  if (!user.isActive) {
+    console.log(`❌ Auth: Usuário ${decoded.userId} está inativo`);
+    return { valid: false, status: 401, error: 'Usuário inativo' };
+  }
+
+  // Tokens emitidos antes de um "sair de todos os dispositivos" (troca de senha,
+  // desativação, logout-all) carregam uma tokenVersion antiga
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    console.log(`❌ Auth: Token de ${user.username} invalidado (tokenVersion ${decoded.tv || 0} != ${user.tokenVersion || 0})`);
+    return { valid: false, status: 401, error: 'Token revogado' };
+  }
+
+  // Token encerrado individualmente via logout
+  if (await isAccessTokenRevoked(decoded.jti)) {
+    console.log(`❌ Auth: Token ${decoded.jti} de ${user.username} foi revogado`);
+    return { valid: false, status: 401, error: 'Token revogado' };
+  }
+
+  // Sessão encerrada (logout, DELETE /sessions/:id, reutilização do refresh token)
+  if (await isSessionRevoked(decoded.sid)) {
+    console.log(`❌ Auth: Sessão ${decoded.sid} de ${user.username} foi encerrada`);
+    return { valid: false, status: 401, error: 'Token revogado' };
+  }
+
+  return { valid: true, user, decoded };
+};
+
+// Autentica a requisição com o token já extraído
+const authenticate = async (req, res, next, token) => {
+  const result = await verifyAccessToken(token);
+
+  if (!result.valid) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  // Adicionar dados do usuário à requisição
+  req.user = result.user;
+  req.token = token;
+  req.tokenPayload = result.decoded;
+
+  console.log(`✅ Auth: Usuário ${result.user.username} autenticado com sucesso`);
+  next();
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -24,75 +124,68 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'Token de acesso requerido' });
     }
 
-    // Verificar se JWT_SECRET está configurado
-    if (!process.env.JWT_SECRET) {
-      console.error('❌ Auth: JWT_SECRET não configurado nas variáveis de ambiente');
-      return res.status(500).json({ error: 'Erro de configuração do servidor' });
-    }
+    await authenticate(req, res, next, token);
+    
+  } catch (error) {
+    console.error('❌ Auth: Erro interno na autenticação:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+};
 
-    // Log do token para debugging (apenas primeiros e últimos caracteres)
-    console.log(`🔍 Auth: Verificando token ${token.substring(0, 10)}...${token.substring(token.length - 10)}`);
+// Como auth, mas também aceita o token em ?access_token= (o EventSource do
+// navegador não envia cabeçalhos). Use apenas em rotas GET de streaming
+const streamAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
 
-    // Verificar se o token tem o formato JWT válido (3 partes separadas por ponto)
-    const tokenParts = token.split('.');
-    if (tokenParts.length !== 3) {
-      console.log('❌ Auth: Token não tem formato JWT válido (3 partes)');
-      return res.status(401).json({ error: 'Token malformado' });
+    if (authHeader) {
+      return await auth(req, res, next);
     }
 
-    // Verificar e decodificar o token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log(`✅ Auth: Token válido para usuário ${decoded.userId}`);
-    } catch (jwtError) {
-      console.log('❌ Auth: Erro na verificação JWT:', jwtError.message);
-      
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({ error: 'Token expirado' });
-      } else if (jwtError.name === 'JsonWebTokenError') {
-        return res.status(401).json({ error: 'Token inválido' });
-      } else {
-        return res.status(401).json({ error: 'Falha na autenticação' });
-      }
-    }
+    const token = typeof req.query.access_token === 'string' ? req.query.access_token.trim() : '';
 
-    // Buscar usuário no banco de dados
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      console.log(`❌ Auth: Usuário ${decoded.userId} não encontrado no banco`);
-      return res.status(401).json({ error: 'Usuário não encontrado' });
+    if (!token) {
+      console.log('❌ Auth: Token não encontrado no header nem em access_token');
+      return res.status(401).json({ error: 'Token de acesso requerido' });
     }
 
-    if (!user.isActive) {
-      console.log(`❌ Auth: Usuário ${decoded.userId} está inativo`);
-      return res.status(401).json({ error: 'Usuário inativo' });
-    }
+    await authenticate(req, res, next, token);
 
-    // Adicionar dados do usuário à requisição
-    req.user = user;
-    req.token = token;
-    
-    console.log(`✅ Auth: Usuário ${user.username} autenticado com sucesso`);
-    next();
-    
   } catch (error) {
     console.error('❌ Auth: Erro interno na autenticação:', error.message);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 };
 
+// Bloqueia rotas administrativas enquanto o usuário não ativar o 2FA exigido pela política
+const requireTwoFactorIfEnforced = async (req, res) => {
+  if (await isTwoFactorSetupRequired(req.user)) {
+    console.log(`❌ 2FA: ${req.user.role} ${req.user.username} precisa ativar autenticação em dois fatores`);
+    res.status(403).json({
+      error: 'Autenticação em dois fatores obrigatória para o seu perfil. Ative-a em /api/auth/2fa/setup',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+    return false;
+  }
+  return true;
+};
+
 // Middleware para verificar se é admin
 const adminAuth = async (req, res, next) => {
   try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        console.log(`❌ AdminAuth: Usuário ${req.user.username} não é admin (role: ${req.user.role})`);
-        return res.status(403).json({ error: 'Acesso negado. Apenas administradores.' });
+    await auth(req, res, async () => {
+      try {
+        if (req.user.role !== 'admin') {
+          console.log(`❌ AdminAuth: Usuário ${req.user.username} não é admin (role: ${req.user.role})`);
+          return res.status(403).json({ error: 'Acesso negado. Apenas administradores.' });
+        }
+        if (!(await requireTwoFactorIfEnforced(req, res))) return;
+        console.log(`✅ AdminAuth: Admin ${req.user.username} autorizado`);
+        next();
+      } catch (error) {
+        console.error('❌ AdminAuth: Erro:', error.message);
+        res.status(500).json({ error: 'Erro interno do servidor' });
       }
-      console.log(`✅ AdminAuth: Admin ${req.user.username} autorizado`);
-      next();
     });
   } catch (error) {
     console.error('❌ AdminAuth: Erro:', error.message);
@@ -103,13 +196,19 @@ const adminAuth = async (req, res, next) => {
 // Middleware para verificar se é admin ou manager
 const managerAuth = async (req, res, next) => {
   try {
-    await auth(req, res, () => {
-      if (!['admin', 'manager'].includes(req.user.role)) {
-        console.log(`❌ ManagerAuth: Usuário ${req.user.username} não é admin/manager (role: ${req.user.role})`);
-        return res.status(403).json({ error: 'Acesso negado. Apenas administradores ou gerentes.' });
+    await auth(req, res, async () => {
+      try {
+        if (!['admin', 'manager'].includes(req.user.role)) {
+          console.log(`❌ ManagerAuth: Usuário ${req.user.username} não é admin/manager (role: ${req.user.role})`);
+          return res.status(403).json({ error: 'Acesso negado. Apenas administradores ou gerentes.' });
+        }
+        if (!(await requireTwoFactorIfEnforced(req, res))) return;
+        console.log(`✅ ManagerAuth: ${req.user.role} ${req.user.username} autorizado`);
+        next();
+      } catch (error) {
+        console.error('❌ ManagerAuth: Erro:', error.message);
+        res.status(500).json({ error: 'Erro interno do servidor' });
       }
-      console.log(`✅ ManagerAuth: ${req.user.role} ${req.user.username} autorizado`);
-      next();
     });
   } catch (error) {
     console.error('❌ ManagerAuth: Erro:', error.message);
@@ -117,5 +216,5 @@ const managerAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth, managerAuth };
+module.exports = { auth, adminAuth, managerAuth, streamAuth, verifyAccessToken };
 
@@ -0,0 +1,44 @@
+const rateLimit = require('express-rate-limit');
+const { RATE_LIMITS } = require('../utils/constants');
+
+// Normaliza o username para que "Admin", " admin " e "ADMIN" contem juntos
+const normalizeUsername = (username) => (
+  typeof username === 'string' ? username.trim().toLowerCase() : ''
+);
+
+// Limite de tentativas de login por IP + username.
+// Só conta tentativas que falharam, então um usuário legítimo não é afetado
+// por logins bem-sucedidos; o bloqueio por conta (User.lockUntil) cobre
+// ataques distribuídos em vários IPs contra o mesmo usuário.
+const loginLimiter = rateLimit({
+  windowMs: RATE_LIMITS.AUTH.windowMs,
+  max: RATE_LIMITS.AUTH.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.ip}:${normalizeUsername(req.body?.username)}`,
+  handler: (req, res, next, options) => {
+    console.log(`❌ RateLimit: Muitas tentativas de login para "${normalizeUsername(req.body?.username)}" a partir de ${req.ip}`);
+    res.status(options.statusCode).json({
+      error: 'Muitas tentativas de login. Tente novamente mais tarde',
+      retryAfter: `${Math.ceil(options.windowMs / 60000)} minutos`
+    });
+  }
+});
+
+// Limite para a segunda etapa do 2FA e para fluxos de senha por email, por IP
+const authStrictLimiter = rateLimit({
+  windowMs: RATE_LIMITS.STRICT.windowMs,
+  max: RATE_LIMITS.STRICT.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    console.log(`❌ RateLimit: Limite de ${req.path} excedido por ${req.ip}`);
+    res.status(options.statusCode).json({
+      error: 'Muitas requisições. Tente novamente em instantes',
+      retryAfter: `${Math.ceil(options.windowMs / 1000)} segundos`
+    });
+  }
+});
+
+module.exports = { loginLimiter, authStrictLimiter, normalizeUsername };
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Registro de auditoria de operações que alteram dados
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copiados no momento da ação: continuam legíveis se o usuário for removido
+  actorUsername: {
+    type: String,
+    trim: true
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  entityType: {
+    type: String,
+    enum: ['Process', 'Task', 'User', 'TimeEntry', 'Timesheet', 'Recurrence', 'Webhook'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'comment', 'checklist', 'revert', 'status', 'password', 'unlock', '2fa_reset', 'submit', 'approve', 'reject', 'rate', 'move', 'skip'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para melhor performance
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
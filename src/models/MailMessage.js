@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Email da fila de envio (já renderizado). Mensagens com falha são
+// reenviadas pelo scheduler até MAIL_QUEUE_CONFIG.MAX_ATTEMPTS
+const mailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  template: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Próxima tentativa; enquanto uma tentativa está em curso, é o fim da reserva
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para melhor performance
+mailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+mailMessageSchema.index({ createdAt: -1 });
+
+// Middleware para atualizar updatedAt
+mailMessageSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('MailMessage', mailMessageSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Notificação exibida na central do usuário (gerada a partir dos eventos)
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Tipo do evento de origem (EVENT_TYPES)
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  entityType: {
+    type: String,
+    enum: ['Process', 'Task', 'User']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para melhor performance
+notificationSchema.index({ recipient: 1, _id: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// Notificações somem depois de 90 dias
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
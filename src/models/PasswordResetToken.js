@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Token de redefinição de senha: apenas o hash é armazenado e cada token vale uma única vez
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  requestedIp: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para melhor performance
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+// Remoção automática de tokens expirados pelo MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const commentSchema = require('./commentSchema');
 
 const processSchema = new mongoose.Schema({
   title: {
@@ -41,12 +42,35 @@ const processSchema = new mongoose.Schema({
   completedDate: {
     type: Date
   },
+  // Exigido pelo workflow ao cancelar
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
   progress: {
     type: Number,
     min: 0,
     max: 100,
     default: 0
   },
+  // Orçamento em R$ (comparado com o custo em GET /api/processes/:id/financials)
+  budget: {
+    type: Number,
+    min: 0
+  },
+  // Calculado a partir das tarefas (ponderado por estimatedHours); não é editável
+  derivedProgress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Quando ativo, o status acompanha as tarefas seguindo as transições do workflow
+  autoStatus: {
+    type: Boolean,
+    default: false
+  },
   category: {
     type: String,
     trim: true,
@@ -57,32 +81,55 @@ const processSchema = new mongoose.Schema({
     trim: true,
     maxlength: 50
   }],
-  attachments: [{
-    name: String,
-    url: String,
-    type: String,
-    size: Number,
-    uploadedAt: {
+  // Template usado na criação (POST /api/processes/from-template/:templateId)
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProcessTemplate'
+  },
+  // Lembretes e escalonamentos de prazo já enviados (mantido pelo job de lembretes)
+  reminderHistory: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['reminder', 'escalation']
+    },
+    // assignee: responsável pelo item; responsible: responsável pelo processo; manager: managers
+    level: {
+      type: String,
+      enum: ['assignee', 'responsible', 'manager']
+    },
+    offsetHours: Number,
+    // Prazo vigente no envio (mudar o dueDate reinicia os lembretes)
+    dueDate: Date,
+    recipients: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    sentAt: {
       type: Date,
       default: Date.now
     }
   }],
-  comments: [{
-    user: {
+  // Ocorrência de uma série recorrente (ver /api/recurrences)
+  recurrence: {
+    series: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    text: {
-      type: String,
-      required: true,
-      maxlength: 500
+      ref: 'Recurrence'
     },
-    createdAt: {
+    index: Number,
+    occurrenceDate: Date
+  },
+  attachments: [{
+    name: String,
+    url: String,
+    type: String,
+    size: Number,
+    uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  comments: [commentSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -109,6 +156,10 @@ processSchema.index({ status: 1 });
 processSchema.index({ responsible: 1 });
 processSchema.index({ createdBy: 1 });
 processSchema.index({ dueDate: 1 });
+processSchema.index(
+  { 'recurrence.series': 1, 'recurrence.index': 1 },
+  { unique: true, partialFilterExpression: { 'recurrence.series': { $exists: true } } }
+);
 
 module.exports = mongoose.model('Process', processSchema);
 
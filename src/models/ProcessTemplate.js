@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Tarefa prevista em um template. As datas são relativas ao início do
+// processo criado e as dependências apontam para a "key" de outro blueprint.
+const taskBlueprintSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  priority: {
+    type: String,
+    enum: ['BAIXA', 'MEDIA', 'ALTA', 'URGENTE'],
+    default: 'MEDIA'
+  },
+  // Dias a partir do início do processo
+  startOffsetDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  dueOffsetDays: {
+    type: Number,
+    min: 0
+  },
+  estimatedHours: {
+    type: Number,
+    min: 0
+  },
+  checklist: [{
+    type: String,
+    trim: true,
+    maxlength: 200
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
+  dependsOn: [{
+    type: String,
+    trim: true
+  }],
+  // Quem recebe a tarefa ao instanciar o template
+  assignee: {
+    type: {
+      type: String,
+      enum: ['responsible', 'creator', 'role', 'user'],
+      default: 'responsible'
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'manager', 'user']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, { _id: false });
+
+const processTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
+  // Valores usados no processo quando não informados na instanciação
+  defaults: {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    priority: {
+      type: String,
+      enum: ['BAIXA', 'MEDIA', 'ALTA', 'URGENTE'],
+      default: 'MEDIA'
+    },
+    durationDays: {
+      type: Number,
+      min: 0
+    }
+  },
+  tasks: [taskBlueprintSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+processTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Índices para melhor performance
+processTemplateSchema.index({ isActive: 1, category: 1 });
+processTemplateSchema.index({ name: 1 });
+
+module.exports = mongoose.model('ProcessTemplate', processTemplateSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+// Série recorrente de tarefas ou processos. Cada ocorrência é um documento
+// comum (Task/Process) com recurrence.series apontando para a série.
+const recurrenceSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Task', 'Process'],
+    required: true
+  },
+  // Primeira ocorrência; em processos, as tarefas dela são copiadas para as próximas
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entityType',
+    required: true
+  },
+  // Campos copiados para cada nova ocorrência (editar a série altera este modelo)
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Prazo de cada ocorrência em dias após a data dela (null = sem prazo)
+  durationDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  rule: {
+    frequency: {
+      type: String,
+      enum: ['DAILY', 'WEEKLY', 'MONTHLY'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    byWeekday: [{
+      type: String,
+      enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+    }],
+    byMonthDay: [Number],
+    until: Date,
+    count: {
+      type: Number,
+      min: 1
+    }
+  },
+  // Data da primeira ocorrência (base do cálculo das próximas)
+  dtstart: {
+    type: Date,
+    required: true
+  },
+  // completion: gera a próxima quando a atual termina; calendar: gera na data
+  trigger: {
+    type: String,
+    enum: ['completion', 'calendar'],
+    default: 'completion'
+  },
+  // Antecedência (em dias) com que ocorrências do calendário são criadas
+  leadDays: {
+    type: Number,
+    min: 0,
+    max: 90,
+    default: 0
+  },
+  generatedCount: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  lastOccurrenceDate: {
+    type: Date
+  },
+  // Próxima data a gerar (null quando a série terminou)
+  nextOccurrenceDate: {
+    type: Date,
+    default: null
+  },
+  // Datas puladas (a ocorrência daquela data não é criada)
+  exceptions: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  endedAt: {
+    type: Date
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+recurrenceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Índices para melhor performance
+recurrenceSchema.index({ isActive: 1, trigger: 1, nextOccurrenceDate: 1 });
+recurrenceSchema.index({ entityType: 1, source: 1 }, { unique: true });
+recurrenceSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('Recurrence', recurrenceSchema);
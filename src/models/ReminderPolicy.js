@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Regras globais de lembretes de prazo e escalonamento (documento único, chave 'default')
+const reminderPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Horas em relação ao dueDate em que o responsável é lembrado
+  // (negativo = antes do prazo, 0 = no prazo, positivo = depois)
+  reminderOffsetsHours: {
+    type: [Number],
+    default: [-24, 0]
+  },
+  // Horas de atraso para avisar o responsável pelo processo da tarefa
+  escalateToResponsibleAfterHours: {
+    type: Number,
+    min: 0,
+    default: 24
+  },
+  // Horas de atraso para avisar os managers do departamento
+  escalateToManagerAfterHours: {
+    type: Number,
+    min: 0,
+    default: 72
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+reminderPolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ReminderPolicy', reminderPolicySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Revisão versionada de um processo ou tarefa: o que mudou e o estado resultante
+const revisionSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Process', 'Task'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'revert'],
+    required: true
+  },
+  // Versão restaurada, quando action = 'revert'
+  revertedFrom: {
+    type: Number
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Estado completo dos campos versionados após esta revisão
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Uma versão por entidade
+revisionSchema.index({ entityType: 1, entityId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Lista de access tokens revogados (por jti) antes da expiração natural
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'manual'],
+    default: 'logout'
+  },
+  // Data de expiração do próprio token; depois dela o registro não é mais necessário
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Remoção automática quando o token já teria expirado
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
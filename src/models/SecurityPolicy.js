@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Políticas de segurança globais (documento único, chave 'default')
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default'
+  },
+  // Roles que só acessam rotas administrativas com 2FA ativo
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['admin', 'manager', 'user']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+securityPolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
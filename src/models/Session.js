@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Sessão de login persistida no servidor. Cada sessão guarda apenas o hash do
+// refresh token atual; a cada /refresh o token é rotacionado e o hash trocado.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'password_reset', 'deactivated', 'reuse_detected', 'user_inactive', 'manual']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+sessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Sessão ainda utilizável para renovar tokens
+sessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Encerrar sessão
+sessionSchema.methods.revoke = async function(reason = 'manual') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Índices para melhor performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remoção automática de sessões expiradas pelo MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
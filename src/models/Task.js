@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const commentSchema = require('./commentSchema');
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -32,6 +33,17 @@ const taskSchema = new mongoose.Schema({
     ref: 'Process',
     required: true
   },
+  // Subtarefas: pai direto e caminho completo até a tarefa raiz
+  // (alterados apenas por PUT /api/tasks/:id/move)
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
   startDate: {
     type: Date,
     default: Date.now
@@ -42,10 +54,17 @@ const taskSchema = new mongoose.Schema({
   completedDate: {
     type: Date
   },
+  // Exigido pelo workflow ao cancelar
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
   estimatedHours: {
     type: Number,
     min: 0
   },
+  // Soma dos apontamentos de horas (TimeEntry); não é editável diretamente
   actualHours: {
     type: Number,
     min: 0
@@ -75,6 +94,16 @@ const taskSchema = new mongoose.Schema({
     completedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    // Responsável e prazo do item (opcionais, independentes da tarefa)
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    dueDate: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   attachments: [{
@@ -87,26 +116,44 @@ const taskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+  comments: [commentSchema],
+  dependencies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Lembretes e escalonamentos de prazo já enviados (mantido pelo job de lembretes)
+  reminderHistory: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['reminder', 'escalation']
     },
-    text: {
+    // assignee: responsável pelo item; responsible: responsável pelo processo; manager: managers
+    level: {
       type: String,
-      required: true,
-      maxlength: 500
+      enum: ['assignee', 'responsible', 'manager']
     },
-    createdAt: {
+    offsetHours: Number,
+    // Prazo vigente no envio (mudar o dueDate reinicia os lembretes)
+    dueDate: Date,
+    recipients: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    sentAt: {
       type: Date,
       default: Date.now
     }
   }],
-  dependencies: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Task'
-  }],
+  // Ocorrência de uma série recorrente (ver /api/recurrences)
+  recurrence: {
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recurrence'
+    },
+    index: Number,
+    occurrenceDate: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -133,6 +180,12 @@ taskSchema.index({ status: 1 });
 taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ process: 1 });
 taskSchema.index({ dueDate: 1 });
+taskSchema.index({ parentTask: 1 });
+taskSchema.index({ ancestors: 1 });
+taskSchema.index(
+  { 'recurrence.series': 1, 'recurrence.index': 1 },
+  { unique: true, partialFilterExpression: { 'recurrence.series': { $exists: true } } }
+);
 
 module.exports = mongoose.model('Task', taskSchema);
 
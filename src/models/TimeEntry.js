@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Apontamento de horas em uma tarefa, por cronômetro (start/stop) ou manual
+const timeEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Copiado da tarefa para facilitar relatórios por processo
+  process: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Cronômetro em andamento (no máximo um por usuário)
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+timeEntrySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Índices para melhor performance
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+timeEntrySchema.index({ task: 1 });
+timeEntrySchema.index({ process: 1 });
+// Garante no banco um único cronômetro rodando por usuário
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
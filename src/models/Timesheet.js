@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Folha de horas semanal de um usuário (segunda a domingo, UTC)
+const timesheetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ENVIADO', 'APROVADO', 'REJEITADO'],
+    default: 'ENVIADO'
+  },
+  // Totais no momento do envio (a semana fica travada enquanto em análise)
+  totalMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  submittedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  // Motivo da rejeição
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['submit', 'approve', 'reject'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+timesheetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Índices para melhor performance
+timesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ status: 1, weekStart: -1 });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ACCOUNT_LOCKOUT } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -45,6 +46,76 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Proteção contra força bruta: falhas seguidas e bloqueio progressivo
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  // Autenticação em dois fatores (TOTP). Segredos ficam criptografados e
+  // códigos de recuperação apenas como hash
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [{
+      hash: String,
+      usedAt: Date
+    }],
+    lastUsedStep: {
+      type: Number,
+      default: -1
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    enabledAt: Date
+  },
+  // Valor da hora (R$) com histórico: vale a taxa com o maior effectiveFrom
+  // anterior ou igual à data do trabalho
+  hourlyRates: [{
+    rate: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Tipos de evento (EVENT_TYPES) que geram notificação na central; tipo
+  // ausente no mapa está habilitado
+  notificationPreferences: {
+    inApp: {
+      type: Map,
+      of: Boolean,
+      default: {}
+    }
+  },
+  // Incrementado para invalidar todos os tokens já emitidos ("sair de todos os dispositivos")
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -66,6 +137,53 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Conta bloqueada por excesso de tentativas
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Registrar senha incorreta; ao atingir o limite, bloquear por um período
+// que dobra a cada novo bloqueio
+userSchema.methods.registerFailedLogin = async function() {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= ACCOUNT_LOCKOUT.MAX_FAILED_ATTEMPTS) {
+    this.applyLockout();
+  }
+
+  return await this.save();
+};
+
+// Bloquear a conta pelo próximo período da progressão (não salva o documento).
+// Usado também quando o segundo fator falha repetidas vezes
+userSchema.methods.applyLockout = function() {
+  const lockMs = Math.min(
+    ACCOUNT_LOCKOUT.BASE_LOCK_MS * 2 ** (this.lockoutCount || 0),
+    ACCOUNT_LOCKOUT.MAX_LOCK_MS
+  );
+
+  this.lockUntil = new Date(Date.now() + lockMs);
+  this.lockoutCount = (this.lockoutCount || 0) + 1;
+  this.failedLoginAttempts = 0;
+};
+
+// Zerar contadores (login bem-sucedido ou desbloqueio pelo admin)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockoutCount = 0;
+};
+
+// Valor da hora vigente em uma data (null se não houver taxa vigente)
+userSchema.methods.rateAt = function(date = new Date()) {
+  const when = new Date(date);
+  const current = (this.hourlyRates || [])
+    .filter(entry => entry.effectiveFrom <= when)
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+
+  return current ? current.rate : null;
+};
+
 // Método para hash da senha antes de salvar
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -83,6 +201,15 @@ userSchema.pre('save', async function(next) {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.tokenVersion;
+  // Valores de hora só saem por GET /api/users/:id/rates
+  delete userObject.hourlyRates;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
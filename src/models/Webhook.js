@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Assinatura de webhook: eventos (EVENT_TYPES) enviados por POST para a URL,
+// assinados com HMAC-SHA256 usando o segredo da assinatura
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Tipos de evento assinados; '*' recebe todos
+  events: [{
+    type: String,
+    required: true
+  }],
+  // Segredo do HMAC, criptografado como os segredos de 2FA
+  secret: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para melhor performance
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Middleware para atualizar updatedAt
+webhookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// O segredo só é exibido na criação e na rotação
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  delete webhook.secret;
+  return webhook;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Máquina de estados do status de processos ou tarefas
+const workflowSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['Process', 'Task'],
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  states: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    initial: {
+      type: Boolean,
+      default: false
+    },
+    final: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  transitions: [{
+    _id: false,
+    from: {
+      type: String,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    // Roles autorizadas; vazio = qualquer usuário que possa editar a entidade
+    roles: [{
+      type: String,
+      enum: ['admin', 'manager', 'user']
+    }],
+    // Campos que precisam vir preenchidos na requisição (ex: cancellationReason)
+    requiredFields: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware para atualizar updatedAt
+workflowSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Workflow', workflowSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { VALIDATION } = require('../utils/constants');
+const { renderMarkdown } = require('../utils/markdown');
+
+// Comentário de processos e tarefas (Process.comments e Task.comments).
+// Respostas apontam para o comentário pai no mesmo array; exclusões são
+// lógicas para não quebrar as conversas.
+const commentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: VALIDATION.TEXT_FIELDS.COMMENT_MAX
+  },
+  // Comentário respondido (null = comentário de primeiro nível)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Usuários mencionados com @username
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Versões anteriores do texto, da mais antiga para a mais recente
+  editHistory: [{
+    _id: false,
+    text: String,
+    editedAt: Date,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Na resposta da API: texto renderizado, marcador de edição no lugar do
+// histórico (GET .../comments/:commentId/history) e conteúdo oculto se excluído
+commentSchema.set('toJSON', {
+  transform: (doc, comment) => {
+    comment.edited = !!comment.editedAt;
+    comment.editCount = (comment.editHistory || []).length;
+    comment.deleted = !!comment.deletedAt;
+    delete comment.editHistory;
+
+    if (comment.deleted) {
+      comment.text = null;
+      comment.html = null;
+      comment.mentions = [];
+    } else {
+      comment.html = renderMarkdown(comment.text);
+    }
+
+    return comment;
+  }
+});
+
+module.exports = commentSchema;
@@ -0,0 +1,63 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { managerAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Consultar log de auditoria (apenas admin/manager)
+router.get('/', managerAuth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      entityType,
+      entityId,
+      actor,
+      action,
+      from,
+      to
+    } = req.query;
+
+    const query = {};
+
+    // Filtros
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+
+    // Período
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Datas do período inválidas' });
+      }
+    }
+
+    const cappedLimit = Math.min(parseInt(limit) || 20, 100);
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'name username email')
+      .sort({ createdAt: -1 })
+      .limit(cappedLimit)
+      .skip((page - 1) * cappedLimit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      logs,
+      totalPages: Math.ceil(total / cappedLimit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar log de auditoria:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
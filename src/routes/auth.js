@@ -1,12 +1,84 @@
 const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
 const { auth } = require('../middleware/auth');
+const { loginLimiter, authStrictLimiter, normalizeUsername } = require('../middleware/rateLimit');
+const {
+  issueTokens,
+  rotateTokens,
+  parseRefreshToken,
+  hashToken,
+  safeEqual,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  parseDuration,
+  signChallengeToken,
+  verifyChallengeToken,
+  CHALLENGE_TOKEN_EXPIRES_IN
+} = require('../utils/tokens');
+const { verifySecondFactor } = require('../services/twoFactor');
+const { recordAudit } = require('../services/audit');
+const { isTwoFactorSetupRequired } = require('../services/securityPolicy');
+const { sendMail } = require('../services/mail');
+const { queueMail } = require('../services/mail/queue');
+const { formatDateTime } = require('../utils/standardUtils');
+const { EMAIL_TEMPLATES, PASSWORD_RESET_CONFIG } = require('../utils/constants');
 
 const router = express.Router();
 
+// Finaliza o login: registra o acesso, abre a sessão e monta a resposta
+const buildLoginResponse = async (user, req) => {
+  // Atualizar último login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Criar sessão e gerar access token + refresh token
+  const tokens = await issueTokens(user, req);
+
+  return {
+    ...tokens,
+    twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
+    // Dados do usuário para resposta (sem senha)
+    user: {
+      id: user._id,
+      username: user.username,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      isActive: user.isActive,
+      lastLogin: user.lastLogin,
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    }
+  };
+};
+
+// Avisa o dono da conta sobre o bloqueio (as respostas do login não dizem nada).
+// Falhas na fila são apenas logadas para não mudar a resposta do login
+const notifyAccountLocked = async (user) => {
+  if (!user.email || !user.isActive) return;
+
+  try {
+    await queueMail({
+      to: user.email,
+      template: EMAIL_TEMPLATES.ACCOUNT_LOCKED,
+      data: {
+        name: user.name,
+        lockedUntil: formatDateTime(user.lockUntil),
+        loginUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Login: Erro ao enfileirar aviso de bloqueio para ${user.username}:`, error.message);
+  }
+};
+
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     console.log('📝 Tentativa de login recebida');
     console.log('📋 Body:', req.body);
@@ -15,7 +87,7 @@ router.post('/login', async (req, res) => {
     const { username, password } = req.body;
 
     // Validação básica mais robusta
-    if (!username || !password) {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       console.log('❌ Login: Usuário ou senha não fornecidos');
       return res.status(400).json({ 
         error: 'Usuário e senha são obrigatórios',
@@ -31,9 +103,10 @@ router.post('/login', async (req, res) => {
 
     console.log(`🔍 Login: Tentativa de login para usuário: ${username}`);
 
-    // Buscar usuário (case insensitive)
+    // Buscar usuário (case insensitive, escapando caracteres especiais de regex)
+    const escapedUsername = normalizeUsername(username).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const user = await User.findOne({ 
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
+      username: { $regex: new RegExp(`^${escapedUsername}$`, 'i') }
     });
     
     if (!user) {
@@ -43,11 +116,26 @@ router.post('/login', async (req, res) => {
 
     console.log(`🔍 Login: Usuário encontrado: ${user.username}`);
 
+    // Conta bloqueada: nem verificar a senha. A resposta é a mesma de usuário
+    // inexistente para não revelar quais contas existem; o dono é avisado por email
+    if (user.isLocked()) {
+      console.log(`❌ Login: Usuário ${username} bloqueado até ${user.lockUntil.toISOString()}`);
+      return res.status(401).json({ error: 'Credenciais inválidas' });
+    }
+
     // Verificar senha
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
-      console.log(`❌ Login: Senha incorreta para usuário ${username}`);
+      await user.registerFailedLogin();
+
+      if (user.isLocked()) {
+        console.log(`❌ Login: Usuário ${username} bloqueado até ${user.lockUntil.toISOString()} (bloqueio nº ${user.lockoutCount})`);
+        await notifyAccountLocked(user);
+        return res.status(401).json({ error: 'Credenciais inválidas' });
+      }
+
+      console.log(`❌ Login: Senha incorreta para usuário ${username} (${user.failedLoginAttempts} falha(s))`);
       return res.status(401).json({ error: 'Credenciais inválidas' });
     }
 
@@ -57,60 +145,37 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Usuário inativo' });
     }
 
-    console.log(`✅ Login: Usuário ${username} autenticado com sucesso`);
+    // Conta com 2FA: a senha correta só libera um token de desafio de curta duração.
+    // Os contadores de falha (senha e código) só zeram depois do segundo fator,
+    // senão bastaria refazer o login para ganhar novas tentativas de código
+    if (user.twoFactor?.enabled) {
+      console.log(`🔐 Login: Usuário ${username} precisa informar o código 2FA`);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user),
+        expiresIn: parseDuration(CHALLENGE_TOKEN_EXPIRES_IN) / 1000
+      });
+    }
 
-    // Atualizar último login
-    user.lastLogin = new Date();
-    await user.save();
+    user.resetLoginAttempts();
 
-    // Payload do JWT com dados essenciais
-    const payload = {
-      userId: user._id.toString(),
-      username: user.username,
-      role: user.role,
-      iat: Math.floor(Date.now() / 1000) // issued at
-    };
+    console.log(`✅ Login: Usuário ${username} autenticado com sucesso`);
 
-    // Gerar token JWT com configurações robustas
-    const token = jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { 
-        expiresIn: '1h', // Reduzido para 1 hora conforme boas práticas
-        algorithm: 'HS256',
-        issuer: 'processflow-backend',
-        audience: 'processflow-frontend'
-      }
-    );
+    const response = await buildLoginResponse(user, req);
 
     // Verificar se o token foi gerado corretamente
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = jwt.verify(response.token, process.env.JWT_SECRET);
       console.log(`✅ Login: Token gerado e verificado com sucesso para ${username}`);
-      console.log(`🔍 Token info: userId=${decoded.userId}, exp=${new Date(decoded.exp * 1000).toISOString()}`);
+      console.log(`🔍 Token info: userId=${decoded.userId}, sid=${decoded.sid}, exp=${new Date(decoded.exp * 1000).toISOString()}`);
     } catch (verifyError) {
       console.error('❌ Login: Erro na verificação do token gerado:', verifyError.message);
       return res.status(500).json({ error: 'Erro na geração do token' });
     }
 
-    // Dados do usuário para resposta (sem senha)
-    const userData = {
-      id: user._id,
-      username: user.username,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      department: user.department,
-      isActive: user.isActive,
-      lastLogin: user.lastLogin
-    };
-
     console.log(`✅ Login: Sucesso para usuário ${username} (${user.role})`);
 
-    res.json({
-      token,
-      user: userData
-    });
+    res.json(response);
 
   } catch (error) {
     console.error('❌ Login: Erro interno:', error.message);
@@ -118,6 +183,192 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Segunda etapa do login: token de desafio + código do aplicativo (ou de recuperação)
+router.post('/login/2fa', authStrictLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Token de desafio e código são obrigatórios' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (jwtError) {
+      console.log('❌ Login2FA: Token de desafio inválido:', jwtError.message);
+      return res.status(401).json({ error: 'Desafio expirado ou inválido. Faça login novamente' });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      console.log(`❌ Login2FA: Usuário ${decoded.userId} inexistente, inativo ou com tokens revogados`);
+      return res.status(401).json({ error: 'Desafio expirado ou inválido. Faça login novamente' });
+    }
+
+    // Conta bloqueada (inclusive por erros de código anteriores)
+    if (user.isLocked()) {
+      console.log(`❌ Login2FA: Usuário ${user.username} bloqueado até ${user.lockUntil.toISOString()}`);
+      return res.status(401).json({ error: 'Desafio expirado ou inválido. Faça login novamente' });
+    }
+
+    const result = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!result.valid) {
+      // Códigos errados em sequência bloqueiam a conta pela mesma progressão
+      // do login; o contador do 2FA recomeça depois do bloqueio
+      if (result.locked) {
+        user.twoFactor.failedAttempts = 0;
+        user.applyLockout();
+        await user.save();
+
+        console.log(`❌ Login2FA: Usuário ${user.username} bloqueado até ${user.lockUntil.toISOString()} por códigos inválidos`);
+        await notifyAccountLocked(user);
+        return res.status(401).json({ error: 'Muitas tentativas inválidas. Faça login novamente' });
+      }
+
+      await user.save();
+
+      console.log(`❌ Login2FA: Código inválido para ${user.username}`);
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    console.log(`✅ Login2FA: ${user.username} autenticado com ${result.method}`);
+
+    res.json(await buildLoginResponse(user, req));
+
+  } catch (error) {
+    console.error('❌ Login2FA: Erro interno:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Renovar tokens (rotação do refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token é obrigatório' });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      console.error('❌ Refresh: JWT_SECRET não configurado');
+      return res.status(500).json({ error: 'Erro de configuração do servidor' });
+    }
+
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      console.log('❌ Refresh: Refresh token malformado');
+      return res.status(401).json({ error: 'Refresh token inválido' });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+
+    if (!session) {
+      console.log(`❌ Refresh: Sessão ${parsed.sessionId} não encontrada`);
+      return res.status(401).json({ error: 'Refresh token inválido' });
+    }
+
+    if (!session.isUsable()) {
+      console.log(`❌ Refresh: Sessão ${session._id} encerrada ou expirada`);
+      return res.status(401).json({ error: 'Sessão expirada. Faça login novamente' });
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+
+    // Um refresh token antigo da mesma sessão indica que ele vazou:
+    // encerrar a sessão inteira para que nem o atacante nem o cliente legítimo continuem
+    if (!safeEqual(presentedHash, session.tokenHash)) {
+      console.warn(`⚠️ Refresh: Reutilização de refresh token detectada na sessão ${session._id}`);
+      await session.revoke('reuse_detected');
+      return res.status(401).json({ error: 'Refresh token reutilizado. Sessão encerrada' });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      console.log(`❌ Refresh: Usuário ${session.user} inexistente ou inativo`);
+      await session.revoke('user_inactive');
+      return res.status(401).json({ error: 'Usuário inativo' });
+    }
+
+    const tokens = await rotateTokens(user, session, presentedHash, req);
+
+    if (!tokens) {
+      // Outra requisição rotacionou o mesmo token ao mesmo tempo
+      console.warn(`⚠️ Refresh: Rotação concorrente na sessão ${session._id}`);
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+      );
+      return res.status(401).json({ error: 'Refresh token reutilizado. Sessão encerrada' });
+    }
+
+    console.log(`✅ Refresh: Tokens renovados para ${user.username} (sessão ${session._id})`);
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('❌ Refresh: Erro interno:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Listar sessões ativas do usuário logado
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-tokenHash')
+      .sort({ lastUsedAt: -1 });
+
+    const currentSessionId = req.tokenPayload?.sid;
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === currentSessionId
+    })));
+
+  } catch (error) {
+    console.error('❌ Sessions: Erro ao listar sessões:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Encerrar uma sessão específica do usuário logado
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('manual');
+    }
+
+    console.log(`✅ Sessions: Sessão ${session._id} encerrada por ${req.user.username}`);
+    res.json({ message: 'Sessão encerrada com sucesso' });
+
+  } catch (error) {
+    console.error('❌ Sessions: Erro ao encerrar sessão:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Verificar token
 router.get('/verify', auth, async (req, res) => {
   try {
@@ -142,11 +393,19 @@ router.get('/verify', auth, async (req, res) => {
   }
 });
 
-// Logout (invalidar token no frontend)
+// Logout: revoga o access token atual e encerra a sessão (refresh token) dele
 router.post('/logout', auth, async (req, res) => {
   try {
+    await revokeAccessToken(req.tokenPayload, 'logout');
+
+    if (req.tokenPayload.sid) {
+      await Session.updateOne(
+        { _id: req.tokenPayload.sid, user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout', updatedAt: new Date() } }
+      );
+    }
+
     console.log(`✅ Logout: Usuário ${req.user.username} fez logout`);
-    // Em uma implementação mais robusta, você poderia manter uma blacklist de tokens
     res.json({ message: 'Logout realizado com sucesso' });
   } catch (error) {
     console.error('❌ Logout: Erro no logout:', error.message);
@@ -154,6 +413,19 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// Logout de todos os dispositivos
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user._id, 'logout_all');
+
+    console.log(`✅ LogoutAll: Todas as sessões de ${req.user.username} foram encerradas`);
+    res.json({ message: 'Logout realizado em todos os dispositivos' });
+  } catch (error) {
+    console.error('❌ LogoutAll: Erro no logout:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Alterar senha
 router.put('/change-password', auth, async (req, res) => {
   try {
@@ -181,8 +453,22 @@ router.put('/change-password', auth, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Encerrar todas as sessões (inclusive a atual) e emitir novos tokens só para este cliente
+    user.tokenVersion = await revokeAllUserTokens(user._id, 'password_change');
+
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'password',
+      metadata: { method: 'change-password' }
+    });
+    const tokens = await issueTokens(user, req);
+
     console.log(`✅ ChangePassword: Senha alterada para usuário ${req.user.username}`);
-    res.json({ message: 'Senha alterada com sucesso' });
+    res.json({
+      message: 'Senha alterada com sucesso. Outras sessões foram encerradas',
+      ...tokens
+    });
 
   } catch (error) {
     console.error('❌ ChangePassword: Erro ao alterar senha:', error.message);
@@ -190,6 +476,129 @@ router.put('/change-password', auth, async (req, res) => {
   }
 });
 
+// Solicitar redefinição de senha
+router.post('/forgot-password', authStrictLimiter, async (req, res) => {
+  // Resposta idêntica exista ou não a conta, para não permitir enumeração de emails
+  const genericResponse = {
+    message: 'Se o email estiver cadastrado, você receberá as instruções para redefinir a senha'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email é obrigatório' });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (!user || !user.isActive) {
+      console.log(`❌ ForgotPassword: Nenhum usuário ativo com email ${email}`);
+      return res.json(genericResponse);
+    }
+
+    // Apenas o token mais recente permanece válido
+    await PasswordResetToken.updateMany(
+      { user: user._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresInMs = parseDuration(PASSWORD_RESET_CONFIG.EXPIRES_IN);
+
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInMs),
+      requestedIp: req.ip
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const resetUrl = `${frontendUrl}${PASSWORD_RESET_CONFIG.RESET_PATH}?token=${token}`;
+
+    // Envio direto, sem a fila: o link com o token não deve ficar gravado no banco
+    try {
+      await sendMail({
+        to: user.email,
+        template: EMAIL_TEMPLATES.PASSWORD_RESET,
+        data: {
+          name: user.name,
+          resetUrl,
+          expiresInMinutes: Math.round(expiresInMs / 60000)
+        }
+      });
+    } catch (mailError) {
+      console.error('❌ ForgotPassword: Erro ao enviar email:', mailError.message);
+    }
+
+    console.log(`✅ ForgotPassword: Token de redefinição gerado para ${user.username}`);
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('❌ ForgotPassword: Erro interno:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Redefinir senha com token recebido por email
+router.post('/reset-password', authStrictLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token e nova senha são obrigatórios' });
+    }
+
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({ error: 'Nova senha deve ter pelo menos 6 caracteres' });
+    }
+
+    // Consumir o token de forma atômica: duas requisições com o mesmo token não passam
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(String(token)),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      console.log('❌ ResetPassword: Token inválido, expirado ou já utilizado');
+      return res.status(400).json({ error: 'Token inválido ou expirado' });
+    }
+
+    const user = await User.findById(resetToken.user);
+
+    if (!user || !user.isActive) {
+      console.log(`❌ ResetPassword: Usuário ${resetToken.user} inexistente ou inativo`);
+      return res.status(400).json({ error: 'Token inválido ou expirado' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Quem estava com a conta aberta (possivelmente um invasor) perde o acesso
+    await revokeAllUserTokens(user._id, 'password_reset');
+
+    await recordAudit(req, {
+      actor: user,
+      entityType: 'User',
+      entityId: user._id,
+      action: 'password',
+      metadata: { method: 'reset-password' }
+    });
+
+    console.log(`✅ ResetPassword: Senha redefinida para ${user.username}`);
+    res.json({ message: 'Senha redefinida com sucesso. Faça login com a nova senha' });
+
+  } catch (error) {
+    console.error('❌ ResetPassword: Erro interno:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Endpoint para testar JWT (debugging)
 router.get('/test-jwt', (req, res) => {
   try {
@@ -0,0 +1,143 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { preferencesOf, validatePreferences } = require('../services/notifications');
+
+const router = express.Router();
+
+// Notificações do usuário logado, da mais recente para a mais antiga.
+// Paginação por cursor: envie o nextCursor recebido para buscar a página seguinte
+router.get('/', auth, async (req, res) => {
+  try {
+    const { cursor, limit = 20, unread, type } = req.query;
+
+    const query = { recipient: req.user._id };
+
+    if (cursor) {
+      if (!mongoose.isValidObjectId(cursor)) {
+        return res.status(400).json({ error: 'Cursor inválido' });
+      }
+      query._id = { $lt: cursor };
+    }
+
+    if (unread === 'true') query.readAt = null;
+    if (type) query.type = type;
+
+    const cappedLimit = Math.min(parseInt(limit) || 20, 100);
+
+    // Um item a mais indica se existe próxima página
+    const notifications = await Notification.find(query)
+      .populate('actor', 'name username')
+      .sort({ _id: -1 })
+      .limit(cappedLimit + 1);
+
+    const hasMore = notifications.length > cappedLimit;
+    const page = notifications.slice(0, cappedLimit);
+
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    res.json({
+      notifications: page,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar notificações:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Quantidade de notificações não lidas (para o badge)
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Erro ao contar notificações:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Preferências: quais tipos de evento geram notificação
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json(preferencesOf(user));
+  } catch (error) {
+    console.error('Erro ao buscar preferências de notificação:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Alterar preferências ({ inApp: { 'task.commented': false } }); tipos não enviados não mudam
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const { errors, values } = validatePreferences(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Preferências inválidas', details: errors });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    Object.entries(values).forEach(([type, enabled]) => {
+      user.notificationPreferences.inApp.set(type, enabled);
+    });
+    await user.save();
+
+    res.json(preferencesOf(user));
+
+  } catch (error) {
+    console.error('Erro ao atualizar preferências de notificação:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Marcar todas como lidas
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ updated: result.modifiedCount, unreadCount: 0 });
+
+  } catch (error) {
+    console.error('Erro ao marcar notificações como lidas:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Marcar uma notificação como lida
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Notificação não encontrada' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notificação não encontrada' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    res.json({ notification, unreadCount });
+
+  } catch (error) {
+    console.error('Erro ao marcar notificação como lida:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ProcessTemplate = require('../models/ProcessTemplate');
+const { auth, managerAuth } = require('../middleware/auth');
+const { validateBlueprints } = require('../services/processTemplates');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'description', 'category', 'tags', 'defaults', 'tasks', 'isActive'];
+
+// Listar templates
+router.get('/', auth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      category,
+      tag,
+      search,
+      includeInactive
+    } = req.query;
+
+    const query = {};
+
+    // Templates desativados só aparecem para admin/manager que pedirem
+    if (!(includeInactive === 'true' && ['admin', 'manager'].includes(req.user.role))) {
+      query.isActive = true;
+    }
+    if (category) query.category = category;
+    if (tag) query.tags = tag;
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const templates = await ProcessTemplate.find(query)
+      .populate('createdBy', 'name username')
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ProcessTemplate.countDocuments(query);
+
+    res.json({
+      templates,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar templates:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Buscar template por ID
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const template = await ProcessTemplate.findById(req.params.id)
+      .populate('createdBy', 'name username')
+      .populate('updatedBy', 'name username')
+      .populate('tasks.assignee.user', 'name username email');
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    res.json(template);
+
+  } catch (error) {
+    console.error('Erro ao buscar template:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Criar template (admin/manager)
+router.post('/', managerAuth, async (req, res) => {
+  try {
+    const { name, tasks } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Nome é obrigatório' });
+    }
+
+    const errors = validateBlueprints(tasks);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Template inválido', details: errors });
+    }
+
+    const template = new ProcessTemplate({
+      ...EDITABLE_FIELDS.reduce((data, field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+        return data;
+      }, {}),
+      createdBy: req.user._id
+    });
+
+    await template.save();
+
+    console.log(`✅ Template "${template.name}" criado por ${req.user.username}`);
+
+    res.status(201).json(template);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Template inválido', details: Object.values(error.errors).map(err => err.message) });
+    }
+    console.error('Erro ao criar template:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Atualizar template (admin/manager). Processos já criados não são afetados.
+router.put('/:id', managerAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const template = await ProcessTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const errors = validateBlueprints(req.body.tasks);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Template inválido', details: errors });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    template.updatedBy = req.user._id;
+
+    await template.save();
+
+    console.log(`✅ Template "${template.name}" atualizado por ${req.user.username}`);
+
+    res.json(template);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Template inválido', details: Object.values(error.errors).map(err => err.message) });
+    }
+    console.error('Erro ao atualizar template:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Deletar template (admin/manager)
+router.delete('/:id', managerAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const template = await ProcessTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    console.log(`✅ Template "${template.name}" deletado por ${req.user.username}`);
+
+    res.json({ message: 'Template deletado com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao deletar template:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
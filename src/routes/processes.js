@@ -1,9 +1,30 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Process = require('../models/Process');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const User = require('../models/User');
+const ProcessTemplate = require('../models/ProcessTemplate');
 const { auth, managerAuth } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const { recordRevision, getHistory, applyRevision } = require('../services/revisions');
+const { getWorkflow, checkTransition, availableTransitions, isInitialState } = require('../services/workflow');
+const { instantiateTemplate } = require('../services/processTemplates');
+const { computeSchedule } = require('../services/schedule');
+const { buildTimeline, timelineToCsv, timelineToMsProjectXml } = require('../services/timeline');
+const { computeProcessFinancials } = require('../services/financials');
+const { handleOccurrenceClosed } = require('../services/recurrences');
+const { EVENT_TYPES, idOf, emitEvent, emitUpdate, summarize } = require('../services/events');
+const { commentRoutes } = require('../services/comments');
+const { generateSlug } = require('../utils/standardUtils');
 
 const router = express.Router();
 
+// Responsável e equipe de um processo (ids, sem repetição)
+function processMembers(process) {
+  return [...new Set([process.responsible, ...(process.team || [])].filter(Boolean).map(idOf))];
+}
+
 // Listar todos os processos
 router.get('/', auth, async (req, res) => {
   try {
@@ -87,13 +108,19 @@ router.post('/', auth, async (req, res) => {
       team,
       dueDate,
       category,
-      tags
+      tags,
+      autoStatus,
+      budget
     } = req.body;
 
     if (!title || !responsible) {
       return res.status(400).json({ error: 'Título e responsável são obrigatórios' });
     }
 
+    if (status && !isInitialState(await getWorkflow('Process'), status)) {
+      return res.status(400).json({ error: `Status ${status} não pode ser usado na criação do processo` });
+    }
+
     const process = new Process({
       title,
       description,
@@ -104,10 +131,23 @@ router.post('/', auth, async (req, res) => {
       dueDate,
       category,
       tags,
+      autoStatus,
+      budget,
       createdBy: req.user._id
     });
 
     await process.save();
+
+    await recordAudit(req, {
+      entityType: 'Process',
+      entityId: process._id,
+      action: 'create',
+      after: process
+    });
+    await recordRevision({ entityType: 'Process', doc: process, author: req.user, action: 'create' });
+
+    emitEvent(EVENT_TYPES.PROCESS_CREATED, { actor: req.user, process: summarize(process) });
+    emitEvent(EVENT_TYPES.PROCESS_ASSIGNED, { actor: req.user, process: summarize(process), users: processMembers(process) });
     
     await process.populate('responsible', 'name username email');
     await process.populate('team', 'name username email');
@@ -121,6 +161,100 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// Criar processo com todas as tarefas de um template
+router.post('/from-template/:templateId', auth, async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      priority,
+      responsible,
+      team,
+      startDate,
+      dueDate,
+      category,
+      tags,
+      autoStatus,
+      assignments
+    } = req.body;
+
+    if (!responsible) {
+      return res.status(400).json({ error: 'Responsável é obrigatório' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.templateId)) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const template = await ProcessTemplate.findById(req.params.templateId);
+
+    if (!template || !template.isActive) {
+      return res.status(404).json({ error: 'Template não encontrado' });
+    }
+
+    const { process, tasks } = await instantiateTemplate(template, {
+      title,
+      description,
+      priority,
+      responsible,
+      team,
+      startDate,
+      dueDate,
+      category,
+      tags,
+      autoStatus,
+      assignments
+    }, req.user);
+
+    const metadata = { templateId: template._id, templateName: template.name };
+
+    await recordAudit(req, {
+      entityType: 'Process',
+      entityId: process._id,
+      action: 'create',
+      after: process,
+      metadata
+    });
+    await recordRevision({ entityType: 'Process', doc: process, author: req.user, action: 'create' });
+
+    for (const task of tasks) {
+      await recordAudit(req, {
+        entityType: 'Task',
+        entityId: task._id,
+        action: 'create',
+        after: task,
+        metadata
+      });
+      await recordRevision({ entityType: 'Task', doc: task, author: req.user, action: 'create' });
+    }
+
+    emitEvent(EVENT_TYPES.PROCESS_CREATED, { actor: req.user, process: summarize(process), templateId: template._id });
+    emitEvent(EVENT_TYPES.PROCESS_ASSIGNED, { actor: req.user, process: summarize(process), users: processMembers(process) });
+    tasks.forEach(task => {
+      emitEvent(EVENT_TYPES.TASK_CREATED, { actor: req.user, task: summarize(task) });
+      emitEvent(EVENT_TYPES.TASK_ASSIGNED, { actor: req.user, task: summarize(task), assignee: task.assignedTo });
+    });
+
+    console.log(`✅ Processo ${process._id} criado do template "${template.name}" com ${tasks.length} tarefa(s)`);
+
+    await process.populate('responsible', 'name username email');
+    await process.populate('team', 'name username email');
+    await process.populate('createdBy', 'name username');
+
+    res.status(201).json({
+      process,
+      tasks: tasks.map(task => task.toJSON())
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erro ao criar processo a partir do template:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Atualizar processo
 router.put('/:id', auth, async (req, res) => {
   try {
@@ -140,6 +274,30 @@ router.put('/:id', auth, async (req, res) => {
     }
 
     const updates = req.body;
+    const before = snapshot(process);
+
+    // Progresso derivado é mantido pelas tarefas
+    delete updates.derivedProgress;
+
+    // Vínculo com a série é mantido por /api/recurrences
+    delete updates.recurrence;
+    delete updates.reminderHistory;
+
+    // Comentários são alterados por /:id/comments (autoria, histórico e exclusão)
+    delete updates.comments;
+
+    // Mudança de status precisa seguir o workflow configurado
+    if (updates.status && updates.status !== process.status) {
+      const workflow = await getWorkflow('Process');
+      const transition = checkTransition(workflow, process.status, updates.status, req.user, updates);
+
+      if (!transition.allowed) {
+        return res.status(transition.status).json({
+          error: transition.error,
+          missingFields: transition.missingFields
+        });
+      }
+    }
     
     // Se status mudou para CONCLUIDO, definir data de conclusão
     if (updates.status === 'CONCLUIDO' && process.status !== 'CONCLUIDO') {
@@ -150,6 +308,34 @@ router.put('/:id', auth, async (req, res) => {
     Object.assign(process, updates);
     await process.save();
 
+    await recordAudit(req, {
+      entityType: 'Process',
+      entityId: process._id,
+      action: 'update',
+      before,
+      after: process
+    });
+    await recordRevision({ entityType: 'Process', doc: process, before, author: req.user });
+
+    emitUpdate('Process', req.user, process, before);
+
+    if (process.status !== before.status) {
+      await handleOccurrenceClosed('Process', process, req);
+      emitEvent(EVENT_TYPES.PROCESS_STATUS_CHANGED, {
+        actor: req.user,
+        process: summarize(process),
+        from: before.status,
+        to: process.status
+      });
+    }
+
+    // Avisar só quem entrou no processo agora
+    const previousMembers = processMembers(before);
+    const newMembers = processMembers(process).filter(member => !previousMembers.includes(member));
+    if (newMembers.length > 0) {
+      emitEvent(EVENT_TYPES.PROCESS_ASSIGNED, { actor: req.user, process: summarize(process), users: newMembers });
+    }
+
     await process.populate('responsible', 'name username email');
     await process.populate('team', 'name username email');
     await process.populate('createdBy', 'name username');
@@ -162,56 +348,291 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Deletar processo
-router.delete('/:id', managerAuth, async (req, res) => {
+// Transições de status disponíveis para o usuário logado
+router.get('/:id/transitions', auth, async (req, res) => {
   try {
-    const process = await Process.findById(req.params.id);
+    const process = await Process.findById(req.params.id).select('status createdBy responsible');
 
     if (!process) {
       return res.status(404).json({ error: 'Processo não encontrado' });
     }
 
-    await Process.findByIdAndDelete(req.params.id);
+    const canEdit = process.createdBy.toString() === req.user._id.toString() ||
+                   process.responsible.toString() === req.user._id.toString() ||
+                   ['admin', 'manager'].includes(req.user.role);
 
-    res.json({ message: 'Processo deletado com sucesso' });
+    const workflow = await getWorkflow('Process');
+
+    res.json({
+      currentStatus: process.status,
+      transitions: canEdit ? availableTransitions(workflow, process.status, req.user) : []
+    });
 
   } catch (error) {
-    console.error('Erro ao deletar processo:', error.message);
+    console.error('Erro ao buscar transições do processo:', error.message);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
-// Adicionar comentário
-router.post('/:id/comments', auth, async (req, res) => {
+// Cronograma do processo pelo caminho crítico das tarefas
+router.get('/:id/schedule', auth, async (req, res) => {
   try {
-    const { text } = req.body;
+    const process = await Process.findById(req.params.id).select('title status startDate dueDate');
+
+    if (!process) {
+      return res.status(404).json({ error: 'Processo não encontrado' });
+    }
+
+    const tasks = await Task.find({ process: process._id })
+      .select('title status assignedTo startDate dueDate completedDate estimatedHours dependencies')
+      .populate('assignedTo', 'name username email');
 
-    if (!text) {
-      return res.status(400).json({ error: 'Texto do comentário é obrigatório' });
+    let schedule;
+    try {
+      schedule = computeSchedule(process, tasks);
+    } catch (error) {
+      if (!error.cycle) throw error;
+      return res.status(409).json({ error: 'Dependências circulares entre as tarefas', cycle: error.cycle });
     }
 
-    const process = await Process.findById(req.params.id);
+    res.json({
+      process: { _id: process._id, title: process.title, status: process.status },
+      ...schedule
+    });
+
+  } catch (error) {
+    console.error('Erro ao calcular cronograma do processo:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Timeline do processo para gráficos de Gantt (json, csv ou xml do MS Project)
+router.get('/:id/timeline', auth, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'csv', 'xml'].includes(format)) {
+      return res.status(400).json({ error: 'Formato inválido. Use json, csv ou xml' });
+    }
+
+    const process = await Process.findById(req.params.id)
+      .select('title status startDate dueDate progress derivedProgress createdAt');
 
     if (!process) {
       return res.status(404).json({ error: 'Processo não encontrado' });
     }
 
-    process.comments.push({
-      user: req.user._id,
-      text
+    const tasks = await Task.find({ process: process._id })
+      .select('title status priority assignedTo parentTask startDate dueDate completedDate estimatedHours progress dependencies')
+      .populate('assignedTo', 'name username');
+
+    const timeline = buildTimeline(process, tasks);
+    const filename = `processo-${generateSlug(process.title) || process._id}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(timelineToCsv(timeline));
+    }
+
+    if (format === 'xml') {
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.xml"`);
+      return res.send(timelineToMsProjectXml(timeline));
+    }
+
+    res.json(timeline);
+
+  } catch (error) {
+    console.error('Erro ao gerar timeline do processo:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Orçamento e custos do processo (responsável ou admin/manager)
+router.get('/:id/financials', auth, async (req, res) => {
+  try {
+    const process = await Process.findById(req.params.id).select('title status responsible startDate budget');
+
+    if (!process) {
+      return res.status(404).json({ error: 'Processo não encontrado' });
+    }
+
+    const canView = process.responsible.toString() === req.user._id.toString() ||
+                   ['admin', 'manager'].includes(req.user.role);
+
+    if (!canView) {
+      return res.status(403).json({ error: 'Sem permissão para ver os custos deste processo' });
+    }
+
+    const tasks = await Task.find({ process: process._id })
+      .select('title status assignedTo startDate estimatedHours actualHours progress');
+
+    const entries = await TimeEntry.find({ task: { $in: tasks.map(task => task._id) }, isRunning: false })
+      .select('task user durationMinutes startedAt');
+
+    const userIds = [
+      ...tasks.map(task => task.assignedTo),
+      ...entries.map(entry => entry.user)
+    ].filter(Boolean);
+
+    const users = await User.find({ _id: { $in: userIds } }).select('name username hourlyRates');
+
+    res.json({
+      process: { _id: process._id, title: process.title, status: process.status },
+      ...computeProcessFinancials({ process, tasks, entries, users })
     });
 
+  } catch (error) {
+    console.error('Erro ao calcular custos do processo:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Histórico de alterações do processo
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const process = await Process.findById(req.params.id).select('_id');
+
+    if (!process) {
+      return res.status(404).json({ error: 'Processo não encontrado' });
+    }
+
+    const history = await getHistory('Process', process._id);
+
+    res.json(history);
+
+  } catch (error) {
+    console.error('Erro ao buscar histórico do processo:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Restaurar uma versão anterior do processo (apenas admin/manager)
+router.post('/:id/revert/:version', managerAuth, async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'Versão inválida' });
+    }
+
+    const process = await Process.findById(req.params.id);
+
+    if (!process) {
+      return res.status(404).json({ error: 'Processo não encontrado' });
+    }
+
+    const before = snapshot(process);
+    const revision = await applyRevision('Process', process, version);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+
+    // Voltar o status é uma transição como outra qualquer: precisa ser permitida
+    // pelo workflow, com os campos obrigatórios preenchidos na versão restaurada
+    if (process.status !== before.status) {
+      const workflow = await getWorkflow('Process');
+      const transition = checkTransition(workflow, before.status, process.status, req.user, process.toObject());
+
+      if (!transition.allowed) {
+        return res.status(409).json({
+          error: `Não é possível restaurar a versão ${version}: ${transition.error}`,
+          missingFields: transition.missingFields
+        });
+      }
+    }
+
     await process.save();
-    await process.populate('comments.user', 'name username');
 
-    res.status(201).json(process.comments[process.comments.length - 1]);
+    await recordAudit(req, {
+      entityType: 'Process',
+      entityId: process._id,
+      action: 'revert',
+      before,
+      after: process,
+      metadata: { version }
+    });
+    await recordRevision({
+      entityType: 'Process',
+      doc: process,
+      before,
+      author: req.user,
+      action: 'revert',
+      revertedFrom: version
+    });
+
+    emitUpdate('Process', req.user, process, before, { revertedTo: version });
+
+    if (process.status !== before.status) {
+      await handleOccurrenceClosed('Process', process, req);
+      emitEvent(EVENT_TYPES.PROCESS_STATUS_CHANGED, {
+        actor: req.user,
+        process: summarize(process),
+        from: before.status,
+        to: process.status,
+        revertedTo: version
+      });
+    }
+
+    console.log(`✅ Processo ${process._id} restaurado para a versão ${version} por ${req.user.username}`);
+
+    await process.populate('responsible', 'name username email');
+    await process.populate('team', 'name username email');
+    await process.populate('createdBy', 'name username');
+
+    res.json(process);
 
   } catch (error) {
-    console.error('Erro ao adicionar comentário:', error.message);
+    console.error('Erro ao restaurar versão do processo:', error.message);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+// Deletar processo
+router.delete('/:id', managerAuth, async (req, res) => {
+  try {
+    const process = await Process.findById(req.params.id);
+
+    if (!process) {
+      return res.status(404).json({ error: 'Processo não encontrado' });
+    }
+
+    await Process.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      entityType: 'Process',
+      entityId: process._id,
+      action: 'delete',
+      before: process,
+      after: {}
+    });
+
+    emitEvent(EVENT_TYPES.PROCESS_DELETED, { actor: req.user, process: summarize(process) });
+
+    res.json({ message: 'Processo deletado com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao deletar processo:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Comentários: GET/POST /:id/comments, PUT/DELETE /:id/comments/:commentId e
+// GET /:id/comments/:commentId/history (rotas em services/comments)
+router.use('/:id/comments', auth, commentRoutes({
+  Model: Process,
+  entityType: 'Process',
+  key: 'process',
+  notFound: 'Processo não encontrado',
+  events: {
+    commented: EVENT_TYPES.PROCESS_COMMENTED,
+    edited: EVENT_TYPES.PROCESS_COMMENT_EDITED,
+    deleted: EVENT_TYPES.PROCESS_COMMENT_DELETED
+  }
+}));
+
 // Estatísticas de processos
 router.get('/stats/dashboard', auth, async (req, res) => {
   try {
@@ -0,0 +1,124 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Process = require('../models/Process');
+const { adminAuth, streamAuth, verifyAccessToken } = require('../middleware/auth');
+const {
+  openConnection,
+  closeConnection,
+  countUserConnections,
+  connectionStats
+} = require('../services/realtime');
+const { REALTIME_CONFIG, USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * Lê as assinaturas da query string:
+ * - process=<id>[,<id>...]: processos e suas tarefas
+ * - tasks=mine: tarefas atribuídas ao usuário
+ * - department=<nome>|mine: itens cujo responsável é do departamento
+ * Sem nenhum parâmetro, assina as tarefas do próprio usuário.
+ */
+async function parseSubscriptions(query, user) {
+  const errors = [];
+  const subscriptions = { processes: [], mine: false, department: null };
+
+  if (query.process !== undefined) {
+    const ids = [...new Set(String(query.process).split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ids.length > REALTIME_CONFIG.MAX_PROCESS_SUBSCRIPTIONS) {
+      errors.push(`Máximo de ${REALTIME_CONFIG.MAX_PROCESS_SUBSCRIPTIONS} processos por conexão`);
+    } else if (ids.some(id => !mongoose.isValidObjectId(id))) {
+      errors.push('process deve conter ids de processo separados por vírgula');
+    } else {
+      const found = await Process.find({ _id: { $in: ids } }).select('_id');
+      const foundIds = found.map(process => String(process._id));
+      const missing = ids.filter(id => !foundIds.includes(id));
+
+      if (missing.length > 0) {
+        errors.push(`Processos não encontrados: ${missing.join(', ')}`);
+      }
+      subscriptions.processes = ids;
+    }
+  }
+
+  if (query.tasks !== undefined) {
+    if (query.tasks !== 'mine') {
+      errors.push('tasks aceita apenas o valor "mine"');
+    }
+    subscriptions.mine = true;
+  }
+
+  if (query.department !== undefined) {
+    const department = String(query.department).trim();
+    const isManager = [USER_ROLES.ADMIN, USER_ROLES.MANAGER].includes(user.role);
+
+    if (department === 'mine' || department === user.department) {
+      if (!user.department) {
+        errors.push('Usuário não possui departamento');
+      }
+      subscriptions.department = user.department || null;
+    } else if (!department) {
+      errors.push('department não pode ser vazio');
+    } else if (!isManager) {
+      errors.push('Apenas administradores ou gerentes podem acompanhar outros departamentos');
+    } else {
+      subscriptions.department = department;
+    }
+  }
+
+  if (query.process === undefined && query.tasks === undefined && query.department === undefined) {
+    subscriptions.mine = true;
+  }
+
+  return { errors, subscriptions };
+}
+
+// Stream de eventos (Server-Sent Events). Aceita o token no header
+// Authorization ou em ?access_token= (EventSource não envia cabeçalhos)
+router.get('/stream', streamAuth, async (req, res) => {
+  try {
+    const { errors, subscriptions } = await parseSubscriptions(req.query, req.user);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Assinatura inválida', details: errors });
+    }
+
+    if (countUserConnections(req.user._id) >= REALTIME_CONFIG.MAX_CONNECTIONS_PER_USER) {
+      return res.status(429).json({
+        error: `Limite de ${REALTIME_CONFIG.MAX_CONNECTIONS_PER_USER} conexões simultâneas atingido`
+      });
+    }
+
+    const token = req.token;
+    const connection = openConnection({
+      res,
+      user: req.user,
+      subscriptions,
+      revalidate: () => verifyAccessToken(token)
+    });
+
+    // Sem timeout de socket enquanto a conexão estiver aberta
+    req.socket.setTimeout(0);
+    req.on('close', () => closeConnection(connection));
+
+    console.log(`📡 Realtime: ${req.user.username} conectado (${[
+      subscriptions.processes.length > 0 && `${subscriptions.processes.length} processo(s)`,
+      subscriptions.mine && 'minhas tarefas',
+      subscriptions.department && `departamento ${subscriptions.department}`
+    ].filter(Boolean).join(', ')})`);
+
+  } catch (error) {
+    console.error('Erro ao abrir stream em tempo real:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+});
+
+// Conexões abertas nesta instância (apenas admin)
+router.get('/connections', adminAuth, (req, res) => {
+  res.json(connectionStats());
+});
+
+module.exports = router;
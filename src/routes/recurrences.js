@@ -0,0 +1,426 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Recurrence = require('../models/Recurrence');
+const Process = require('../models/Process');
+const Task = require('../models/Task');
+const { auth, managerAuth } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const {
+  computeNextDate,
+  upcomingDates,
+  createSeries,
+  generateNext,
+  validateTemplateUpdates,
+  applyToOpenOccurrences
+} = require('../services/recurrences');
+const {
+  normalizeRule,
+  nextOccurrence,
+  toRRuleString,
+  describeRule
+} = require('../utils/recurrence');
+
+const router = express.Router();
+
+const ENTITY_TYPES = {
+  process: 'Process',
+  processes: 'Process',
+  task: 'Task',
+  tasks: 'Task'
+};
+
+const ENTITY_MODELS = { Process, Task };
+
+const TRIGGERS = ['completion', 'calendar'];
+
+const isManager = (user) => ['admin', 'manager'].includes(user.role);
+
+// Aceita "process", "processes", "Process", "task"...
+const resolveEntityType = (param) => ENTITY_TYPES[String(param).toLowerCase()];
+
+// Mesmo critério de edição das rotas de processos e tarefas
+const canEditSource = (entityType, doc, user) => isManager(user) ||
+  doc.createdBy.toString() === user._id.toString() ||
+  (entityType === 'Task' ? doc.assignedTo : doc.responsible).toString() === user._id.toString();
+
+const canManageSeries = (series, user) => isManager(user) ||
+  series.createdBy.toString() === user._id.toString();
+
+async function loadSeries(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Série recorrente não encontrada' });
+    return null;
+  }
+
+  const series = await Recurrence.findById(req.params.id);
+
+  if (!series) {
+    res.status(404).json({ error: 'Série recorrente não encontrada' });
+    return null;
+  }
+
+  if (!canManageSeries(series, req.user)) {
+    res.status(403).json({ error: 'Sem permissão para alterar esta série' });
+    return null;
+  }
+
+  return series;
+}
+
+function validateOptions({ trigger, leadDays }) {
+  if (trigger !== undefined && !TRIGGERS.includes(trigger)) {
+    return `trigger deve ser: ${TRIGGERS.join(', ')}`;
+  }
+  if (leadDays !== undefined && (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > 90)) {
+    return 'leadDays deve ser um inteiro entre 0 e 90';
+  }
+  return null;
+}
+
+function serializeSeries(series) {
+  return {
+    ...series.toObject(),
+    rrule: toRRuleString(series.rule),
+    description: describeRule(series.rule)
+  };
+}
+
+// Listar séries (usuários comuns veem as que criaram)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, entityType, active } = req.query;
+
+    const query = {};
+    if (!isManager(req.user)) query.createdBy = req.user._id;
+    if (entityType) query.entityType = resolveEntityType(entityType);
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const series = await Recurrence.find(query)
+      .populate('source', 'title status')
+      .populate('createdBy', 'name username')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Recurrence.countDocuments(query);
+
+    res.json({
+      recurrences: series.map(serializeSeries),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar recorrências:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Buscar série com ocorrências e próximas datas
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const occurrences = await ENTITY_MODELS[series.entityType]
+      .find({ 'recurrence.series': series._id })
+      .select('title status startDate dueDate completedDate recurrence')
+      .sort({ 'recurrence.index': 1 });
+
+    res.json({ ...serializeSeries(series), occurrences, upcoming: upcomingDates(series) });
+
+  } catch (error) {
+    console.error('Erro ao buscar recorrência:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Tornar uma tarefa ou processo recorrente
+router.post('/', auth, async (req, res) => {
+  try {
+    const { entityId, rule: ruleInput, trigger = 'completion', leadDays = 0 } = req.body;
+    const entityType = resolveEntityType(req.body.entityType);
+
+    if (!entityType || !mongoose.isValidObjectId(entityId)) {
+      return res.status(400).json({ error: 'entityType (task ou process) e entityId são obrigatórios' });
+    }
+
+    const { rule, errors } = normalizeRule(ruleInput);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Regra de recorrência inválida', details: errors });
+    }
+
+    const optionsError = validateOptions({ trigger, leadDays });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const doc = await ENTITY_MODELS[entityType].findById(entityId);
+
+    if (!doc) {
+      return res.status(404).json({ error: `${entityType === 'Task' ? 'Tarefa' : 'Processo'} não encontrado` });
+    }
+
+    if (!canEditSource(entityType, doc, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para tornar este item recorrente' });
+    }
+
+    // Subtarefas de um processo recorrente já são copiadas com ele
+    if (entityType === 'Task' && doc.process &&
+        await Recurrence.exists({ entityType: 'Process', source: doc.process, isActive: true })) {
+      return res.status(409).json({ error: 'A tarefa já é copiada pela recorrência do processo' });
+    }
+
+    const series = await createSeries({ entityType, doc, rule, trigger, leadDays, user: req.user });
+
+    await recordAudit(req, {
+      entityType: 'Recurrence',
+      entityId: series._id,
+      action: 'create',
+      after: series,
+      metadata: { source: doc._id, sourceType: entityType }
+    });
+
+    console.log(`🔁 Recorrência: série ${series._id} (${describeRule(series.rule)}) criada por ${req.user.username}`);
+
+    res.status(201).json(serializeSeries(series));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erro ao criar recorrência:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Editar a série: regra, gatilho e modelo das próximas ocorrências
+// (applyToOpen: true também altera as ocorrências em aberto)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (!series.isActive) {
+      return res.status(400).json({ error: 'Série encerrada não pode ser alterada' });
+    }
+
+    const { rule: ruleInput, trigger, leadDays, durationDays, updates, applyToOpen } = req.body;
+    const before = snapshot(series);
+
+    const optionsError = validateOptions({ trigger, leadDays });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    if (durationDays !== undefined && durationDays !== null &&
+        (!Number.isInteger(durationDays) || durationDays < 0)) {
+      return res.status(400).json({ error: 'durationDays deve ser um inteiro maior ou igual a zero' });
+    }
+
+    if (ruleInput !== undefined) {
+      const { rule, errors } = normalizeRule(ruleInput);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Regra de recorrência inválida', details: errors });
+      }
+      if (rule.count && rule.count < series.generatedCount) {
+        return res.status(400).json({ error: `count não pode ser menor que as ${series.generatedCount} ocorrências já criadas` });
+      }
+      series.rule = rule;
+    }
+
+    let templateValues;
+    if (updates !== undefined) {
+      const validation = await validateTemplateUpdates(series.entityType, updates, series.template);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error, details: validation.details });
+      }
+      templateValues = validation.values;
+      series.template = { ...series.template, ...templateValues };
+      series.markModified('template');
+    }
+
+    if (trigger !== undefined) series.trigger = trigger;
+    if (leadDays !== undefined) series.leadDays = leadDays;
+    if (durationDays !== undefined) series.durationDays = durationDays;
+
+    series.nextOccurrenceDate = computeNextDate(series, series.lastOccurrenceDate || series.dtstart);
+    series.updatedBy = req.user._id;
+    await series.save();
+
+    const updatedOccurrences = templateValues && applyToOpen
+      ? await applyToOpenOccurrences(series, templateValues, req)
+      : 0;
+
+    await recordAudit(req, {
+      entityType: 'Recurrence',
+      entityId: series._id,
+      action: 'update',
+      before,
+      after: series,
+      metadata: updatedOccurrences ? { updatedOccurrences } : undefined
+    });
+
+    res.json({ ...serializeSeries(series), updatedOccurrences });
+
+  } catch (error) {
+    console.error('Erro ao atualizar recorrência:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Pular uma data da série
+router.post('/:id/skip', auth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const { date, reason } = req.body;
+    const day = new Date(date);
+
+    if (!date || Number.isNaN(day.getTime())) {
+      return res.status(400).json({ error: 'date é obrigatória' });
+    }
+
+    // A data precisa ser uma das datas da regra (comparação pelo dia, em UTC)
+    const dayKey = day.toISOString().slice(0, 10);
+    const occurrenceDate = nextOccurrence(series.rule, series.dtstart, new Date(`${dayKey}T00:00:00.000Z`).getTime() - 1);
+
+    if (!occurrenceDate || occurrenceDate.toISOString().slice(0, 10) !== dayKey) {
+      return res.status(400).json({ error: 'A data não corresponde a nenhuma ocorrência da série' });
+    }
+
+    if (occurrenceDate <= series.lastOccurrenceDate) {
+      const existing = await ENTITY_MODELS[series.entityType]
+        .findOne({ 'recurrence.series': series._id, 'recurrence.occurrenceDate': occurrenceDate })
+        .select('_id status');
+
+      return res.status(409).json({
+        error: 'A ocorrência desta data já foi criada; cancele-a pelo workflow',
+        occurrence: existing
+      });
+    }
+
+    if (series.exceptions.some(exception => exception.date.toISOString().slice(0, 10) === dayKey)) {
+      return res.status(409).json({ error: 'Data já está pulada' });
+    }
+
+    const before = snapshot(series);
+    series.exceptions.push({ date: occurrenceDate, reason, by: req.user._id });
+    series.nextOccurrenceDate = computeNextDate(series, series.lastOccurrenceDate || series.dtstart);
+    series.updatedBy = req.user._id;
+    await series.save();
+
+    await recordAudit(req, {
+      entityType: 'Recurrence',
+      entityId: series._id,
+      action: 'skip',
+      before,
+      after: series,
+      metadata: { date: occurrenceDate, reason }
+    });
+
+    res.json(serializeSeries(series));
+
+  } catch (error) {
+    console.error('Erro ao pular ocorrência:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Desfazer o pulo de uma data (YYYY-MM-DD)
+router.delete('/:id/skip/:date', auth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const exception = series.exceptions.find(item => item.date.toISOString().slice(0, 10) === req.params.date);
+
+    if (!exception) {
+      return res.status(404).json({ error: 'Data não está pulada' });
+    }
+
+    const before = snapshot(series);
+    exception.deleteOne();
+    series.nextOccurrenceDate = computeNextDate(series, series.lastOccurrenceDate || series.dtstart);
+    series.updatedBy = req.user._id;
+    await series.save();
+
+    await recordAudit(req, {
+      entityType: 'Recurrence',
+      entityId: series._id,
+      action: 'update',
+      before,
+      after: series,
+      metadata: { unskipped: req.params.date }
+    });
+
+    res.json(serializeSeries(series));
+
+  } catch (error) {
+    console.error('Erro ao desfazer pulo da ocorrência:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Criar a próxima ocorrência agora (admin/manager)
+router.post('/:id/generate', managerAuth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (!series.isActive) {
+      return res.status(400).json({ error: 'Série encerrada' });
+    }
+
+    const doc = await generateNext(series, { req, reason: 'manual' });
+
+    if (!doc) {
+      return res.status(409).json({ error: 'Nenhuma ocorrência gerada (série terminou ou foi alterada ao mesmo tempo)' });
+    }
+
+    res.status(201).json(doc);
+
+  } catch (error) {
+    console.error('Erro ao gerar ocorrência:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Encerrar a série (as ocorrências já criadas são mantidas)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (!series.isActive) {
+      return res.status(400).json({ error: 'Série já encerrada' });
+    }
+
+    const before = snapshot(series);
+    series.isActive = false;
+    series.nextOccurrenceDate = null;
+    series.endedAt = new Date();
+    series.endedBy = req.user._id;
+    await series.save();
+
+    await recordAudit(req, {
+      entityType: 'Recurrence',
+      entityId: series._id,
+      action: 'delete',
+      before,
+      after: series
+    });
+
+    console.log(`🔁 Recorrência: série ${series._id} encerrada por ${req.user.username}`);
+
+    res.json({ message: 'Série encerrada com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao encerrar recorrência:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
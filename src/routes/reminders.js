@@ -0,0 +1,65 @@
+const express = require('express');
+const { adminAuth } = require('../middleware/auth');
+const {
+  getReminderPolicy,
+  validateReminderPolicy,
+  updateReminderPolicy
+} = require('../services/reminderPolicy');
+const { runReminders } = require('../services/reminders');
+
+const router = express.Router();
+
+const formatPolicy = (policy) => ({
+  enabled: policy.enabled,
+  reminderOffsetsHours: policy.reminderOffsetsHours,
+  escalateToResponsibleAfterHours: policy.escalateToResponsibleAfterHours,
+  escalateToManagerAfterHours: policy.escalateToManagerAfterHours,
+  updatedAt: policy.updatedAt,
+  updatedBy: policy.updatedBy
+});
+
+// Consultar política de lembretes (apenas admin)
+router.get('/policy', adminAuth, async (req, res) => {
+  try {
+    res.json(formatPolicy(await getReminderPolicy()));
+  } catch (error) {
+    console.error('❌ Lembretes: Erro ao buscar política:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Alterar deslocamentos dos lembretes e limites de escalonamento (apenas admin)
+router.put('/policy', adminAuth, async (req, res) => {
+  try {
+    const { errors, values } = validateReminderPolicy(req.body, await getReminderPolicy());
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Política inválida', details: errors });
+    }
+
+    const policy = await updateReminderPolicy(values, req.user._id);
+
+    console.log(`✅ Lembretes: Política atualizada por ${req.user.username}`);
+
+    res.json(formatPolicy(policy));
+
+  } catch (error) {
+    console.error('❌ Lembretes: Erro ao atualizar política:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Executar a verificação de prazos agora, fora do intervalo do scheduler (apenas admin)
+router.post('/run', adminAuth, async (req, res) => {
+  try {
+    const sent = await runReminders();
+
+    res.json({ message: 'Verificação de prazos executada', sent });
+
+  } catch (error) {
+    console.error('❌ Lembretes: Erro ao executar verificação:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,34 @@ const express = require('express');
 const Task = require('../models/Task');
 const Process = require('../models/Process');
 const { auth, managerAuth } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const { recordRevision, getHistory, applyRevision } = require('../services/revisions');
+const { getWorkflow, checkTransition, availableTransitions, isInitialState } = require('../services/workflow');
+const { recalculateProcessProgress, recalculateTaskAncestors } = require('../services/progressRollup');
+const { handleOccurrenceClosed } = require('../services/recurrences');
+const { EVENT_TYPES, emitEvent, emitUpdate, summarize } = require('../services/events');
+const {
+  validateParent,
+  ancestorsFor,
+  findDescendants,
+  buildTree,
+  moveSubtree
+} = require('../services/taskTree');
+const {
+  canManageChecklist,
+  canToggleItem,
+  validateItemInput,
+  validateOrder,
+  checklistProgress,
+  refreshChecklistProgress
+} = require('../services/checklist');
+const {
+  validateDependencies,
+  findOpenDependencies,
+  findBlockedTasks,
+  checkDependencyBlock
+} = require('../services/taskDependencies');
+const { commentRoutes } = require('../services/comments');
 
 const router = express.Router();
 
@@ -92,12 +120,15 @@ router.post('/', auth, async (req, res) => {
       status,
       priority,
       assignedTo,
-      process: processId,
       dueDate,
       estimatedHours,
       tags,
-      checklist
+      checklist,
+      dependencies,
+      overrideDependencies,
+      parentTask
     } = req.body;
+    let { process: processId } = req.body;
 
     // Validação mais robusta
     if (!title || !assignedTo) {
@@ -112,6 +143,25 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    if (status && !isInitialState(await getWorkflow('Task'), status)) {
+      console.log(`❌ Status inicial inválido: ${status}`);
+      return res.status(400).json({ error: `Status ${status} não pode ser usado na criação da tarefa` });
+    }
+
+    // Subtarefa fica no mesmo processo do pai
+    const parentValidation = await validateParent({ parentId: parentTask });
+    if (!parentValidation.valid) {
+      return res.status(parentValidation.status).json({ error: parentValidation.error });
+    }
+
+    const { parent } = parentValidation;
+    if (parent) {
+      if (processId && String(processId) !== String(parent.process)) {
+        return res.status(400).json({ error: 'Subtarefa deve pertencer ao mesmo processo da tarefa pai' });
+      }
+      processId = parent.process;
+    }
+
     // Verificar se o processo existe (se foi fornecido)
     if (processId) {
       const process = await Process.findById(processId);
@@ -121,6 +171,28 @@ router.post('/', auth, async (req, res) => {
       }
     }
 
+    const dependencyValidation = await validateDependencies({ processId, dependencies });
+    if (!dependencyValidation.valid) {
+      console.log(`❌ Dependências inválidas: ${dependencyValidation.error}`);
+      return res.status(dependencyValidation.status).json({
+        error: dependencyValidation.error,
+        ...dependencyValidation.details
+      });
+    }
+
+    const dependencyCheck = await checkDependencyBlock({
+      status,
+      dependencies,
+      user: req.user,
+      override: overrideDependencies
+    });
+    if (!dependencyCheck.allowed) {
+      return res.status(dependencyCheck.status).json({
+        error: dependencyCheck.error,
+        blockedBy: dependencyCheck.blockedBy
+      });
+    }
+
     console.log(`✅ Criando tarefa: ${title}`);
 
     const task = new Task({
@@ -134,11 +206,30 @@ router.post('/', auth, async (req, res) => {
       estimatedHours: estimatedHours || 0,
       tags: tags || [],
       checklist: checklist || [],
+      dependencies: dependencies || [],
+      parentTask: parent ? parent._id : null,
+      ancestors: ancestorsFor(parent),
       createdBy: req.user._id,
       progress: 0
     });
 
     await task.save();
+
+    await recordAudit(req, {
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'create',
+      after: task,
+      metadata: dependencyCheck.overridden
+        ? { overriddenDependencies: dependencyCheck.overridden.map(dependency => dependency._id) }
+        : undefined
+    });
+    await recordRevision({ entityType: 'Task', doc: task, author: req.user, action: 'create' });
+    await recalculateTaskAncestors(task.parentTask, req, task._id);
+    await recalculateProcessProgress(task.process, req, task._id);
+
+    emitEvent(EVENT_TYPES.TASK_CREATED, { actor: req.user, task: summarize(task) });
+    emitEvent(EVENT_TYPES.TASK_ASSIGNED, { actor: req.user, task: summarize(task), assignee: task.assignedTo });
     
     await task.populate('assignedTo', 'name username email');
     if (processId) {
@@ -174,7 +265,72 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Sem permissão para editar esta tarefa' });
     }
 
-    const updates = req.body;
+    const { overrideDependencies, ...updates } = req.body;
+    const before = snapshot(task);
+
+    // Horas realizadas vêm dos apontamentos (/api/time-entries)
+    delete updates.actualHours;
+
+    // Hierarquia muda apenas por PUT /api/tasks/:id/move
+    delete updates.parentTask;
+    delete updates.ancestors;
+
+    // Vínculo com a série é mantido por /api/recurrences
+    delete updates.recurrence;
+    delete updates.reminderHistory;
+
+    // Comentários são alterados por /:id/comments (autoria, histórico e exclusão)
+    delete updates.comments;
+
+    if (updates.process && String(updates.process) !== String(task.process) &&
+        (task.parentTask || await Task.exists({ parentTask: task._id }))) {
+      return res.status(409).json({ error: 'Use PUT /api/tasks/:id/move para trocar o processo de uma tarefa com pai ou subtarefas' });
+    }
+
+    const nextProcess = updates.process ?? task.process;
+    const nextDependencies = updates.dependencies ?? task.dependencies;
+
+    if (updates.dependencies !== undefined || String(nextProcess) !== String(task.process)) {
+      const validation = await validateDependencies({
+        taskId: task._id,
+        processId: nextProcess,
+        dependencies: nextDependencies
+      });
+
+      if (!validation.valid) {
+        return res.status(validation.status).json({ error: validation.error, ...validation.details });
+      }
+    }
+
+    let dependencyCheck = { allowed: true };
+
+    // Mudança de status precisa seguir o workflow configurado
+    if (updates.status && updates.status !== task.status) {
+      const workflow = await getWorkflow('Task');
+      const transition = checkTransition(workflow, task.status, updates.status, req.user, updates);
+
+      if (!transition.allowed) {
+        return res.status(transition.status).json({
+          error: transition.error,
+          missingFields: transition.missingFields
+        });
+      }
+
+      // Iniciar ou concluir exige dependências resolvidas
+      dependencyCheck = await checkDependencyBlock({
+        status: updates.status,
+        dependencies: nextDependencies,
+        user: req.user,
+        override: overrideDependencies
+      });
+
+      if (!dependencyCheck.allowed) {
+        return res.status(dependencyCheck.status).json({
+          error: dependencyCheck.error,
+          blockedBy: dependencyCheck.blockedBy
+        });
+      }
+    }
     
     // Se status mudou para CONCLUIDA, definir data de conclusão
     if (updates.status === 'CONCLUIDA' && task.status !== 'CONCLUIDA') {
@@ -185,6 +341,36 @@ router.put('/:id', auth, async (req, res) => {
     Object.assign(task, updates);
     await task.save();
 
+    await recordAudit(req, {
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'update',
+      before,
+      after: task,
+      metadata: dependencyCheck.overridden
+        ? { overriddenDependencies: dependencyCheck.overridden.map(dependency => dependency._id) }
+        : undefined
+    });
+    await recordRevision({ entityType: 'Task', doc: task, before, author: req.user });
+    await recalculateTaskAncestors(task.parentTask, req, task._id);
+    await recalculateProcessProgress([before.process, task.process], req, task._id);
+
+    emitUpdate('Task', req.user, task, before);
+
+    if (task.status !== before.status) {
+      await handleOccurrenceClosed('Task', task, req);
+      emitEvent(EVENT_TYPES.TASK_STATUS_CHANGED, {
+        actor: req.user,
+        task: summarize(task),
+        from: before.status,
+        to: task.status
+      });
+    }
+
+    if (String(task.assignedTo) !== String(before.assignedTo)) {
+      emitEvent(EVENT_TYPES.TASK_ASSIGNED, { actor: req.user, task: summarize(task), assignee: task.assignedTo });
+    }
+
     await task.populate('assignedTo', 'name username email');
     await task.populate('process', 'title status');
     await task.populate('createdBy', 'name username');
@@ -197,7 +383,311 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Deletar tarefa
+// Transições de status disponíveis para o usuário logado
+router.get('/:id/transitions', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('status createdBy assignedTo');
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    const canEdit = task.createdBy.toString() === req.user._id.toString() ||
+                   task.assignedTo.toString() === req.user._id.toString() ||
+                   ['admin', 'manager'].includes(req.user.role);
+
+    const workflow = await getWorkflow('Task');
+
+    res.json({
+      currentStatus: task.status,
+      transitions: canEdit ? availableTransitions(workflow, task.status, req.user) : []
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar transições da tarefa:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Histórico de alterações da tarefa
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('_id');
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    const history = await getHistory('Task', task._id);
+
+    res.json(history);
+
+  } catch (error) {
+    console.error('Erro ao buscar histórico da tarefa:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Restaurar uma versão anterior da tarefa (apenas admin/manager)
+router.post('/:id/revert/:version', managerAuth, async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'Versão inválida' });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    const before = snapshot(task);
+    const revision = await applyRevision('Task', task, version);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+
+    // A versão antiga pode apontar para dependências que hoje fecham um ciclo
+    const validation = await validateDependencies({
+      taskId: task._id,
+      processId: task.process,
+      dependencies: task.dependencies
+    });
+
+    if (!validation.valid) {
+      return res.status(409).json({
+        error: `Não é possível restaurar a versão ${version}: ${validation.error}`,
+        ...validation.details
+      });
+    }
+
+    let dependencyCheck = { allowed: true };
+
+    // Voltar o status é uma transição como outra qualquer: precisa ser permitida
+    // pelo workflow e respeitar as dependências em aberto
+    if (task.status !== before.status) {
+      const workflow = await getWorkflow('Task');
+      const transition = checkTransition(workflow, before.status, task.status, req.user, task.toObject());
+
+      if (!transition.allowed) {
+        return res.status(409).json({
+          error: `Não é possível restaurar a versão ${version}: ${transition.error}`,
+          missingFields: transition.missingFields
+        });
+      }
+
+      dependencyCheck = await checkDependencyBlock({
+        status: task.status,
+        dependencies: task.dependencies,
+        user: req.user,
+        override: req.body?.overrideDependencies
+      });
+
+      if (!dependencyCheck.allowed) {
+        return res.status(dependencyCheck.status).json({
+          error: `Não é possível restaurar a versão ${version}: ${dependencyCheck.error}`,
+          blockedBy: dependencyCheck.blockedBy
+        });
+      }
+    }
+
+    await task.save();
+
+    await recordAudit(req, {
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'revert',
+      before,
+      after: task,
+      metadata: dependencyCheck.overridden
+        ? { version, overriddenDependencies: dependencyCheck.overridden.map(dependency => dependency._id) }
+        : { version }
+    });
+    await recordRevision({
+      entityType: 'Task',
+      doc: task,
+      before,
+      author: req.user,
+      action: 'revert',
+      revertedFrom: version
+    });
+    await recalculateTaskAncestors(task.parentTask, req, task._id);
+    await recalculateProcessProgress([before.process, task.process], req, task._id);
+
+    emitUpdate('Task', req.user, task, before, { revertedTo: version });
+
+    if (task.status !== before.status) {
+      await handleOccurrenceClosed('Task', task, req);
+      emitEvent(EVENT_TYPES.TASK_STATUS_CHANGED, {
+        actor: req.user,
+        task: summarize(task),
+        from: before.status,
+        to: task.status,
+        revertedTo: version
+      });
+    }
+
+    console.log(`✅ Tarefa ${task._id} restaurada para a versão ${version} por ${req.user.username}`);
+
+    await task.populate('assignedTo', 'name username email');
+    await task.populate('process', 'title status');
+    await task.populate('createdBy', 'name username');
+
+    res.json(task);
+
+  } catch (error) {
+    console.error('Erro ao restaurar versão da tarefa:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Dependências em aberto que impedem a tarefa de iniciar/concluir
+router.get('/:id/blocked-by', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('status dependencies');
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    const tasks = await findOpenDependencies(task.dependencies);
+    await Task.populate(tasks, { path: 'assignedTo', select: 'name username email' });
+
+    res.json({
+      blocked: tasks.length > 0,
+      tasks
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar dependências em aberto:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Tarefas que estão esperando esta ser concluída
+router.get('/:id/blocking', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('status');
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    const tasks = await findBlockedTasks(task);
+    await Task.populate(tasks, { path: 'assignedTo', select: 'name username email' });
+
+    res.json({
+      blocking: tasks.length > 0,
+      tasks
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar tarefas bloqueadas:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Árvore de subtarefas a partir da tarefa
+router.get('/:id/tree', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .populate('assignedTo', 'name username email');
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    const descendants = await Task.find({ ancestors: task._id })
+      .populate('assignedTo', 'name username email');
+
+    res.json({
+      ancestors: await Task.find({ _id: { $in: task.ancestors } }).select('title status'),
+      tree: buildTree(task, descendants),
+      total: descendants.length + 1
+    });
+
+  } catch (error) {
+    console.error('Erro ao montar árvore da tarefa:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Mover tarefa (com suas subtarefas) para outro pai e/ou processo
+router.put('/:id/move', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    const canEdit = task.createdBy.toString() === req.user._id.toString() ||
+                   task.assignedTo.toString() === req.user._id.toString() ||
+                   ['admin', 'manager'].includes(req.user.role);
+
+    if (!canEdit) {
+      return res.status(403).json({ error: 'Sem permissão para mover esta tarefa' });
+    }
+
+    const { parentTask = null, process: processId } = req.body;
+
+    const validation = await validateParent({ parentId: parentTask, task });
+    if (!validation.valid) {
+      return res.status(validation.status).json({ error: validation.error });
+    }
+
+    const { parent } = validation;
+    let targetProcess = processId || task.process;
+
+    if (parent) {
+      if (processId && String(processId) !== String(parent.process)) {
+        return res.status(400).json({ error: 'A tarefa pai pertence a outro processo' });
+      }
+      targetProcess = parent.process;
+    } else if (!(await Process.exists({ _id: targetProcess }))) {
+      return res.status(404).json({ error: 'Processo não encontrado' });
+    }
+
+    const before = snapshot(task);
+    const result = await moveSubtree(task, { parent, processId: targetProcess });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const moved = await Task.findById(task._id);
+
+    await recordAudit(req, {
+      entityType: 'Task',
+      entityId: task._id,
+      action: 'move',
+      before,
+      after: moved,
+      metadata: { subtreeSize: result.moved }
+    });
+
+    await recalculateTaskAncestors([before.parentTask, moved.parentTask], req, task._id);
+    await recalculateProcessProgress([before.process, moved.process], req, task._id);
+
+    emitUpdate('Task', req.user, moved, before, { subtreeSize: result.moved });
+
+    console.log(`✅ Tarefa ${task._id} movida com ${result.moved - 1} subtarefa(s) por ${req.user.username}`);
+
+    await moved.populate('assignedTo', 'name username email');
+    await moved.populate('process', 'title status');
+
+    res.json(moved);
+
+  } catch (error) {
+    console.error('Erro ao mover tarefa:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Deletar tarefa (com ?cascade=true, remove também as subtarefas)
 router.delete('/:id', managerAuth, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
@@ -206,9 +696,45 @@ router.delete('/:id', managerAuth, async (req, res) => {
       return res.status(404).json({ error: 'Tarefa não encontrada' });
     }
 
-    await Task.findByIdAndDelete(req.params.id);
+    const descendants = await findDescendants(task._id);
 
-    res.json({ message: 'Tarefa deletada com sucesso' });
+    if (descendants.length > 0 && req.query.cascade !== 'true') {
+      return res.status(409).json({
+        error: `Tarefa possui ${descendants.length} subtarefa(s). Mova-as ou use ?cascade=true`
+      });
+    }
+
+    const removed = [task, ...descendants];
+    const removedIds = removed.map(item => item._id);
+
+    await Task.deleteMany({ _id: { $in: removedIds } });
+
+    // Tarefas que dependiam das removidas deixam de esperar por elas
+    await Task.updateMany(
+      { dependencies: { $in: removedIds } },
+      { $pull: { dependencies: { $in: removedIds } } }
+    );
+
+    for (const item of removed) {
+      await recordAudit(req, {
+        entityType: 'Task',
+        entityId: item._id,
+        action: 'delete',
+        before: item,
+        after: {},
+        metadata: item === task ? undefined : { cascadeFrom: task._id }
+      });
+      emitEvent(EVENT_TYPES.TASK_DELETED, {
+        actor: req.user,
+        task: summarize(item),
+        cascadeFrom: item === task ? undefined : task._id
+      });
+    }
+
+    await recalculateTaskAncestors(task.parentTask, req, task._id);
+    await recalculateProcessProgress(task.process, req, task._id);
+
+    res.json({ message: 'Tarefa deletada com sucesso', deleted: removed.length });
 
   } catch (error) {
     console.error('Erro ao deletar tarefa:', error.message);
@@ -216,68 +742,184 @@ router.delete('/:id', managerAuth, async (req, res) => {
   }
 });
 
-// Adicionar comentário
-router.post('/:id/comments', auth, async (req, res) => {
+// Comentários: GET/POST /:id/comments, PUT/DELETE /:id/comments/:commentId e
+// GET /:id/comments/:commentId/history (rotas em services/comments)
+router.use('/:id/comments', auth, commentRoutes({
+  Model: Task,
+  entityType: 'Task',
+  key: 'task',
+  notFound: 'Tarefa não encontrada',
+  events: {
+    commented: EVENT_TYPES.TASK_COMMENTED,
+    edited: EVENT_TYPES.TASK_COMMENT_EDITED,
+    deleted: EVENT_TYPES.TASK_COMMENT_DELETED
+  }
+}));
+
+// Salva uma alteração no checklist e propaga o progresso
+async function saveChecklistChange(req, task, before, metadata) {
+  await refreshChecklistProgress(task);
+  await task.save();
+
+  await recordAudit(req, {
+    entityType: 'Task',
+    entityId: task._id,
+    action: 'checklist',
+    before,
+    after: task,
+    metadata
+  });
+  await recordRevision({ entityType: 'Task', doc: task, before, author: req.user });
+  await recalculateTaskAncestors(task.parentTask, req, task._id);
+  await recalculateProcessProgress(task.process, req, task._id);
+
+  emitUpdate('Task', req.user, task, before, { checklist: metadata });
+}
+
+// Itens do checklist da tarefa
+router.get('/:id/checklist', auth, async (req, res) => {
   try {
-    const { text } = req.body;
+    const task = await Task.findById(req.params.id)
+      .select('checklist progress')
+      .populate('checklist.assignedTo', 'name username email')
+      .populate('checklist.completedBy', 'name username');
 
-    if (!text) {
-      return res.status(400).json({ error: 'Texto do comentário é obrigatório' });
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
     }
 
+    res.json({
+      checklist: task.checklist,
+      total: task.checklist.length,
+      completed: task.checklist.filter(item => item.completed).length,
+      progress: checklistProgress(task.checklist)
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar checklist:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Adicionar item ao checklist (opcionalmente em uma posição)
+router.post('/:id/checklist', auth, async (req, res) => {
+  try {
     const task = await Task.findById(req.params.id);
 
     if (!task) {
       return res.status(404).json({ error: 'Tarefa não encontrada' });
     }
 
-    task.comments.push({
-      user: req.user._id,
-      text
-    });
+    if (!canManageChecklist(task, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para alterar o checklist desta tarefa' });
+    }
 
-    await task.save();
-    await task.populate('comments.user', 'name username');
+    const validation = await validateItemInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { position } = req.body;
+    if (position !== undefined &&
+        (!Number.isInteger(position) || position < 0 || position > task.checklist.length)) {
+      return res.status(400).json({ error: `position deve ser um inteiro entre 0 e ${task.checklist.length}` });
+    }
+
+    const before = snapshot(task);
+    const index = position === undefined ? task.checklist.length : position;
+    task.checklist.splice(index, 0, validation.values);
+    const item = task.checklist[index];
+
+    await saveChecklistChange(req, task, before, { itemId: item._id, operation: 'add' });
+
+    res.status(201).json(item);
+
+  } catch (error) {
+    console.error('Erro ao adicionar item do checklist:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
 
-    res.status(201).json(task.comments[task.comments.length - 1]);
+// Reordenar itens do checklist
+router.put('/:id/checklist/reorder', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    if (!canManageChecklist(task, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para alterar o checklist desta tarefa' });
+    }
+
+    const { order } = req.body;
+    const orderError = validateOrder(task.checklist, order);
+    if (orderError) {
+      return res.status(400).json({ error: orderError });
+    }
+
+    const before = snapshot(task);
+    const items = task.checklist.map(item => item.toObject());
+    task.checklist = order.map(id => items.find(item => item._id.toString() === String(id)));
+
+    await saveChecklistChange(req, task, before, { operation: 'reorder' });
+
+    res.json(task.checklist);
 
   } catch (error) {
-    console.error('Erro ao adicionar comentário:', error.message);
+    console.error('Erro ao reordenar checklist:', error.message);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
-// Atualizar checklist
+// Atualizar item do checklist (marcar, renomear, responsável e prazo)
 router.put('/:id/checklist/:itemId', auth, async (req, res) => {
   try {
-    const { completed } = req.body;
     const task = await Task.findById(req.params.id);
 
     if (!task) {
       return res.status(404).json({ error: 'Tarefa não encontrada' });
     }
 
+    const before = snapshot(task);
     const checklistItem = task.checklist.id(req.params.itemId);
     
     if (!checklistItem) {
       return res.status(404).json({ error: 'Item do checklist não encontrado' });
     }
 
-    checklistItem.completed = completed;
-    if (completed) {
-      checklistItem.completedAt = new Date();
-      checklistItem.completedBy = req.user._id;
-    } else {
-      checklistItem.completedAt = undefined;
-      checklistItem.completedBy = undefined;
+    const { completed, ...fields } = req.body;
+    const editsFields = ['item', 'assignedTo', 'dueDate'].some(field => fields[field] !== undefined);
+
+    // O responsável pelo item só pode marcá-lo; os demais campos exigem permissão na tarefa
+    if (editsFields ? !canManageChecklist(task, req.user) : !canToggleItem(task, checklistItem, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para alterar este item do checklist' });
     }
 
-    // Calcular progresso baseado no checklist
-    const totalItems = task.checklist.length;
-    const completedItems = task.checklist.filter(item => item.completed).length;
-    task.progress = totalItems > 0 ? Math.round((completedItems / totalItems) * 100) : 0;
+    const validation = await validateItemInput(fields, { partial: true });
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
 
-    await task.save();
+    Object.assign(checklistItem, validation.values);
+
+    if (completed !== undefined && !!completed !== checklistItem.completed) {
+      checklistItem.completed = !!completed;
+      if (completed) {
+        checklistItem.completedAt = new Date();
+        checklistItem.completedBy = req.user._id;
+      } else {
+        checklistItem.completedAt = undefined;
+        checklistItem.completedBy = undefined;
+      }
+    }
+
+    await saveChecklistChange(req, task, before, {
+      itemId: checklistItem._id,
+      operation: 'update',
+      completed: checklistItem.completed
+    });
 
     res.json(task);
 
@@ -287,6 +929,118 @@ router.put('/:id/checklist/:itemId', auth, async (req, res) => {
   }
 });
 
+// Remover item do checklist
+router.delete('/:id/checklist/:itemId', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    if (!canManageChecklist(task, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para alterar o checklist desta tarefa' });
+    }
+
+    const checklistItem = task.checklist.id(req.params.itemId);
+
+    if (!checklistItem) {
+      return res.status(404).json({ error: 'Item do checklist não encontrado' });
+    }
+
+    const before = snapshot(task);
+    checklistItem.deleteOne();
+
+    await saveChecklistChange(req, task, before, { itemId: checklistItem._id, operation: 'remove' });
+
+    res.json({ message: 'Item do checklist removido com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao remover item do checklist:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Converter item do checklist em tarefa (subtarefa, por padrão)
+router.post('/:id/checklist/:itemId/convert', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    if (!canManageChecklist(task, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para alterar o checklist desta tarefa' });
+    }
+
+    const checklistItem = task.checklist.id(req.params.itemId);
+
+    if (!checklistItem) {
+      return res.status(404).json({ error: 'Item do checklist não encontrado' });
+    }
+
+    if (checklistItem.completed) {
+      return res.status(400).json({ error: 'Item já concluído não pode ser convertido em tarefa' });
+    }
+
+    const { asSubtask = true, description, priority, estimatedHours } = req.body;
+
+    const converted = new Task({
+      title: checklistItem.item,
+      description,
+      status: 'PENDENTE',
+      priority: priority || task.priority,
+      assignedTo: checklistItem.assignedTo || task.assignedTo,
+      process: task.process,
+      dueDate: checklistItem.dueDate || task.dueDate,
+      estimatedHours: estimatedHours || 0,
+      parentTask: asSubtask ? task._id : null,
+      ancestors: asSubtask ? ancestorsFor(task) : [],
+      createdBy: req.user._id,
+      progress: 0
+    });
+
+    const before = snapshot(task);
+    const itemId = checklistItem._id;
+
+    await converted.save();
+    checklistItem.deleteOne();
+
+    await recordAudit(req, {
+      entityType: 'Task',
+      entityId: converted._id,
+      action: 'create',
+      after: converted,
+      metadata: { convertedFrom: { task: task._id, itemId } }
+    });
+    await recordRevision({ entityType: 'Task', doc: converted, author: req.user, action: 'create' });
+    await saveChecklistChange(req, task, before, { itemId, operation: 'convert', convertedTo: converted._id });
+
+    // A tarefa ganhou uma subtarefa: o progresso passa a vir das filhas
+    if (converted.parentTask) {
+      await recalculateTaskAncestors(converted.parentTask, req, converted._id);
+      await recalculateProcessProgress(task.process, req, converted._id);
+    }
+
+    emitEvent(EVENT_TYPES.TASK_CREATED, { actor: req.user, task: summarize(converted), convertedFrom: task._id });
+    emitEvent(EVENT_TYPES.TASK_ASSIGNED, { actor: req.user, task: summarize(converted), assignee: converted.assignedTo });
+
+    console.log(`✅ Item do checklist convertido na tarefa ${converted._id} por ${req.user.username}`);
+
+    await converted.populate('assignedTo', 'name username email');
+    if (converted.process) {
+      await converted.populate('process', 'title status');
+    }
+
+    res.status(201).json(converted);
+
+  } catch (error) {
+    console.error('Erro ao converter item do checklist:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Tarefas do usuário logado
 router.get('/my/tasks', auth, async (req, res) => {
   try {
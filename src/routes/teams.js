@@ -2,7 +2,10 @@ const express = require('express');
 const User = require('../models/User');
 const Process = require('../models/Process');
 const Task = require('../models/Task');
+const Timesheet = require('../models/Timesheet');
+const TimeEntry = require('../models/TimeEntry');
 const { auth, managerAuth } = require('../middleware/auth');
+const { parseWeek, weekRange } = require('../services/timesheets');
 
 const router = express.Router();
 
@@ -280,6 +283,110 @@ router.get('/departments', auth, async (req, res) => {
   }
 });
 
+// Resumo semanal das folhas de horas por departamento
+router.get('/timesheets', managerAuth, async (req, res) => {
+  try {
+    const { week, department } = req.query;
+    const weekStart = parseWeek(week);
+
+    if (!weekStart) {
+      return res.status(400).json({ error: 'Semana inválida. Use YYYY-MM-DD' });
+    }
+
+    const { start, end } = weekRange(weekStart);
+
+    // Mesmo agrupamento de /departments: usuários ativos com departamento preenchido
+    const userFilter = {
+      department: department || { $exists: true, $nin: [null, ''] },
+      isActive: true
+    };
+
+    const members = await User.find(userFilter).select('name username department');
+    const memberIds = members.map(member => member._id);
+
+    const [timesheets, loggedMinutes] = await Promise.all([
+      Timesheet.find({ user: { $in: memberIds }, weekStart }).select('user status totalMinutes'),
+      TimeEntry.aggregate([
+        {
+          $match: {
+            user: { $in: memberIds },
+            isRunning: false,
+            startedAt: { $gte: start, $lt: end }
+          }
+        },
+        {
+          $group: {
+            _id: '$user',
+            minutes: { $sum: '$durationMinutes' }
+          }
+        }
+      ])
+    ]);
+
+    const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+    const sheetByUser = new Map(timesheets.map(sheet => [sheet.user.toString(), sheet]));
+    const minutesByUser = new Map(loggedMinutes.map(item => [item._id.toString(), item.minutes]));
+    const departments = new Map();
+
+    members.forEach(member => {
+      if (!departments.has(member.department)) {
+        departments.set(member.department, {
+          department: member.department,
+          memberCount: 0,
+          submitted: 0,
+          approved: 0,
+          rejected: 0,
+          notSubmitted: 0,
+          loggedMinutes: 0,
+          approvedMinutes: 0,
+          members: []
+        });
+      }
+
+      const group = departments.get(member.department);
+      const sheet = sheetByUser.get(member._id.toString());
+      const minutes = minutesByUser.get(member._id.toString()) || 0;
+
+      group.memberCount += 1;
+      group.loggedMinutes += minutes;
+
+      if (!sheet) group.notSubmitted += 1;
+      else if (sheet.status === 'ENVIADO') group.submitted += 1;
+      else if (sheet.status === 'APROVADO') {
+        group.approved += 1;
+        group.approvedMinutes += sheet.totalMinutes;
+      } else if (sheet.status === 'REJEITADO') group.rejected += 1;
+
+      group.members.push({
+        _id: member._id,
+        name: member.name,
+        username: member.username,
+        status: sheet ? sheet.status : 'ABERTO',
+        timesheet: sheet ? sheet._id : null,
+        loggedHours: toHours(minutes)
+      });
+    });
+
+    const summary = [...departments.values()]
+      .sort((a, b) => a.department.localeCompare(b.department))
+      .map(({ loggedMinutes: logged, approvedMinutes: approved, ...group }) => ({
+        ...group,
+        loggedHours: toHours(logged),
+        approvedHours: toHours(approved)
+      }));
+
+    res.json({
+      weekStart: start,
+      weekEnd: end,
+      departments: summary
+    });
+
+  } catch (error) {
+    console.error('Erro ao gerar resumo de folhas de horas:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Relatório de produtividade da equipe
 router.get('/productivity-report', managerAuth, async (req, res) => {
   try {
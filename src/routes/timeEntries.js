@@ -0,0 +1,398 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const { auth } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const {
+  MAX_ENTRY_MINUTES,
+  minutesBetween,
+  canLogTime,
+  canEditEntry,
+  validatePeriod,
+  syncActualHours
+} = require('../services/timeTracking');
+const { findLockingTimesheet } = require('../services/timesheets');
+
+const router = express.Router();
+
+const populateEntry = async (entry) => {
+  await entry.populate('user', 'name username email');
+  await entry.populate('task', 'title status');
+  return entry;
+};
+
+// Semana enviada ou aprovada não aceita mudanças nos apontamentos
+const ensureWeeksOpen = async (res, userId, dates) => {
+  for (const date of dates) {
+    const timesheet = await findLockingTimesheet(userId, date);
+
+    if (timesheet) {
+      res.status(409).json({
+        error: `Semana de ${timesheet.weekStart.toISOString().slice(0, 10)} está travada (folha de horas ${timesheet.status})`
+      });
+      return false;
+    }
+  }
+  return true;
+};
+
+// Listar apontamentos (usuário comum vê apenas os próprios)
+router.get('/', auth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      user,
+      task,
+      process: processId,
+      from,
+      to
+    } = req.query;
+
+    if ([user, task, processId].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Filtro com id inválido' });
+    }
+
+    // Convertidos para ObjectId porque a mesma query é usada no aggregate
+    const toId = (id) => new mongoose.Types.ObjectId(String(id));
+    const query = {};
+
+    if (['admin', 'manager'].includes(req.user.role)) {
+      if (user) query.user = toId(user);
+    } else {
+      query.user = req.user._id;
+    }
+
+    if (task) query.task = toId(task);
+    if (processId) query.process = toId(processId);
+
+    if (from || to) {
+      query.startedAt = {};
+      if (from) query.startedAt.$gte = new Date(from);
+      if (to) query.startedAt.$lte = new Date(to);
+    }
+
+    const entries = await TimeEntry.find(query)
+      .populate('user', 'name username email')
+      .populate('task', 'title status')
+      .sort({ startedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await TimeEntry.countDocuments(query);
+
+    const [totals] = await TimeEntry.aggregate([
+      { $match: { ...query, isRunning: false } },
+      { $group: { _id: null, minutes: { $sum: '$durationMinutes' } } }
+    ]);
+
+    res.json({
+      entries,
+      totalHours: Math.round(((totals?.minutes || 0) / 60) * 100) / 100,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar apontamentos:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Cronômetro em andamento do usuário logado
+router.get('/running', auth, async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user._id, isRunning: true })
+      .populate('task', 'title status');
+
+    res.json({ running: !!entry, entry });
+
+  } catch (error) {
+    console.error('Erro ao buscar cronômetro:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Iniciar cronômetro em uma tarefa
+router.post('/start', auth, async (req, res) => {
+  try {
+    const { task: taskId, notes } = req.body;
+
+    if (!taskId || !mongoose.isValidObjectId(taskId)) {
+      return res.status(400).json({ error: 'Tarefa é obrigatória' });
+    }
+
+    const task = await Task.findById(taskId).select('process assignedTo createdBy');
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    if (!canLogTime(task, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para apontar horas nesta tarefa' });
+    }
+
+    const running = await TimeEntry.findOne({ user: req.user._id, isRunning: true });
+    if (running) {
+      return res.status(409).json({ error: 'Já existe um cronômetro em andamento', entry: running });
+    }
+
+    if (!(await ensureWeeksOpen(res, req.user._id, [new Date()]))) return;
+
+    const entry = new TimeEntry({
+      user: req.user._id,
+      task: task._id,
+      process: task.process,
+      startedAt: new Date(),
+      isRunning: true,
+      source: 'timer',
+      notes
+    });
+
+    try {
+      await entry.save();
+    } catch (error) {
+      // Duas requisições simultâneas: o índice único barra a segunda
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Já existe um cronômetro em andamento' });
+      }
+      throw error;
+    }
+
+    console.log(`⏱️ Cronômetro iniciado por ${req.user.username} na tarefa ${task._id}`);
+
+    res.status(201).json(await populateEntry(entry));
+
+  } catch (error) {
+    console.error('Erro ao iniciar cronômetro:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Parar o cronômetro em andamento
+router.post('/stop', auth, async (req, res) => {
+  try {
+    const { notes } = req.body;
+    const entry = await TimeEntry.findOne({ user: req.user._id, isRunning: true });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Nenhum cronômetro em andamento' });
+    }
+
+    if (!(await ensureWeeksOpen(res, entry.user, [entry.startedAt]))) return;
+
+    let endedAt = new Date();
+    let capped = false;
+
+    // Cronômetro esquecido ligado: limita ao máximo de um apontamento
+    if (minutesBetween(entry.startedAt, endedAt) > MAX_ENTRY_MINUTES) {
+      endedAt = new Date(entry.startedAt.getTime() + MAX_ENTRY_MINUTES * 60000);
+      capped = true;
+    }
+
+    entry.endedAt = endedAt;
+    entry.durationMinutes = minutesBetween(entry.startedAt, endedAt);
+    entry.isRunning = false;
+    if (notes !== undefined) entry.notes = notes;
+
+    await entry.save();
+    await syncActualHours(entry.task);
+
+    await recordAudit(req, {
+      entityType: 'TimeEntry',
+      entityId: entry._id,
+      action: 'create',
+      after: entry,
+      metadata: { task: entry.task, source: 'timer', capped }
+    });
+
+    console.log(`⏱️ Cronômetro parado por ${req.user.username}: ${entry.durationMinutes} min`);
+
+    res.json({ ...(await populateEntry(entry)).toJSON(), capped });
+
+  } catch (error) {
+    console.error('Erro ao parar cronômetro:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Apontamento manual
+router.post('/', auth, async (req, res) => {
+  try {
+    const { task: taskId, startedAt, endedAt, durationMinutes, notes } = req.body;
+
+    if (!taskId || !mongoose.isValidObjectId(taskId) || !startedAt || (!endedAt && !durationMinutes)) {
+      return res.status(400).json({ error: 'Tarefa, início e fim (ou duração) são obrigatórios' });
+    }
+
+    const task = await Task.findById(taskId).select('process assignedTo createdBy');
+
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    if (!canLogTime(task, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para apontar horas nesta tarefa' });
+    }
+
+    const start = new Date(startedAt);
+    const end = endedAt ? new Date(endedAt) : new Date(start.getTime() + Number(durationMinutes) * 60000);
+
+    const periodError = validatePeriod({ startedAt: start, endedAt: end });
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+
+    if (!(await ensureWeeksOpen(res, req.user._id, [start]))) return;
+
+    const entry = new TimeEntry({
+      user: req.user._id,
+      task: task._id,
+      process: task.process,
+      startedAt: start,
+      endedAt: end,
+      durationMinutes: minutesBetween(start, end),
+      source: 'manual',
+      notes
+    });
+
+    await entry.save();
+    await syncActualHours(entry.task);
+
+    await recordAudit(req, {
+      entityType: 'TimeEntry',
+      entityId: entry._id,
+      action: 'create',
+      after: entry,
+      metadata: { task: entry.task, source: 'manual' }
+    });
+
+    res.status(201).json(await populateEntry(entry));
+
+  } catch (error) {
+    console.error('Erro ao criar apontamento:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Editar apontamento (dono ou admin/manager)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Apontamento não encontrado' });
+    }
+
+    const entry = await TimeEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Apontamento não encontrado' });
+    }
+
+    if (!canEditEntry(entry, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para editar este apontamento' });
+    }
+
+    const { task: taskId, startedAt, endedAt, notes } = req.body;
+    const dates = startedAt ? [entry.startedAt, new Date(startedAt)] : [entry.startedAt];
+    if (!(await ensureWeeksOpen(res, entry.user, dates.filter(date => !Number.isNaN(date.getTime()))))) return;
+
+    const before = snapshot(entry);
+    const previousTask = entry.task;
+
+    // Cronômetro rodando: só as notas podem mudar até ele ser parado
+    if (entry.isRunning && (taskId || startedAt || endedAt)) {
+      return res.status(409).json({ error: 'Pare o cronômetro antes de alterar tarefa ou horários' });
+    }
+
+    if (taskId && taskId.toString() !== entry.task.toString()) {
+      const task = mongoose.isValidObjectId(taskId)
+        ? await Task.findById(taskId).select('process assignedTo createdBy')
+        : null;
+
+      if (!task) {
+        return res.status(404).json({ error: 'Tarefa não encontrada' });
+      }
+      if (!canLogTime(task, req.user)) {
+        return res.status(403).json({ error: 'Sem permissão para apontar horas nesta tarefa' });
+      }
+
+      entry.task = task._id;
+      entry.process = task.process;
+    }
+
+    if (startedAt || endedAt) {
+      const start = startedAt ? new Date(startedAt) : entry.startedAt;
+      const end = endedAt ? new Date(endedAt) : entry.endedAt;
+
+      const periodError = validatePeriod({ startedAt: start, endedAt: end });
+      if (periodError) {
+        return res.status(400).json({ error: periodError });
+      }
+
+      entry.startedAt = start;
+      entry.endedAt = end;
+      entry.durationMinutes = minutesBetween(start, end);
+    }
+
+    if (notes !== undefined) entry.notes = notes;
+
+    await entry.save();
+    await syncActualHours([previousTask, entry.task]);
+
+    await recordAudit(req, {
+      entityType: 'TimeEntry',
+      entityId: entry._id,
+      action: 'update',
+      before,
+      after: entry
+    });
+
+    res.json(await populateEntry(entry));
+
+  } catch (error) {
+    console.error('Erro ao atualizar apontamento:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Remover apontamento (dono ou admin/manager)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Apontamento não encontrado' });
+    }
+
+    const entry = await TimeEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Apontamento não encontrado' });
+    }
+
+    if (!canEditEntry(entry, req.user)) {
+      return res.status(403).json({ error: 'Sem permissão para remover este apontamento' });
+    }
+
+    if (!(await ensureWeeksOpen(res, entry.user, [entry.startedAt]))) return;
+
+    await TimeEntry.findByIdAndDelete(entry._id);
+    await syncActualHours(entry.task);
+
+    await recordAudit(req, {
+      entityType: 'TimeEntry',
+      entityId: entry._id,
+      action: 'delete',
+      before: entry,
+      after: {}
+    });
+
+    res.json({ message: 'Apontamento removido com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao remover apontamento:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const TimeEntry = require('../models/TimeEntry');
+const { auth, managerAuth } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const { parseWeek, weekRange, summarizeWeek } = require('../services/timesheets');
+
+const router = express.Router();
+
+const isManager = (user) => ['admin', 'manager'].includes(user.role);
+
+// Listar folhas de horas (usuário comum vê apenas as próprias)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, user, status, from, to } = req.query;
+
+    const query = {};
+
+    if (isManager(req.user)) {
+      if (user) query.user = user;
+    } else {
+      query.user = req.user._id;
+    }
+
+    if (status) query.status = status;
+
+    if (from || to) {
+      query.weekStart = {};
+      if (from) query.weekStart.$gte = parseWeek(from);
+      if (to) query.weekStart.$lte = parseWeek(to);
+    }
+
+    const timesheets = await Timesheet.find(query)
+      .populate('user', 'name username email department')
+      .populate('reviewedBy', 'name username')
+      .sort({ weekStart: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Timesheet.countDocuments(query);
+
+    res.json({
+      timesheets,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar folhas de horas:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Semana de um usuário: situação da folha e horas por tarefa e por dia
+router.get('/week', auth, async (req, res) => {
+  try {
+    const weekStart = parseWeek(req.query.week);
+
+    if (!weekStart) {
+      return res.status(400).json({ error: 'Semana inválida. Use YYYY-MM-DD' });
+    }
+
+    let userId = req.user._id;
+    if (req.query.user && req.query.user !== req.user._id.toString()) {
+      if (!isManager(req.user)) {
+        return res.status(403).json({ error: 'Sem permissão para ver a folha de outro usuário' });
+      }
+      if (!mongoose.isValidObjectId(req.query.user)) {
+        return res.status(400).json({ error: 'Usuário inválido' });
+      }
+      userId = req.query.user;
+    }
+
+    const timesheet = await Timesheet.findOne({ user: userId, weekStart })
+      .populate('reviewedBy', 'name username')
+      .populate('history.by', 'name username');
+    const summary = await summarizeWeek(userId, weekStart);
+    const { end } = weekRange(weekStart);
+
+    res.json({
+      user: userId,
+      weekStart,
+      weekEnd: end,
+      status: timesheet ? timesheet.status : 'ABERTO',
+      timesheet,
+      totalHours: Math.round((summary.totalMinutes / 60) * 100) / 100,
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar semana:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Enviar a própria semana para aprovação
+router.post('/submit', auth, async (req, res) => {
+  try {
+    const weekStart = parseWeek(req.body.week);
+
+    if (!weekStart) {
+      return res.status(400).json({ error: 'Semana inválida. Use YYYY-MM-DD' });
+    }
+
+    const { start, end } = weekRange(weekStart);
+
+    if (start > new Date()) {
+      return res.status(400).json({ error: 'Não é possível enviar uma semana futura' });
+    }
+
+    const running = await TimeEntry.exists({
+      user: req.user._id,
+      isRunning: true,
+      startedAt: { $gte: start, $lt: end }
+    });
+    if (running) {
+      return res.status(409).json({ error: 'Pare o cronômetro em andamento antes de enviar a semana' });
+    }
+
+    const summary = await summarizeWeek(req.user._id, weekStart);
+    if (summary.entryCount === 0) {
+      return res.status(400).json({ error: 'Nenhuma hora apontada nesta semana' });
+    }
+
+    let timesheet = await Timesheet.findOne({ user: req.user._id, weekStart });
+
+    if (timesheet && timesheet.status !== 'REJEITADO') {
+      return res.status(409).json({ error: `Semana já está com status ${timesheet.status}` });
+    }
+
+    const before = timesheet ? snapshot(timesheet) : {};
+    if (!timesheet) {
+      timesheet = new Timesheet({ user: req.user._id, weekStart });
+    }
+
+    timesheet.status = 'ENVIADO';
+    timesheet.totalMinutes = summary.totalMinutes;
+    timesheet.entryCount = summary.entryCount;
+    timesheet.submittedAt = new Date();
+    timesheet.reviewedBy = undefined;
+    timesheet.reviewedAt = undefined;
+    timesheet.reviewComment = undefined;
+    timesheet.history.push({ action: 'submit', by: req.user._id });
+
+    try {
+      await timesheet.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Semana já foi enviada' });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, {
+      entityType: 'Timesheet',
+      entityId: timesheet._id,
+      action: 'submit',
+      before,
+      after: timesheet
+    });
+
+    console.log(`🗓️ Folha de horas de ${req.user.username} enviada (semana ${weekStart.toISOString().slice(0, 10)})`);
+
+    res.status(201).json(timesheet);
+
+  } catch (error) {
+    console.error('Erro ao enviar folha de horas:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Carrega uma folha enviada para análise, validando quem pode revisar
+ * @returns {Promise<Object|null>} Folha, ou null se a resposta já foi enviada
+ */
+async function loadForReview(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Folha de horas não encontrada' });
+    return null;
+  }
+
+  const timesheet = await Timesheet.findById(req.params.id);
+
+  if (!timesheet) {
+    res.status(404).json({ error: 'Folha de horas não encontrada' });
+    return null;
+  }
+
+  if (timesheet.status !== 'ENVIADO') {
+    res.status(409).json({ error: `Folha de horas está com status ${timesheet.status}` });
+    return null;
+  }
+
+  // Manager não aprova a própria folha; admin pode
+  if (timesheet.user.toString() === req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Sua folha de horas precisa ser analisada por outra pessoa' });
+    return null;
+  }
+
+  return timesheet;
+}
+
+// Aprovar semana (admin/manager). A semana fica travada para edição.
+router.post('/:id/approve', managerAuth, async (req, res) => {
+  try {
+    const timesheet = await loadForReview(req, res);
+    if (!timesheet) return;
+
+    const before = snapshot(timesheet);
+
+    timesheet.status = 'APROVADO';
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.reviewComment = req.body.comment;
+    timesheet.history.push({ action: 'approve', by: req.user._id, comment: req.body.comment });
+
+    await timesheet.save();
+
+    await recordAudit(req, {
+      entityType: 'Timesheet',
+      entityId: timesheet._id,
+      action: 'approve',
+      before,
+      after: timesheet
+    });
+
+    console.log(`✅ Folha de horas ${timesheet._id} aprovada por ${req.user.username}`);
+
+    res.json(timesheet);
+
+  } catch (error) {
+    console.error('Erro ao aprovar folha de horas:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Rejeitar semana com comentário (admin/manager). A semana volta a aceitar edição.
+router.post('/:id/reject', managerAuth, async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    if (!comment || !String(comment).trim()) {
+      return res.status(400).json({ error: 'Comentário é obrigatório para rejeitar' });
+    }
+
+    const timesheet = await loadForReview(req, res);
+    if (!timesheet) return;
+
+    const before = snapshot(timesheet);
+
+    timesheet.status = 'REJEITADO';
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.reviewComment = comment;
+    timesheet.history.push({ action: 'reject', by: req.user._id, comment });
+
+    await timesheet.save();
+
+    await recordAudit(req, {
+      entityType: 'Timesheet',
+      entityId: timesheet._id,
+      action: 'reject',
+      before,
+      after: timesheet
+    });
+
+    console.log(`❌ Folha de horas ${timesheet._id} rejeitada por ${req.user.username}`);
+
+    res.json(timesheet);
+
+  } catch (error) {
+    console.error('Erro ao rejeitar folha de horas:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
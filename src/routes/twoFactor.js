@@ -0,0 +1,235 @@
+const express = require('express');
+const User = require('../models/User');
+const { auth, adminAuth } = require('../middleware/auth');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  remainingRecoveryCodes
+} = require('../services/twoFactor');
+const {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  isTwoFactorRequiredForRole
+} = require('../services/securityPolicy');
+
+const router = express.Router();
+
+const POLICY_ROLES = ['admin', 'manager', 'user'];
+
+// Situação do 2FA do usuário logado
+router.get('/status', auth, async (req, res) => {
+  try {
+    res.json({
+      enabled: !!req.user.twoFactor?.enabled,
+      enabledAt: req.user.twoFactor?.enabledAt,
+      requiredByPolicy: await isTwoFactorRequiredForRole(req.user.role),
+      recoveryCodesRemaining: remainingRecoveryCodes(req.user)
+    });
+  } catch (error) {
+    console.error('❌ 2FA: Erro ao buscar status:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Iniciar cadastro: gera segredo e URI para o QR code
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Autenticação em dois fatores já está ativa' });
+    }
+
+    const { secret, otpauthUrl } = startEnrollment(user);
+    await user.save();
+
+    console.log(`🔐 2FA: Cadastro iniciado para ${user.username}`);
+
+    res.json({
+      secret,
+      otpauthUrl,
+      message: 'Leia o QR code no aplicativo autenticador e confirme com um código em /api/auth/2fa/enable'
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA: Erro ao iniciar cadastro:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Confirmar cadastro com o primeiro código gerado pelo aplicativo
+router.post('/enable', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Código é obrigatório' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Autenticação em dois fatores já está ativa' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Inicie o cadastro em /api/auth/2fa/setup' });
+    }
+
+    const recoveryCodes = confirmEnrollment(user, code);
+
+    if (!recoveryCodes) {
+      console.log(`❌ 2FA: Código de confirmação inválido para ${user.username}`);
+      return res.status(400).json({ error: 'Código inválido' });
+    }
+
+    await user.save();
+
+    console.log(`✅ 2FA: Ativado para ${user.username}`);
+
+    res.json({
+      message: 'Autenticação em dois fatores ativada',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA: Erro ao ativar:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Desativar 2FA (exige senha e código)
+router.post('/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Senha e código são obrigatórios' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Autenticação em dois fatores não está ativa' });
+    }
+
+    if (await isTwoFactorRequiredForRole(user.role)) {
+      return res.status(403).json({ error: 'A política de segurança exige 2FA para o seu perfil' });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({ error: 'Senha incorreta' });
+    }
+
+    const result = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!result.valid) {
+      await user.save();
+      return res.status(400).json({ error: 'Código inválido' });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+
+    console.log(`✅ 2FA: Desativado para ${user.username}`);
+    res.json({ message: 'Autenticação em dois fatores desativada' });
+
+  } catch (error) {
+    console.error('❌ 2FA: Erro ao desativar:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Gerar novos códigos de recuperação (invalida os anteriores)
+router.post('/recovery-codes', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Código é obrigatório' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Autenticação em dois fatores não está ativa' });
+    }
+
+    const result = verifySecondFactor(user, { code });
+
+    if (!result.valid) {
+      await user.save();
+      return res.status(400).json({ error: 'Código inválido' });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(user);
+    await user.save();
+
+    console.log(`✅ 2FA: Códigos de recuperação regenerados para ${user.username}`);
+    res.json({ recoveryCodes });
+
+  } catch (error) {
+    console.error('❌ 2FA: Erro ao gerar códigos de recuperação:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Consultar política de 2FA (apenas admin)
+router.get('/policy', adminAuth, async (req, res) => {
+  try {
+    const policy = await getSecurityPolicy();
+
+    res.json({
+      twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+      updatedAt: policy.updatedAt,
+      updatedBy: policy.updatedBy
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA: Erro ao buscar política:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Definir roles que precisam de 2FA (apenas admin)
+router.put('/policy', adminAuth, async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles) ||
+        twoFactorRequiredRoles.some(role => !POLICY_ROLES.includes(role))) {
+      return res.status(400).json({
+        error: `twoFactorRequiredRoles deve ser uma lista com os valores: ${POLICY_ROLES.join(', ')}`
+      });
+    }
+
+    // Evitar que o próprio admin perca acesso às rotas administrativas
+    if (twoFactorRequiredRoles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Ative a autenticação em dois fatores na sua conta antes de exigi-la para o seu perfil'
+      });
+    }
+
+    const policy = await updateSecurityPolicy(
+      { twoFactorRequiredRoles: [...new Set(twoFactorRequiredRoles)] },
+      req.user._id
+    );
+
+    console.log(`✅ 2FA: Política atualizada por ${req.user.username}: ${policy.twoFactorRequiredRoles.join(', ') || 'nenhuma role'}`);
+
+    res.json({
+      twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+      updatedAt: policy.updatedAt,
+      updatedBy: policy.updatedBy
+    });
+
+  } catch (error) {
+    console.error('❌ 2FA: Erro ao atualizar política:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const User = require('../models/User');
 const { auth, adminAuth, managerAuth } = require('../middleware/auth');
+const { revokeAllUserTokens } = require('../utils/tokens');
+const { disableTwoFactor } = require('../services/twoFactor');
+const { snapshot, recordAudit } = require('../services/audit');
+const { EVENT_TYPES, emitEvent } = require('../services/events');
 
 const router = express.Router();
 
@@ -139,6 +143,18 @@ router.post('/', adminAuth, async (req, res) => {
 
     await user.save();
 
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'create',
+      after: user
+    });
+
+    emitEvent(EVENT_TYPES.USER_CREATED, {
+      actor: req.user,
+      user: { _id: user._id, username: user.username, name: user.name, role: user.role }
+    });
+
     console.log(`✅ Usuário criado com sucesso: ${user.username}`);
 
     // Remover senha da resposta
@@ -177,6 +193,13 @@ router.put('/:id', auth, async (req, res) => {
 
     // Não permitir atualização de password por esta rota
     delete updates.password;
+    delete updates.tokenVersion;
+    delete updates.twoFactor;
+    delete updates.failedLoginAttempts;
+    delete updates.lockUntil;
+    delete updates.lockoutCount;
+    delete updates.hourlyRates;
+    delete updates.notificationPreferences;
 
     // Verificar se email já existe (se estiver sendo alterado)
     if (updates.email && updates.email !== user.email) {
@@ -187,9 +210,39 @@ router.put('/:id', auth, async (req, res) => {
       updates.email = updates.email.toLowerCase();
     }
 
+    const wasActive = user.isActive;
+    const previousRole = user.role;
+    const before = snapshot(user);
+
     Object.assign(user, updates);
     await user.save();
 
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'update',
+      before,
+      after: user
+    });
+
+    if (user.role !== previousRole) {
+      emitEvent(EVENT_TYPES.USER_ROLE_CHANGED, {
+        actor: req.user,
+        user: { _id: user._id, username: user.username, name: user.name },
+        from: previousRole,
+        to: user.role
+      });
+    }
+
+    // Usuário desativado: derrubar todas as sessões dele
+    if (wasActive && user.isActive === false) {
+      user.tokenVersion = await revokeAllUserTokens(user._id, 'deactivated');
+      emitEvent(EVENT_TYPES.USER_DEACTIVATED, {
+        actor: req.user,
+        user: { _id: user._id, username: user.username, name: user.name }
+      });
+    }
+
     res.json(user);
 
   } catch (error) {
@@ -214,6 +267,19 @@ router.delete('/:id', adminAuth, async (req, res) => {
 
     await User.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'delete',
+      before: user,
+      after: {}
+    });
+
+    emitEvent(EVENT_TYPES.USER_DELETED, {
+      actor: req.user,
+      user: { _id: user._id, username: user.username, name: user.name }
+    });
+
     res.json({ message: 'Usuário deletado com sucesso' });
 
   } catch (error) {
@@ -238,9 +304,32 @@ router.patch('/:id/status', adminAuth, async (req, res) => {
       return res.status(400).json({ error: 'Não é possível desativar seu próprio usuário' });
     }
 
+    const before = snapshot(user);
+
     user.isActive = isActive;
     await user.save();
 
+    if (before.isActive && !isActive) {
+      emitEvent(EVENT_TYPES.USER_DEACTIVATED, {
+        actor: req.user,
+        user: { _id: user._id, username: user.username, name: user.name }
+      });
+    }
+
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'status',
+      before,
+      after: user
+    });
+
+    // Usuário desativado: derrubar todas as sessões dele
+    if (!isActive) {
+      await revokeAllUserTokens(user._id, 'deactivated');
+      console.log(`✅ Sessões do usuário ${user.username} encerradas após desativação`);
+    }
+
     res.json({ message: `Usuário ${isActive ? 'ativado' : 'desativado'} com sucesso` });
 
   } catch (error) {
@@ -249,6 +338,168 @@ router.patch('/:id/status', adminAuth, async (req, res) => {
   }
 });
 
+// Desbloquear conta bloqueada por excesso de tentativas de login (apenas admin)
+router.post('/:id/unlock', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    const before = snapshot(user);
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'unlock',
+      before,
+      after: user
+    });
+
+    console.log(`✅ Usuário ${user.username} desbloqueado por ${req.user.username}`);
+    res.json({ message: 'Usuário desbloqueado com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao desbloquear usuário:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Resetar 2FA de um usuário que perdeu o aplicativo e os códigos (apenas admin)
+router.post('/:id/2fa/reset', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: '2fa_reset'
+    });
+
+    // Sessões abertas com o fator antigo deixam de valer
+    await revokeAllUserTokens(user._id, 'manual');
+
+    console.log(`✅ 2FA do usuário ${user.username} resetado por ${req.user.username}`);
+    res.json({ message: 'Autenticação em dois fatores resetada. O usuário deverá cadastrá-la novamente' });
+
+  } catch (error) {
+    console.error('Erro ao resetar 2FA do usuário:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Histórico de valores da hora (admin/manager)
+router.get('/:id/rates', managerAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name username hourlyRates');
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    res.json({
+      currentRate: user.rateAt(new Date()),
+      rates: [...user.hourlyRates].sort((a, b) => b.effectiveFrom - a.effectiveFrom)
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar valores da hora:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Cadastrar novo valor da hora a partir de uma data (apenas admin)
+router.post('/:id/rates', adminAuth, async (req, res) => {
+  try {
+    const { rate, effectiveFrom } = req.body;
+    const value = Number(rate);
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+
+    if (rate === undefined || rate === null || !Number.isFinite(value) || value < 0) {
+      return res.status(400).json({ error: 'Valor da hora inválido' });
+    }
+
+    if (Number.isNaN(from.getTime())) {
+      return res.status(400).json({ error: 'Data de vigência inválida' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    if (user.hourlyRates.some(entry => entry.effectiveFrom.getTime() === from.getTime())) {
+      return res.status(409).json({ error: 'Já existe um valor com esta data de vigência' });
+    }
+
+    user.hourlyRates.push({ rate: value, effectiveFrom: from, setBy: req.user._id });
+    await user.save();
+
+    const created = user.hourlyRates[user.hourlyRates.length - 1];
+
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'rate',
+      metadata: { rateId: created._id, rate: value, effectiveFrom: from }
+    });
+
+    console.log(`✅ Valor da hora de ${user.username} definido por ${req.user.username}`);
+
+    res.status(201).json(created);
+
+  } catch (error) {
+    console.error('Erro ao cadastrar valor da hora:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Remover valor da hora cadastrado por engano (apenas admin)
+router.delete('/:id/rates/:rateId', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    const entry = user.hourlyRates.id(req.params.rateId);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Valor da hora não encontrado' });
+    }
+
+    const removed = { rateId: entry._id, rate: entry.rate, effectiveFrom: entry.effectiveFrom, removed: true };
+    entry.deleteOne();
+    await user.save();
+
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'rate',
+      metadata: removed
+    });
+
+    res.json({ message: 'Valor da hora removido com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao remover valor da hora:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Listar usuários para seleção (dropdown)
 router.get('/list/select', auth, async (req, res) => {
   try {
@@ -286,6 +537,13 @@ router.put('/profile/me', auth, async (req, res) => {
     delete updates.role;
     delete updates.isActive;
     delete updates.username;
+    delete updates.tokenVersion;
+    delete updates.twoFactor;
+    delete updates.failedLoginAttempts;
+    delete updates.lockUntil;
+    delete updates.lockoutCount;
+    delete updates.hourlyRates;
+    delete updates.notificationPreferences;
 
     // Verificar se email já existe (se estiver sendo alterado)
     if (updates.email && updates.email !== req.user.email) {
@@ -296,12 +554,22 @@ router.put('/profile/me', auth, async (req, res) => {
       updates.email = updates.email.toLowerCase();
     }
 
+    const before = snapshot(req.user);
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updates,
       { new: true, runValidators: true }
     ).select('-password');
 
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      action: 'update',
+      before,
+      after: user
+    });
+
     res.json(user);
 
   } catch (error) {
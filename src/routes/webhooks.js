@@ -0,0 +1,310 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { adminAuth } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const { EVENT_TYPES } = require('../services/events');
+const {
+  PING_EVENT,
+  generateWebhookSecret,
+  validateWebhookInput,
+  pingWebhook,
+  redeliver,
+  createWebhook,
+  rotateWebhookSecret
+} = require('../services/webhooks');
+const { WEBHOOK_CONFIG } = require('../utils/constants');
+
+const router = express.Router();
+
+// Segredo informado pelo admin precisa ter um tamanho mínimo
+const MIN_SECRET_LENGTH = 16;
+
+async function loadWebhook(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Webhook não encontrado' });
+    return null;
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook não encontrado' });
+    return null;
+  }
+
+  return webhook;
+}
+
+// Tipos de evento que podem ser assinados e formato da assinatura
+router.get('/events', adminAuth, (req, res) => {
+  res.json({
+    events: Object.values(EVENT_TYPES),
+    ping: PING_EVENT,
+    signatureHeader: WEBHOOK_CONFIG.SIGNATURE_HEADER
+  });
+});
+
+// Listar assinaturas (apenas admin)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const { event, isActive } = req.query;
+
+    const query = {};
+    if (event) query.events = { $in: [event, '*'] };
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const webhooks = await Webhook.find(query)
+      .populate('createdBy', 'name username')
+      .sort({ createdAt: -1 });
+
+    res.json(webhooks);
+
+  } catch (error) {
+    console.error('Erro ao listar webhooks:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Criar assinatura (apenas admin). O segredo é devolvido só nesta resposta
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { errors, values } = validateWebhookInput(req.body);
+
+    if (req.body.secret !== undefined && String(req.body.secret).length < MIN_SECRET_LENGTH) {
+      errors.push(`secret deve ter ao menos ${MIN_SECRET_LENGTH} caracteres`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Dados do webhook inválidos', details: errors });
+    }
+
+    const secret = req.body.secret ? String(req.body.secret) : generateWebhookSecret();
+    const webhook = await createWebhook(values, secret, req.user);
+
+    await recordAudit(req, {
+      entityType: 'Webhook',
+      entityId: webhook._id,
+      action: 'create',
+      after: webhook
+    });
+
+    console.log(`✅ Webhook "${webhook.name}" criado para ${webhook.url} por ${req.user.username}`);
+
+    res.status(201).json({ ...webhook.toJSON(), secret });
+
+  } catch (error) {
+    console.error('Erro ao criar webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Buscar assinatura (apenas admin)
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await webhook.populate('createdBy', 'name username');
+    await webhook.populate('updatedBy', 'name username');
+
+    res.json(webhook);
+
+  } catch (error) {
+    console.error('Erro ao buscar webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Atualizar nome, URL, eventos, descrição ou isActive (apenas admin)
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { errors, values } = validateWebhookInput(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Dados do webhook inválidos', details: errors });
+    }
+
+    const before = snapshot(webhook);
+
+    Object.assign(webhook, values, { updatedBy: req.user._id });
+    await webhook.save();
+
+    await recordAudit(req, {
+      entityType: 'Webhook',
+      entityId: webhook._id,
+      action: 'update',
+      before,
+      after: webhook
+    });
+
+    res.json(webhook);
+
+  } catch (error) {
+    console.error('Erro ao atualizar webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Remover assinatura (apenas admin). Entregas pendentes deixam de ser reenviadas
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await Webhook.findByIdAndDelete(webhook._id);
+
+    await WebhookDelivery.updateMany(
+      { webhook: webhook._id, status: 'pending' },
+      { $set: { status: 'failed', error: 'Webhook inativo ou removido', updatedAt: new Date() } }
+    );
+
+    await recordAudit(req, {
+      entityType: 'Webhook',
+      entityId: webhook._id,
+      action: 'delete',
+      before: webhook,
+      after: {}
+    });
+
+    res.json({ message: 'Webhook removido com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao remover webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Gerar um segredo novo (apenas admin). O anterior deixa de valer na hora
+router.post('/:id/rotate-secret', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const before = snapshot(webhook);
+    const secret = await rotateWebhookSecret(webhook, req.user);
+
+    await recordAudit(req, {
+      entityType: 'Webhook',
+      entityId: webhook._id,
+      action: 'update',
+      before,
+      after: webhook,
+      metadata: { operation: 'rotate-secret' }
+    });
+
+    res.json({ ...webhook.toJSON(), secret });
+
+  } catch (error) {
+    console.error('Erro ao trocar segredo do webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Enviar um evento "ping" e devolver a entrega com o resultado (apenas admin)
+router.post('/:id/ping', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await pingWebhook(webhook, req.user);
+
+    res.json(delivery);
+
+  } catch (error) {
+    console.error('Erro ao testar webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Log de entregas da assinatura (apenas admin)
+router.get('/:id/deliveries', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const cappedLimit = Math.min(parseInt(limit) || 20, 100);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload -responseBody')
+      .sort({ createdAt: -1 })
+      .limit(cappedLimit)
+      .skip((page - 1) * cappedLimit);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      totalPages: Math.ceil(total / cappedLimit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar entregas do webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+async function loadDelivery(req, res, webhook) {
+  const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+    ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+    : null;
+
+  if (!delivery) {
+    res.status(404).json({ error: 'Entrega não encontrada' });
+    return null;
+  }
+
+  return delivery;
+}
+
+// Detalhe de uma entrega, com corpo enviado e resposta (apenas admin)
+router.get('/:id/deliveries/:deliveryId', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await loadDelivery(req, res, webhook);
+    if (!delivery) return;
+
+    res.json(delivery);
+
+  } catch (error) {
+    console.error('Erro ao buscar entrega do webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Reenviar uma entrega (mesmo corpo e id de evento) e devolver o resultado (apenas admin)
+router.post('/:id/deliveries/:deliveryId/redeliver', adminAuth, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const original = await loadDelivery(req, res, webhook);
+    if (!original) return;
+
+    const delivery = await redeliver(original, req.user);
+
+    console.log(`🔄 Webhook: entrega ${original._id} reenviada por ${req.user.username} (${delivery.status})`);
+
+    res.json(delivery);
+
+  } catch (error) {
+    console.error('Erro ao reenviar entrega do webhook:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
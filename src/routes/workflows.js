@@ -0,0 +1,128 @@
+const express = require('express');
+const Workflow = require('../models/Workflow');
+const Process = require('../models/Process');
+const Task = require('../models/Task');
+const { auth, adminAuth } = require('../middleware/auth');
+const { DEFAULT_WORKFLOWS, getWorkflow, validateDefinition } = require('../services/workflow');
+
+const router = express.Router();
+
+const ENTITY_TYPES = {
+  process: 'Process',
+  processes: 'Process',
+  task: 'Task',
+  tasks: 'Task'
+};
+
+const ENTITY_MODELS = { Process, Task };
+
+// Aceita "process", "processes", "Process", "task"...
+const resolveEntityType = (param) => ENTITY_TYPES[String(param).toLowerCase()];
+
+// Listar workflows de processos e tarefas
+router.get('/', auth, async (req, res) => {
+  try {
+    const workflows = await Promise.all(['Process', 'Task'].map(getWorkflow));
+    res.json(workflows);
+
+  } catch (error) {
+    console.error('Erro ao listar workflows:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Buscar workflow de um tipo de entidade
+router.get('/:entityType', auth, async (req, res) => {
+  try {
+    const entityType = resolveEntityType(req.params.entityType);
+
+    if (!entityType) {
+      return res.status(404).json({ error: 'Workflow não encontrado' });
+    }
+
+    res.json(await getWorkflow(entityType));
+
+  } catch (error) {
+    console.error('Erro ao buscar workflow:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Substituir estados e transições de um workflow (apenas admin)
+router.put('/:entityType', adminAuth, async (req, res) => {
+  try {
+    const entityType = resolveEntityType(req.params.entityType);
+
+    if (!entityType) {
+      return res.status(404).json({ error: 'Workflow não encontrado' });
+    }
+
+    const { name, states, transitions } = req.body;
+
+    const errors = validateDefinition(entityType, { states, transitions });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Workflow inválido', details: errors });
+    }
+
+    // Não remover estados em que ainda existem registros
+    const workflow = await getWorkflow(entityType);
+    const newKeys = states.map(state => state.key);
+    const removedKeys = workflow.states.map(state => state.key).filter(key => !newKeys.includes(key));
+
+    if (removedKeys.length > 0) {
+      const inUse = await ENTITY_MODELS[entityType].countDocuments({ status: { $in: removedKeys } });
+      if (inUse > 0) {
+        return res.status(409).json({
+          error: `Existem ${inUse} registro(s) nos estados removidos: ${removedKeys.join(', ')}`
+        });
+      }
+    }
+
+    if (name) workflow.name = name;
+    workflow.states = states;
+    workflow.transitions = transitions;
+    workflow.updatedBy = req.user._id;
+    await workflow.save();
+
+    console.log(`✅ Workflow de ${entityType} atualizado por ${req.user.username}`);
+
+    res.json(workflow);
+
+  } catch (error) {
+    console.error('Erro ao atualizar workflow:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Restaurar o workflow padrão (apenas admin)
+router.post('/:entityType/reset', adminAuth, async (req, res) => {
+  try {
+    const entityType = resolveEntityType(req.params.entityType);
+
+    if (!entityType) {
+      return res.status(404).json({ error: 'Workflow não encontrado' });
+    }
+
+    const workflow = await Workflow.findOneAndUpdate(
+      { entityType },
+      {
+        $set: {
+          ...DEFAULT_WORKFLOWS[entityType],
+          updatedBy: req.user._id,
+          updatedAt: new Date()
+        }
+      },
+      { new: true, upsert: true }
+    );
+
+    console.log(`✅ Workflow de ${entityType} restaurado para o padrão por ${req.user.username}`);
+
+    res.json(workflow);
+
+  } catch (error) {
+    console.error('Erro ao restaurar workflow:', error.message);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// src/services/audit.js
+
+/**
+ * Gravação do log de auditoria a partir das rotas
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { toPlain, diffObjects } = require('../utils/diff');
+
+// Campos de usuário que nunca são gravados em claro
+const REDACTED_FIELDS = {
+  User: ['password'],
+  Process: [],
+  Task: [],
+  TimeEntry: [],
+  Timesheet: [],
+  Recurrence: [],
+  Webhook: ['secret']
+};
+
+// Campos internos que não fazem sentido no histórico
+const IGNORED_FIELDS = {
+  User: ['tokenVersion', 'twoFactor', 'failedLoginAttempts', 'lockoutCount', 'lastLogin'],
+  Process: [],
+  Task: [],
+  TimeEntry: [],
+  Timesheet: [],
+  Recurrence: [],
+  Webhook: ['lastDeliveryAt', 'lastDeliveryStatus']
+};
+
+/**
+ * Cópia do estado atual de um documento para comparar depois
+ * @param {Object} doc - Documento Mongoose
+ * @returns {Object}
+ */
+function snapshot(doc) {
+  return toPlain(doc);
+}
+
+/**
+ * Registra uma entrada de auditoria. Falhas são apenas logadas para não
+ * interromper a operação principal.
+ * @param {Object} req - Request do Express (ator, IP, User-Agent)
+ * @param {Object} entry
+ * @param {Object} entry.actor - Autor da ação, quando não é req.user (rotas públicas)
+ * @param {string} entry.entityType - 'Process' | 'Task' | 'User'
+ * @param {ObjectId} entry.entityId
+ * @param {string} entry.action - create | update | delete | comment | ...
+ * @param {Object} entry.before - Estado anterior (snapshot ou documento)
+ * @param {Object} entry.after - Estado posterior (snapshot ou documento)
+ * @param {Object} entry.metadata - Informações adicionais
+ * @returns {Promise<Object|null>}
+ */
+async function recordAudit(req, { actor = req.user, entityType, entityId, action, before, after, metadata }) {
+  try {
+    const changes = diffObjects(before, after, {
+      ignore: IGNORED_FIELDS[entityType],
+      redact: REDACTED_FIELDS[entityType]
+    });
+
+    // Atualização que não mudou nada não precisa ser registrada
+    if (action === 'update' && changes.length === 0) {
+      return null;
+    }
+
+    return await AuditLog.create({
+      actor: actor?._id,
+      actorUsername: actor?.username,
+      actorRole: actor?.role,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      entityType,
+      entityId,
+      action,
+      changes,
+      metadata
+    });
+  } catch (error) {
+    console.error(`❌ Audit: Erro ao registrar ${action} em ${entityType} ${entityId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Request mínimo para registrar ações de tarefas em segundo plano (scheduler),
+ * sem IP; o User-Agent identifica a origem
+ * @param {Object} actor - Usuário em nome de quem a ação é feita (pode ser null)
+ * @returns {Object}
+ */
+function systemRequest(actor = null) {
+  return {
+    user: actor,
+    ip: undefined,
+    get: () => 'processflow-scheduler'
+  };
+}
+
+module.exports = {
+  snapshot,
+  recordAudit,
+  systemRequest
+};
@@ -0,0 +1,140 @@
+// src/services/checklist.js
+
+/**
+ * Regras dos itens de checklist das tarefas (permissões, validação e progresso)
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+const MAX_ITEM_LENGTH = 200;
+
+/**
+ * Criador, responsável pela tarefa e admin/manager podem alterar a estrutura
+ * do checklist (adicionar, editar, remover, reordenar e converter itens)
+ * @param {Object} task
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function canManageChecklist(task, user) {
+  const userId = user._id.toString();
+  return task.createdBy.toString() === userId ||
+    task.assignedTo.toString() === userId ||
+    ['admin', 'manager'].includes(user.role);
+}
+
+/**
+ * Além de quem gerencia o checklist, o responsável pelo item pode marcá-lo
+ * @param {Object} task
+ * @param {Object} item - Subdocumento do checklist
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function canToggleItem(task, item, user) {
+  return canManageChecklist(task, user) ||
+    (!!item.assignedTo && item.assignedTo.toString() === user._id.toString());
+}
+
+/**
+ * Valida os campos de um item. Na edição (partial) só valida o que veio.
+ * @param {Object} input - { item, assignedTo, dueDate }
+ * @param {Object} options
+ * @param {boolean} options.partial
+ * @returns {Promise<{ valid: boolean, error?: string, values?: Object }>}
+ */
+async function validateItemInput(input, { partial = false } = {}) {
+  const values = {};
+
+  if (input.item !== undefined || !partial) {
+    const text = typeof input.item === 'string' ? input.item.trim() : '';
+    if (!text) {
+      return { valid: false, error: 'Texto do item é obrigatório' };
+    }
+    if (text.length > MAX_ITEM_LENGTH) {
+      return { valid: false, error: `Texto do item deve ter no máximo ${MAX_ITEM_LENGTH} caracteres` };
+    }
+    values.item = text;
+  }
+
+  if (input.assignedTo !== undefined) {
+    if (input.assignedTo === null || input.assignedTo === '') {
+      values.assignedTo = undefined;
+    } else {
+      if (!mongoose.isValidObjectId(input.assignedTo)) {
+        return { valid: false, error: 'assignedTo inválido' };
+      }
+      if (!(await User.exists({ _id: input.assignedTo, isActive: true }))) {
+        return { valid: false, error: 'Usuário do item não encontrado ou inativo' };
+      }
+      values.assignedTo = input.assignedTo;
+    }
+  }
+
+  if (input.dueDate !== undefined) {
+    if (input.dueDate === null || input.dueDate === '') {
+      values.dueDate = undefined;
+    } else {
+      const dueDate = new Date(input.dueDate);
+      if (Number.isNaN(dueDate.getTime())) {
+        return { valid: false, error: 'dueDate inválida' };
+      }
+      values.dueDate = dueDate;
+    }
+  }
+
+  return { valid: true, values };
+}
+
+/**
+ * Verifica se a lista de ids é uma permutação exata dos itens do checklist
+ * @param {Object[]} checklist
+ * @param {string[]} order
+ * @returns {string|null} Mensagem de erro ou null
+ */
+function validateOrder(checklist, order) {
+  if (!Array.isArray(order)) {
+    return 'order deve ser a lista de ids dos itens';
+  }
+
+  const current = checklist.map(item => item._id.toString());
+  const requested = order.map(String);
+
+  if (requested.length !== current.length || new Set(requested).size !== requested.length ||
+      requested.some(id => !current.includes(id))) {
+    return 'order deve conter cada item do checklist exatamente uma vez';
+  }
+
+  return null;
+}
+
+/**
+ * Percentual de itens concluídos
+ * @param {Object[]} checklist
+ * @returns {number}
+ */
+function checklistProgress(checklist) {
+  if (checklist.length === 0) return 0;
+  const completed = checklist.filter(item => item.completed).length;
+  return Math.round((completed / checklist.length) * 100);
+}
+
+/**
+ * Atualiza task.progress pelo checklist, exceto em tarefas com subtarefas,
+ * cujo progresso vem das filhas (não salva o documento)
+ * @param {Object} task
+ */
+async function refreshChecklistProgress(task) {
+  if (await Task.exists({ parentTask: task._id })) return;
+  task.progress = checklistProgress(task.checklist);
+}
+
+module.exports = {
+  MAX_ITEM_LENGTH,
+  canManageChecklist,
+  canToggleItem,
+  validateItemInput,
+  validateOrder,
+  checklistProgress,
+  refreshChecklistProgress
+};
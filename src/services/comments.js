@@ -0,0 +1,418 @@
+// src/services/comments.js
+
+/**
+ * Regras dos comentários de processos e tarefas: validação, respostas,
+ * edição com histórico, exclusão lógica e @menções. Inclui as rotas de
+ * comentários, as mesmas para processos e tarefas (commentRoutes)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { recordAudit } = require('./audit');
+const { EVENT_TYPES, emitEvent, summarize } = require('./events');
+const { extractMentions } = require('../utils/markdown');
+const { VALIDATION } = require('../utils/constants');
+
+const MAX_COMMENT_LENGTH = VALIDATION.TEXT_FIELDS.COMMENT_MAX;
+
+/**
+ * Só o autor edita o próprio comentário
+ * @param {Object} comment
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function canEditComment(comment, user) {
+  return comment.user.toString() === user._id.toString();
+}
+
+/**
+ * Autor e admin/manager podem excluir
+ * @param {Object} comment
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function canDeleteComment(comment, user) {
+  return canEditComment(comment, user) || ['admin', 'manager'].includes(user.role);
+}
+
+/**
+ * Comentário (não excluído) de um processo/tarefa pelo id
+ * @param {Object} doc - Processo ou tarefa
+ * @param {string} commentId
+ * @returns {Object|null} Subdocumento
+ */
+function findComment(doc, commentId) {
+  if (!mongoose.isValidObjectId(commentId)) return null;
+  const comment = doc.comments.id(commentId);
+  return comment && !comment.deletedAt ? comment : null;
+}
+
+function validateText(text, errors) {
+  if (typeof text !== 'string' || !text.trim()) {
+    errors.push('Texto do comentário é obrigatório');
+  } else if (text.trim().length > MAX_COMMENT_LENGTH) {
+    errors.push(`Texto do comentário deve ter no máximo ${MAX_COMMENT_LENGTH} caracteres`);
+  }
+}
+
+/**
+ * Usuários ativos citados com @username no texto (sem diferenciar maiúsculas)
+ * @param {string} text
+ * @returns {Promise<Object[]>}
+ */
+async function resolveMentions(text) {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+
+  return await User.find({ username: { $in: usernames }, isActive: true })
+    .collation({ locale: 'en', strength: 2 })
+    .select('name username');
+}
+
+/**
+ * Valida e adiciona um comentário (ou resposta, com parent) ao documento.
+ * O documento não é salvo.
+ * @param {Object} doc - Processo ou tarefa
+ * @param {Object} user - Autor
+ * @param {Object} input - { text, parent }
+ * @returns {Promise<{ errors: string[], comment?: Object, mentioned?: Object[] }>}
+ */
+async function addComment(doc, user, input) {
+  const errors = [];
+  validateText(input.text, errors);
+
+  let parent = null;
+  if (input.parent !== undefined && input.parent !== null) {
+    parent = findComment(doc, input.parent);
+    if (!parent) errors.push('Comentário respondido não encontrado');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const text = input.text.trim();
+  const mentioned = await resolveMentions(text);
+
+  doc.comments.push({
+    user: user._id,
+    text,
+    parent: parent ? parent._id : null,
+    mentions: mentioned.map(mentionedUser => mentionedUser._id)
+  });
+
+  return { errors, comment: doc.comments[doc.comments.length - 1], mentioned };
+}
+
+/**
+ * Altera o texto de um comentário guardando a versão anterior no histórico.
+ * O documento não é salvo.
+ * @param {Object} comment - Subdocumento
+ * @param {Object} user - Quem edita
+ * @param {string} text
+ * @returns {Promise<{ errors: string[], changed?: boolean, mentioned?: Object[] }>}
+ *   mentioned traz só quem passou a ser mencionado nesta edição
+ */
+async function editComment(comment, user, text) {
+  const errors = [];
+  validateText(text, errors);
+  if (errors.length > 0) return { errors };
+
+  const newText = text.trim();
+  if (newText === comment.text) return { errors, changed: false, mentioned: [] };
+
+  const mentionedUsers = await resolveMentions(newText);
+  const previous = comment.mentions.map(String);
+
+  comment.editHistory.push({ text: comment.text, editedAt: new Date(), editedBy: user._id });
+  comment.text = newText;
+  comment.editedAt = new Date();
+  comment.mentions = mentionedUsers.map(mentionedUser => mentionedUser._id);
+
+  return {
+    errors,
+    changed: true,
+    mentioned: mentionedUsers.filter(mentionedUser => !previous.includes(String(mentionedUser._id)))
+  };
+}
+
+/**
+ * Exclusão lógica: o comentário continua na conversa, sem o conteúdo
+ * @param {Object} comment - Subdocumento
+ * @param {Object} user
+ */
+function deleteComment(comment, user) {
+  comment.deletedAt = new Date();
+  comment.deletedBy = user._id;
+}
+
+/**
+ * Monta a árvore de conversas (respostas em replies), em ordem cronológica.
+ * Excluídos sem respostas ativas são omitidos; com respostas, ficam como marcador.
+ * @param {Object[]} comments - Subdocumentos
+ * @returns {Object[]}
+ */
+function commentThread(comments) {
+  const nodes = new Map();
+  comments.forEach(comment => nodes.set(String(comment._id), { ...comment.toJSON(), replies: [] }));
+
+  const roots = [];
+  [...nodes.values()]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(node => {
+      const parent = node.parent ? nodes.get(String(node.parent)) : null;
+      (parent ? parent.replies : roots).push(node);
+    });
+
+  const prune = (list) => list.filter(node => {
+    node.replies = prune(node.replies);
+    return !node.deleted || node.replies.length > 0;
+  });
+
+  return prune(roots);
+}
+
+// Menções de um comentário: evento para notificar os mencionados
+function emitMentions(req, entityType, doc, comment, mentioned) {
+  if (mentioned.length === 0) return;
+
+  emitEvent(EVENT_TYPES.COMMENT_MENTIONED, {
+    actor: req.user,
+    entityType,
+    entity: summarize(doc),
+    comment: { _id: comment._id, text: comment.text },
+    mentioned: mentioned.map(mentionedUser => mentionedUser._id)
+  });
+}
+
+/**
+ * Rotas de comentários de um modelo (Process ou Task), para montar em
+ * router.use('/:id/comments', auth, commentRoutes({...}))
+ * @param {Object} options
+ * @param {Object} options.Model - Modelo com o array comments
+ * @param {string} options.entityType - 'Process' ou 'Task' (auditoria e menções)
+ * @param {string} options.key - Nome do item nos eventos ('process' ou 'task')
+ * @param {string} options.notFound - Mensagem de 404 do item
+ * @param {Object} options.events - { commented, edited, deleted }: tipos de evento
+ * @returns {Object} Router do Express
+ */
+function commentRoutes({ Model, entityType, key, notFound, events }) {
+  const router = express.Router({ mergeParams: true });
+
+  // Comentários em conversas (respostas em replies), com o Markdown renderizado em html
+  router.get('/', async (req, res) => {
+    try {
+      const doc = await Model.findById(req.params.id)
+        .select('comments')
+        .populate('comments.user', 'name username')
+        .populate('comments.mentions', 'name username');
+
+      if (!doc) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      res.json({
+        comments: commentThread(doc.comments),
+        total: doc.comments.filter(comment => !comment.deletedAt).length
+      });
+
+    } catch (error) {
+      console.error('Erro ao listar comentários:', error.message);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  // Adicionar comentário (ou resposta, com parent)
+  router.post('/', async (req, res) => {
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      const { errors, comment, mentioned } = await addComment(doc, req.user, req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0], details: errors });
+      }
+
+      await doc.save();
+
+      await recordAudit(req, {
+        entityType,
+        entityId: doc._id,
+        action: 'comment',
+        metadata: { commentId: comment._id, parent: comment.parent }
+      });
+
+      const parent = comment.parent ? doc.comments.id(comment.parent) : null;
+
+      emitEvent(events.commented, {
+        actor: req.user,
+        [key]: summarize(doc),
+        comment: {
+          _id: comment._id,
+          text: comment.text,
+          parent: comment.parent,
+          replyTo: parent?.user,
+          mentions: comment.mentions
+        }
+      });
+      emitMentions(req, entityType, doc, comment, mentioned);
+
+      await doc.populate('comments.user', 'name username');
+      await doc.populate('comments.mentions', 'name username');
+
+      res.status(201).json(doc.comments.id(comment._id));
+
+    } catch (error) {
+      console.error('Erro ao adicionar comentário:', error.message);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  // Editar comentário (apenas o autor). A versão anterior vai para o histórico
+  router.put('/:commentId', async (req, res) => {
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      const comment = findComment(doc, req.params.commentId);
+
+      if (!comment) {
+        return res.status(404).json({ error: 'Comentário não encontrado' });
+      }
+
+      if (!canEditComment(comment, req.user)) {
+        return res.status(403).json({ error: 'Apenas o autor pode editar o comentário' });
+      }
+
+      const { errors, changed, mentioned } = await editComment(comment, req.user, req.body.text);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0], details: errors });
+      }
+
+      if (changed) {
+        await doc.save();
+
+        await recordAudit(req, {
+          entityType,
+          entityId: doc._id,
+          action: 'comment',
+          metadata: { commentId: comment._id, operation: 'edit', version: comment.editHistory.length + 1 }
+        });
+
+        emitEvent(events.edited, {
+          actor: req.user,
+          [key]: summarize(doc),
+          comment: { _id: comment._id, text: comment.text, parent: comment.parent }
+        });
+        emitMentions(req, entityType, doc, comment, mentioned);
+      }
+
+      await doc.populate('comments.user', 'name username');
+      await doc.populate('comments.mentions', 'name username');
+
+      res.json(doc.comments.id(comment._id));
+
+    } catch (error) {
+      console.error('Erro ao editar comentário:', error.message);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  // Excluir comentário (autor ou admin/manager). As respostas continuam visíveis
+  router.delete('/:commentId', async (req, res) => {
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      const comment = findComment(doc, req.params.commentId);
+
+      if (!comment) {
+        return res.status(404).json({ error: 'Comentário não encontrado' });
+      }
+
+      if (!canDeleteComment(comment, req.user)) {
+        return res.status(403).json({ error: 'Sem permissão para excluir este comentário' });
+      }
+
+      deleteComment(comment, req.user);
+      await doc.save();
+
+      await recordAudit(req, {
+        entityType,
+        entityId: doc._id,
+        action: 'comment',
+        metadata: { commentId: comment._id, operation: 'delete', author: comment.user }
+      });
+
+      emitEvent(events.deleted, {
+        actor: req.user,
+        [key]: summarize(doc),
+        comment: { _id: comment._id, parent: comment.parent }
+      });
+
+      res.json({ message: 'Comentário excluído com sucesso' });
+
+    } catch (error) {
+      console.error('Erro ao excluir comentário:', error.message);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  // Histórico de edições de um comentário (versões anteriores, da mais antiga para a mais recente)
+  router.get('/:commentId/history', async (req, res) => {
+    try {
+      const doc = await Model.findById(req.params.id)
+        .select('comments')
+        .populate('comments.user', 'name username')
+        .populate('comments.editHistory.editedBy', 'name username');
+
+      if (!doc) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      const comment = findComment(doc, req.params.commentId);
+
+      if (!comment) {
+        return res.status(404).json({ error: 'Comentário não encontrado' });
+      }
+
+      res.json({
+        commentId: comment._id,
+        user: comment.user,
+        text: comment.text,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        history: comment.editHistory
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar histórico do comentário:', error.message);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  canEditComment,
+  canDeleteComment,
+  findComment,
+  resolveMentions,
+  addComment,
+  editComment,
+  deleteComment,
+  commentThread,
+  commentRoutes
+};
@@ -0,0 +1,163 @@
+// src/services/events.js
+
+/**
+ * Barramento de eventos interno
+ *
+ * As rotas publicam o que aconteceu (tarefa atribuída, status alterado,
+ * comentário...) e os assinantes (notificações, emails, webhooks) reagem.
+ * Os assinantes rodam depois da resposta, de forma assíncrona, e falhas são
+ * apenas logadas: um assinante com erro não afeta a rota nem os demais.
+ */
+
+const { EventEmitter } = require('events');
+const { diffObjects } = require('../utils/diff');
+
+const EVENT_TYPES = {
+  TASK_CREATED: 'task.created',
+  TASK_UPDATED: 'task.updated',
+  TASK_ASSIGNED: 'task.assigned',
+  TASK_STATUS_CHANGED: 'task.status_changed',
+  TASK_COMMENTED: 'task.commented',
+  TASK_COMMENT_EDITED: 'task.comment_edited',
+  TASK_COMMENT_DELETED: 'task.comment_deleted',
+  TASK_DELETED: 'task.deleted',
+  PROCESS_CREATED: 'process.created',
+  PROCESS_UPDATED: 'process.updated',
+  PROCESS_ASSIGNED: 'process.assigned',
+  PROCESS_STATUS_CHANGED: 'process.status_changed',
+  PROCESS_COMMENTED: 'process.commented',
+  PROCESS_COMMENT_EDITED: 'process.comment_edited',
+  PROCESS_COMMENT_DELETED: 'process.comment_deleted',
+  COMMENT_MENTIONED: 'comment.mentioned',
+  PROCESS_DELETED: 'process.deleted',
+  DEADLINE_REMINDER: 'deadline.reminder',
+  DEADLINE_ESCALATION: 'deadline.escalation',
+  USER_CREATED: 'user.created',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  USER_DEACTIVATED: 'user.deactivated',
+  USER_DELETED: 'user.deleted'
+};
+
+const bus = new EventEmitter();
+// Vários módulos assinam os mesmos eventos
+bus.setMaxListeners(50);
+
+/**
+ * Id de um valor que pode ser ObjectId, string ou documento populado
+ * @param {*} value
+ * @returns {string|null}
+ */
+function idOf(value) {
+  if (!value) return null;
+  return String(value._id || value);
+}
+
+/**
+ * Resumo de um usuário para o payload dos eventos
+ * @param {Object} user
+ * @returns {Object|null}
+ */
+function actorOf(user) {
+  if (!user) return null;
+  return { _id: idOf(user), username: user.username, name: user.name, role: user.role };
+}
+
+// Campos de tarefas e processos copiados para os eventos (referências viram ids)
+const SUMMARY_FIELDS = ['title', 'status', 'priority', 'dueDate', 'assignedTo', 'responsible', 'process', 'createdBy'];
+
+/**
+ * Resumo de uma tarefa ou processo para o payload dos eventos. Os assinantes
+ * rodam depois da rota, quando o documento original pode já estar populado.
+ * @param {Object} doc
+ * @returns {Object}
+ */
+function summarize(doc) {
+  const summary = { _id: idOf(doc) };
+
+  SUMMARY_FIELDS.forEach(field => {
+    if (doc[field] === undefined || doc[field] === null) return;
+    summary[field] = ['assignedTo', 'responsible', 'process', 'createdBy'].includes(field)
+      ? idOf(doc[field])
+      : doc[field];
+  });
+
+  if (doc.team) summary.team = doc.team.map(idOf);
+
+  return summary;
+}
+
+/**
+ * Publica um evento
+ * @param {string} type - Um dos EVENT_TYPES
+ * @param {Object} payload - Dados do evento; actor é o usuário que causou a ação
+ *   (null em ações automáticas)
+ */
+function emitEvent(type, payload = {}) {
+  const event = {
+    type,
+    occurredAt: new Date(),
+    ...payload,
+    actor: actorOf(payload.actor)
+  };
+
+  setImmediate(() => bus.emit(type, event));
+}
+
+// Vínculos cujo valor anterior vai junto no evento de alteração, para quem
+// acompanhava o item pelo vínculo antigo (ex: tarefa que trocou de processo)
+const LINK_FIELDS = ['process', 'parentTask', 'assignedTo', 'responsible'];
+
+/**
+ * Publica task.updated / process.updated com os campos que mudaram
+ * (nada é publicado se nenhum campo mudou)
+ * @param {string} entityType - 'Task' | 'Process'
+ * @param {Object} actor - Usuário que fez a alteração (null em ações automáticas)
+ * @param {Object} doc - Documento depois da alteração
+ * @param {Object} before - Snapshot anterior
+ * @param {Object} extra - Campos adicionais do payload
+ */
+function emitUpdate(entityType, actor, doc, before, extra = {}) {
+  const changes = diffObjects(before, doc).map(change => change.field);
+  if (changes.length === 0) return;
+
+  const previous = {};
+  LINK_FIELDS.filter(field => changes.includes(field)).forEach(field => {
+    previous[field] = idOf(before[field]);
+  });
+
+  const [type, key] = entityType === 'Task'
+    ? [EVENT_TYPES.TASK_UPDATED, 'task']
+    : [EVENT_TYPES.PROCESS_UPDATED, 'process'];
+
+  emitEvent(type, { actor, [key]: summarize(doc), changes, previous, ...extra });
+}
+
+/**
+ * Assina um evento (ou '*' para todos)
+ * @param {string} type
+ * @param {Function} handler - async (event) => void
+ */
+function onEvent(type, handler) {
+  const run = async (event) => {
+    try {
+      await handler(event);
+    } catch (error) {
+      console.error(`❌ Events: Erro no assinante de ${event.type}:`, error.message);
+    }
+  };
+
+  if (type === '*') {
+    Object.values(EVENT_TYPES).forEach(eventType => bus.on(eventType, run));
+  } else {
+    bus.on(type, run);
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  idOf,
+  summarize,
+  emitEvent,
+  emitUpdate,
+  onEvent
+};
@@ -0,0 +1,118 @@
+// src/services/financials.js
+
+/**
+ * Custos planejado, realizado e previsto de um processo a partir das horas
+ * das tarefas e do valor da hora de cada usuário na data do trabalho
+ */
+
+const { formatCurrency } = require('../utils/standardUtils');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calcula custos por tarefa e do processo.
+ * - Planejado: estimatedHours x valor da hora do responsável no início da tarefa
+ * - Realizado: cada apontamento x valor da hora de quem apontou na data do
+ *   apontamento; horas em actualHours sem apontamento (dados antigos) usam a
+ *   taxa atual do responsável
+ * - Previsto ao término: realizado + horas estimadas restantes das tarefas abertas
+ * @param {Object} options
+ * @param {Object} options.process
+ * @param {Object[]} options.tasks
+ * @param {Object[]} options.entries - Apontamentos encerrados das tarefas
+ * @param {Object[]} options.users - Usuários envolvidos (documentos, com hourlyRates)
+ * @returns {Object}
+ */
+function computeProcessFinancials({ process, tasks, entries, users }) {
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const now = new Date();
+  const missingRates = new Set();
+
+  const rate = (userId, date) => {
+    const user = userId ? usersById.get(String(userId._id || userId)) : null;
+    const value = user ? user.rateAt(date) : null;
+    if (value === null) {
+      if (userId) missingRates.add(String(userId._id || userId));
+      return 0;
+    }
+    return value;
+  };
+
+  const entriesByTask = new Map();
+  entries.forEach(entry => {
+    const key = entry.task.toString();
+    if (!entriesByTask.has(key)) entriesByTask.set(key, []);
+    entriesByTask.get(key).push(entry);
+  });
+
+  const taskCosts = tasks.map(task => {
+    const cancelled = task.status === 'CANCELADA';
+    const closed = cancelled || task.status === 'CONCLUIDA';
+    const estimatedHours = task.estimatedHours || 0;
+    const actualHours = task.actualHours || 0;
+
+    const plannedRate = rate(task.assignedTo, task.startDate || process.startDate || now);
+    const plannedCost = cancelled ? 0 : estimatedHours * plannedRate;
+
+    let loggedHours = 0;
+    let actualCost = 0;
+    (entriesByTask.get(task._id.toString()) || []).forEach(entry => {
+      const hours = entry.durationMinutes / 60;
+      loggedHours += hours;
+      actualCost += hours * rate(entry.user, entry.startedAt);
+    });
+
+    const currentRate = rate(task.assignedTo, now);
+    actualCost += Math.max(0, actualHours - loggedHours) * currentRate;
+
+    const remainingCost = closed ? 0 : Math.max(0, estimatedHours - actualHours) * currentRate;
+    const progress = task.status === 'CONCLUIDA' ? 100 : (task.progress || 0);
+
+    return {
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      assignedTo: task.assignedTo,
+      estimatedHours,
+      actualHours,
+      plannedCost: roundMoney(plannedCost),
+      actualCost: roundMoney(actualCost),
+      earnedValue: roundMoney(plannedCost * progress / 100),
+      forecastCost: roundMoney(actualCost + remainingCost)
+    };
+  });
+
+  const sum = (field) => roundMoney(taskCosts.reduce((total, task) => total + task[field], 0));
+
+  const plannedCost = sum('plannedCost');
+  const actualCost = sum('actualCost');
+  const earnedValue = sum('earnedValue');
+  const forecastAtCompletion = sum('forecastCost');
+  const budget = process.budget ?? null;
+
+  return {
+    budget,
+    plannedCost,
+    actualCost,
+    earnedValue,
+    forecastAtCompletion,
+    // Valor agregado por unidade de custo realizado (< 1 = gastando mais que o planejado)
+    costPerformanceIndex: actualCost > 0 ? Math.round((earnedValue / actualCost) * 100) / 100 : null,
+    budgetConsumedPercent: budget ? Math.round((actualCost / budget) * 10000) / 100 : null,
+    // Positivo = sobra prevista; negativo = estouro previsto
+    forecastVariance: budget !== null ? roundMoney(budget - forecastAtCompletion) : null,
+    overBudget: budget !== null ? forecastAtCompletion > budget : null,
+    formatted: {
+      budget: budget !== null ? formatCurrency(budget) : null,
+      plannedCost: formatCurrency(plannedCost),
+      actualCost: formatCurrency(actualCost),
+      forecastAtCompletion: formatCurrency(forecastAtCompletion)
+    },
+    usersWithoutRate: [...missingRates],
+    tasks: taskCosts
+  };
+}
+
+module.exports = {
+  computeProcessFinancials
+};
@@ -0,0 +1,115 @@
+// src/services/mail/index.js
+
+/**
+ * Serviço de envio de emails com transporte plugável.
+ *
+ * O transporte é escolhido pela variável MAIL_TRANSPORT (console | file |
+ * memory | smtp) e pode ser substituído em tempo de execução com setTransport().
+ *
+ * sendMail() envia na hora e propaga o erro; para envio com novas tentativas,
+ * use queueMail() de ./queue.
+ */
+
+const path = require('path');
+const { renderTemplate } = require('./templates');
+const {
+  createConsoleTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createSmtpTransport
+} = require('./transports');
+
+const transportFactories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({
+    directory: process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mails')
+  }),
+  memory: () => createMemoryTransport(),
+  smtp: () => createSmtpTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : undefined,
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  })
+};
+
+let activeTransport = null;
+
+/**
+ * Registra um novo tipo de transporte selecionável por MAIL_TRANSPORT
+ * @param {string} name
+ * @param {Function} factory - Função que retorna { name, send(message) }
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+/**
+ * Substitui o transporte ativo
+ * @param {Object} transport - { name, send(message) }
+ */
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Retorna o transporte ativo, criando-o a partir de MAIL_TRANSPORT na primeira chamada
+ */
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Transporte de email desconhecido: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+}
+
+/**
+ * Renderiza um template na mensagem a ser entregue ao transporte
+ * @param {Object} options
+ * @param {string} options.to - Destinatário
+ * @param {string} options.template - Nome do template (EMAIL_TEMPLATES)
+ * @param {Object} options.data - Dados do template
+ * @returns {{ from: string, to: string, subject: string, text: string, html: string, template: string }}
+ */
+function buildMessage({ to, template, data = {} }) {
+  const { subject, text, html } = renderTemplate(template, data);
+
+  return {
+    from: process.env.MAIL_FROM || 'ProcessFlow <no-reply@processflow.com>',
+    to,
+    subject,
+    text,
+    html,
+    template
+  };
+}
+
+/**
+ * Renderiza um template e envia o email
+ * @param {Object} options - Ver buildMessage
+ * @returns {Promise<Object>} Resultado do transporte
+ */
+async function sendMail({ to, template, data = {} }) {
+  const message = buildMessage({ to, template, data });
+  const transport = getTransport();
+
+  const result = await transport.send(message);
+  console.log(`✅ Mail: "${template}" enviado para ${to} via ${transport.name}`);
+  return result;
+}
+
+module.exports = {
+  buildMessage,
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport
+};
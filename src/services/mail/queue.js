@@ -0,0 +1,132 @@
+// src/services/mail/queue.js
+
+/**
+ * Fila de envio de emails com novas tentativas
+ *
+ * queueMail() renderiza e grava a mensagem (MailMessage) e tenta enviá-la
+ * logo em seguida, sem segurar a rota. Se o transporte falhar, a mensagem
+ * volta para a fila com espera crescente (MAIL_QUEUE_CONFIG.RETRY_DELAYS_MS)
+ * e é reenviada pelo scheduler; depois de MAX_ATTEMPTS fica como 'failed'.
+ *
+ * Cada tentativa reserva a mensagem empurrando nextAttemptAt para o fim da
+ * reserva (LEASE_MS), então duas instâncias não enviam o mesmo email.
+ */
+
+const MailMessage = require('../../models/MailMessage');
+const { buildMessage, getTransport } = require('./index');
+const { MAIL_QUEUE_CONFIG } = require('../../utils/constants');
+
+/**
+ * Espera antes da próxima tentativa, dado o número de tentativas já feitas
+ * @param {number} attempts
+ * @returns {number} Milissegundos
+ */
+function retryDelay(attempts) {
+  const delays = MAIL_QUEUE_CONFIG.RETRY_DELAYS_MS;
+  return delays[Math.min(attempts, delays.length) - 1];
+}
+
+// Reserva uma mensagem pendente e vencida (ou uma específica, com "id")
+async function claimMessage(now, id) {
+  return await MailMessage.findOneAndUpdate(
+    {
+      ...(id ? { _id: id } : {}),
+      status: 'pending',
+      nextAttemptAt: { $lte: now }
+    },
+    { $set: { nextAttemptAt: new Date(now.getTime() + MAIL_QUEUE_CONFIG.LEASE_MS), updatedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Faz uma tentativa de envio de uma mensagem já reservada
+ * @param {Object} message - MailMessage
+ * @returns {Promise<boolean>} true se enviou
+ */
+async function attemptDelivery(message) {
+  const transport = getTransport();
+  message.attempts += 1;
+  message.transport = transport.name;
+
+  try {
+    const result = await transport.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      template: message.template
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.messageId = result?.messageId;
+    message.lastError = undefined;
+    await message.save();
+
+    console.log(`✅ Mail: "${message.template}" enviado para ${message.to} via ${transport.name}`);
+    return true;
+  } catch (error) {
+    message.lastError = error.message;
+
+    if (message.attempts >= MAIL_QUEUE_CONFIG.MAX_ATTEMPTS) {
+      message.status = 'failed';
+      console.error(`❌ Mail: "${message.template}" para ${message.to} falhou ${message.attempts} vezes, desistindo:`, error.message);
+    } else {
+      message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts));
+      console.error(`🔄 Mail: "${message.template}" para ${message.to} falhou (tentativa ${message.attempts}), nova tentativa às ${message.nextAttemptAt.toISOString()}:`, error.message);
+    }
+
+    await message.save();
+    return false;
+  }
+}
+
+/**
+ * Coloca um email na fila e dispara a primeira tentativa em segundo plano.
+ * Erros de template são lançados na hora; erros de envio não.
+ * @param {Object} options
+ * @param {string} options.to - Destinatário
+ * @param {string} options.template - Nome do template (EMAIL_TEMPLATES)
+ * @param {Object} options.data - Dados do template
+ * @returns {Promise<Object>} MailMessage criada
+ */
+async function queueMail({ to, template, data = {} }) {
+  const message = await MailMessage.create(buildMessage({ to, template, data }));
+
+  setImmediate(async () => {
+    try {
+      const claimed = await claimMessage(new Date(), message._id);
+      if (claimed) await attemptDelivery(claimed);
+    } catch (error) {
+      console.error(`❌ Mail: Erro ao enviar mensagem ${message._id}:`, error.message);
+    }
+  });
+
+  return message;
+}
+
+/**
+ * Envia as mensagens pendentes cuja próxima tentativa já venceu (scheduler)
+ * @param {Date} now
+ * @returns {Promise<number>} Quantidade de emails enviados
+ */
+async function processMailQueue(now = new Date()) {
+  let sent = 0;
+
+  for (let i = 0; i < MAIL_QUEUE_CONFIG.BATCH_SIZE; i++) {
+    const message = await claimMessage(now);
+    if (!message) break;
+
+    if (await attemptDelivery(message)) sent++;
+  }
+
+  return sent;
+}
+
+module.exports = {
+  retryDelay,
+  queueMail,
+  processMailQueue
+};
@@ -0,0 +1,174 @@
+// src/services/mail/templates.js
+
+/**
+ * Templates de email, indexados pelos nomes definidos em EMAIL_TEMPLATES.
+ * Cada template recebe os dados e retorna { subject, text, html }.
+ */
+
+const { EMAIL_TEMPLATES } = require('../../utils/constants');
+const { escapeHtml } = require('../../utils/standardUtils');
+
+const templates = {
+  [EMAIL_TEMPLATES.WELCOME]: ({ name, username, createdBy, loginUrl }) => ({
+    subject: 'ProcessFlow - Bem-vindo(a)',
+    text: [
+      `Olá, ${name}.`,
+      '',
+      `${createdBy ? `${createdBy} criou` : 'Foi criada'} sua conta no ProcessFlow.`,
+      `Seu usuário de acesso é: ${username}`,
+      '',
+      'Use a senha informada pelo administrador no primeiro acesso e troque-a em seguida:',
+      loginUrl
+    ].join('\n'),
+    html: `
+      <p>Olá, ${escapeHtml(name)}.</p>
+      <p>${createdBy ? `${escapeHtml(createdBy)} criou` : 'Foi criada'} sua conta no ProcessFlow.</p>
+      <p>Seu usuário de acesso é: <strong>${escapeHtml(username)}</strong></p>
+      <p>Use a senha informada pelo administrador no primeiro acesso e troque-a em seguida.</p>
+      <p><a href="${escapeHtml(loginUrl)}">Acessar o ProcessFlow</a></p>
+    `.trim()
+  }),
+
+  [EMAIL_TEMPLATES.PASSWORD_RESET]: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: 'ProcessFlow - Redefinição de senha',
+    text: [
+      `Olá, ${name}.`,
+      '',
+      'Recebemos uma solicitação para redefinir a senha da sua conta no ProcessFlow.',
+      `Para criar uma nova senha, acesse o link abaixo (válido por ${expiresInMinutes} minutos):`,
+      '',
+      resetUrl,
+      '',
+      'Se você não fez esta solicitação, ignore este email. Sua senha atual continua válida.'
+    ].join('\n'),
+    html: `
+      <p>Olá, ${escapeHtml(name)}.</p>
+      <p>Recebemos uma solicitação para redefinir a senha da sua conta no ProcessFlow.</p>
+      <p>Para criar uma nova senha, clique no link abaixo (válido por ${escapeHtml(expiresInMinutes)} minutos):</p>
+      <p><a href="${escapeHtml(resetUrl)}">Redefinir senha</a></p>
+      <p>Se você não fez esta solicitação, ignore este email. Sua senha atual continua válida.</p>
+    `.trim()
+  }),
+
+  [EMAIL_TEMPLATES.ACCOUNT_LOCKED]: ({ name, lockedUntil, loginUrl }) => ({
+    subject: 'ProcessFlow - Conta bloqueada temporariamente',
+    text: [
+      `Olá, ${name}.`,
+      '',
+      'Sua conta no ProcessFlow foi bloqueada por excesso de tentativas de login com senha ou código de verificação inválidos.',
+      `O acesso será liberado automaticamente em ${lockedUntil}.`,
+      '',
+      'Se não foi você, redefina sua senha assim que o bloqueio terminar e avise o administrador:',
+      loginUrl
+    ].join('\n'),
+    html: `
+      <p>Olá, ${escapeHtml(name)}.</p>
+      <p>Sua conta no ProcessFlow foi bloqueada por excesso de tentativas de login com senha ou código de verificação inválidos.</p>
+      <p>O acesso será liberado automaticamente em <strong>${escapeHtml(lockedUntil)}</strong>.</p>
+      <p>Se não foi você, redefina sua senha assim que o bloqueio terminar e avise o administrador.</p>
+      <p><a href="${escapeHtml(loginUrl)}">Acessar o ProcessFlow</a></p>
+    `.trim()
+  }),
+
+  [EMAIL_TEMPLATES.TASK_ASSIGNED]: ({ name, title, assignedBy, processTitle, priority, dueDate, url }) => {
+    const details = [
+      processTitle && `Processo: ${processTitle}`,
+      priority && `Prioridade: ${priority}`,
+      dueDate && `Prazo: ${dueDate}`
+    ].filter(Boolean);
+
+    return {
+      subject: `ProcessFlow - Nova tarefa: ${title}`,
+      text: [
+        `Olá, ${name}.`,
+        '',
+        `${assignedBy || 'O sistema'} atribuiu a tarefa "${title}" a você.`,
+        ...details,
+        '',
+        url
+      ].join('\n'),
+      html: `
+        <p>Olá, ${escapeHtml(name)}.</p>
+        <p>${escapeHtml(assignedBy || 'O sistema')} atribuiu a tarefa <strong>${escapeHtml(title)}</strong> a você.</p>
+        ${details.length > 0 ? `<ul>${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>` : ''}
+        <p><a href="${escapeHtml(url)}">Abrir tarefa</a></p>
+      `.trim()
+    };
+  },
+
+  [EMAIL_TEMPLATES.PROCESS_COMPLETED]: ({ name, title, completedBy, completedDate, url }) => ({
+    subject: `ProcessFlow - Processo concluído: ${title}`,
+    text: [
+      `Olá, ${name}.`,
+      '',
+      `O processo "${title}" foi concluído em ${completedDate}${completedBy ? ` por ${completedBy}` : ''}.`,
+      '',
+      url
+    ].join('\n'),
+    html: `
+      <p>Olá, ${escapeHtml(name)}.</p>
+      <p>O processo <strong>${escapeHtml(title)}</strong> foi concluído em ${escapeHtml(completedDate)}${completedBy ? ` por ${escapeHtml(completedBy)}` : ''}.</p>
+      <p><a href="${escapeHtml(url)}">Abrir processo</a></p>
+    `.trim()
+  }),
+
+  [EMAIL_TEMPLATES.DUE_REMINDER]: ({ name, entityLabel, title, dueDate, overdueHours, url }) => {
+    const situation = overdueHours > 0
+      ? `está atrasado(a) há ${overdueHours} hora(s) (prazo: ${dueDate})`
+      : `vence em ${dueDate}`;
+
+    return {
+      subject: `ProcessFlow - Prazo: ${title}`,
+      text: [
+        `Olá, ${name}.`,
+        '',
+        `O(a) ${entityLabel} "${title}", sob sua responsabilidade, ${situation}.`,
+        '',
+        url
+      ].join('\n'),
+      html: `
+        <p>Olá, ${escapeHtml(name)}.</p>
+        <p>O(a) ${escapeHtml(entityLabel)} <strong>${escapeHtml(title)}</strong>, sob sua responsabilidade, ${escapeHtml(situation)}.</p>
+        <p><a href="${escapeHtml(url)}">Abrir ${escapeHtml(entityLabel)}</a></p>
+      `.trim()
+    };
+  },
+
+  [EMAIL_TEMPLATES.OVERDUE_ESCALATION]: ({ name, entityLabel, title, dueDate, overdueHours, ownerName, url }) => ({
+    subject: `ProcessFlow - Atraso: ${title}`,
+    text: [
+      `Olá, ${name}.`,
+      '',
+      `O(a) ${entityLabel} "${title}" está atrasado(a) há ${overdueHours} hora(s) (prazo: ${dueDate}).`,
+      `Responsável: ${ownerName || 'não definido'}.`,
+      '',
+      url
+    ].join('\n'),
+    html: `
+      <p>Olá, ${escapeHtml(name)}.</p>
+      <p>O(a) ${escapeHtml(entityLabel)} <strong>${escapeHtml(title)}</strong> está atrasado(a) há ${escapeHtml(overdueHours)} hora(s) (prazo: ${escapeHtml(dueDate)}).</p>
+      <p>Responsável: ${escapeHtml(ownerName || 'não definido')}.</p>
+      <p><a href="${escapeHtml(url)}">Abrir ${escapeHtml(entityLabel)}</a></p>
+    `.trim()
+  })
+};
+
+/**
+ * Renderiza um template de email
+ * @param {string} name - Nome do template (EMAIL_TEMPLATES)
+ * @param {Object} data - Dados do template
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderTemplate(name, data = {}) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Template de email não encontrado: ${name}`);
+  }
+
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate
+};
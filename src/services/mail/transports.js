@@ -0,0 +1,118 @@
+// src/services/mail/transports.js
+
+/**
+ * Transportes de email. Um transporte é um objeto com
+ * `name` e `send(message)`, onde message = { from, to, subject, text, html }.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Apenas imprime o email no console (desenvolvimento)
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('📧 Email (console):');
+      console.log(`   De: ${message.from}`);
+      console.log(`   Para: ${message.to}`);
+      console.log(`   Assunto: ${message.subject}`);
+      console.log(message.text);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+/**
+ * Grava cada email como arquivo JSON em um diretório (testes locais)
+ * @param {Object} options
+ * @param {string} options.directory - Diretório de saída
+ */
+function createFileTransport({ directory }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+
+      await fs.writeFile(filePath, JSON.stringify({
+        messageId,
+        sentAt: new Date().toISOString(),
+        ...message
+      }, null, 2));
+
+      console.log(`📧 Email gravado em ${filePath}`);
+      return { messageId, path: filePath };
+    }
+  };
+}
+
+/**
+ * Guarda os emails em memória (testes automatizados)
+ * Os enviados ficam em transport.messages; clear() esvazia a lista.
+ */
+function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    async send(message) {
+      const messageId = `memory-${messages.length + 1}-${Date.now()}`;
+      messages.push({ messageId, sentAt: new Date(), ...message });
+      return { messageId };
+    },
+    clear() {
+      messages.splice(0);
+    }
+  };
+}
+
+/**
+ * Envia por SMTP (produção)
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} options.secure - TLS direto (porta 465); nas demais usa STARTTLS
+ * @param {string} options.user
+ * @param {string} options.pass
+ */
+function createSmtpTransport({ host, port = 587, secure, user, pass }) {
+  if (!host) {
+    throw new Error('EMAIL_HOST não configurado para o transporte smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: secure ?? port === 465,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createSmtpTransport
+};
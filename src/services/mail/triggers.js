@@ -0,0 +1,98 @@
+// src/services/mail/triggers.js
+
+/**
+ * Emails disparados pelo barramento de eventos:
+ * - user.created: boas-vindas ao novo usuário
+ * - task.assigned: aviso ao responsável pela tarefa
+ * - process.status_changed para CONCLUIDO: aviso ao responsável, equipe e criador
+ * Quem causou a ação não recebe o email. Os envios passam pela fila (queueMail).
+ */
+
+const Process = require('../../models/Process');
+const User = require('../../models/User');
+const { queueMail } = require('./queue');
+const { EVENT_TYPES, idOf, onEvent } = require('../events');
+const { EMAIL_TEMPLATES, STATUS } = require('../../utils/constants');
+const { formatDate, formatDateTime } = require('../../utils/standardUtils');
+
+const frontendUrl = (pathname) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}`;
+
+// Usuários ativos com email, sem repetição e sem o autor da ação
+async function findRecipients(ids, event) {
+  const actorId = idOf(event.actor);
+  const unique = [...new Set(ids.filter(Boolean).map(idOf))].filter(id => id !== actorId);
+  if (unique.length === 0) return [];
+
+  return await User.find({ _id: { $in: unique }, isActive: true, email: { $ne: null } }).select('name email');
+}
+
+async function sendWelcome(event) {
+  const user = await User.findOne({ _id: event.user._id, isActive: true }).select('name username email');
+  if (!user?.email) return;
+
+  await queueMail({
+    to: user.email,
+    template: EMAIL_TEMPLATES.WELCOME,
+    data: {
+      name: user.name,
+      username: user.username,
+      createdBy: event.actor?.name,
+      loginUrl: frontendUrl('/login')
+    }
+  });
+}
+
+async function sendTaskAssigned(event) {
+  const [assignee] = await findRecipients([event.assignee], event);
+  if (!assignee) return;
+
+  const process = event.task.process ? await Process.findById(event.task.process).select('title') : null;
+
+  await queueMail({
+    to: assignee.email,
+    template: EMAIL_TEMPLATES.TASK_ASSIGNED,
+    data: {
+      name: assignee.name,
+      title: event.task.title,
+      assignedBy: event.actor?.name,
+      processTitle: process?.title,
+      priority: event.task.priority,
+      dueDate: event.task.dueDate ? formatDate(event.task.dueDate) : undefined,
+      url: frontendUrl(`/tasks/${event.task._id}`)
+    }
+  });
+}
+
+async function sendProcessCompleted(event) {
+  if (event.to !== STATUS.PROCESS.COMPLETED) return;
+
+  const { process } = event;
+  const recipients = await findRecipients([process.responsible, ...(process.team || []), process.createdBy], event);
+
+  for (const recipient of recipients) {
+    await queueMail({
+      to: recipient.email,
+      template: EMAIL_TEMPLATES.PROCESS_COMPLETED,
+      data: {
+        name: recipient.name,
+        title: process.title,
+        completedBy: event.automatic ? undefined : event.actor?.name,
+        completedDate: formatDateTime(event.occurredAt),
+        url: frontendUrl(`/processes/${process._id}`)
+      }
+    });
+  }
+}
+
+/**
+ * Registra os disparos de email no barramento (chamar uma vez na inicialização)
+ */
+function registerMailTriggers() {
+  onEvent(EVENT_TYPES.USER_CREATED, sendWelcome);
+  onEvent(EVENT_TYPES.TASK_ASSIGNED, sendTaskAssigned);
+  onEvent(EVENT_TYPES.PROCESS_STATUS_CHANGED, sendProcessCompleted);
+}
+
+module.exports = {
+  registerMailTriggers
+};
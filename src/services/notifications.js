@@ -0,0 +1,226 @@
+// src/services/notifications.js
+
+/**
+ * Central de notificações
+ *
+ * Assina o barramento de eventos e grava uma Notification para cada
+ * destinatário interessado. Quem causou a ação não é notificado, usuários
+ * inativos também não, e cada usuário pode desligar tipos de evento em
+ * notificationPreferences.inApp.
+ */
+
+const Notification = require('../models/Notification');
+const Process = require('../models/Process');
+const User = require('../models/User');
+const { EVENT_TYPES, idOf, onEvent } = require('./events');
+
+const ENTITY_LABEL = {
+  Task: { the: 'A tarefa', of: 'da tarefa', in: 'na tarefa' },
+  Process: { the: 'O processo', of: 'do processo', in: 'no processo' }
+};
+
+const actorName = (event) => event.actor?.name || 'Sistema';
+
+const statusMessage = (entityType, entity, event) =>
+  `${ENTITY_LABEL[entityType].the} "${entity.title}" mudou de ${event.from} para ${event.to}` +
+  (event.automatic ? ' automaticamente' : '');
+
+// Envolvidos em um processo: responsável, equipe e criador
+const processMembers = (process) => [process.responsible, ...(process.team || []), process.createdBy];
+
+// Em comentários, o autor do comentário respondido também é avisado; quem foi
+// mencionado recebe só a notificação de menção
+const commentRecipients = (event, recipients) => {
+  const mentioned = (event.comment?.mentions || []).map(idOf);
+  return [...recipients, event.comment?.replyTo].filter(id => id && !mentioned.includes(idOf(id)));
+};
+
+const commentMessage = (entityType, entity, event) =>
+  `${actorName(event)} ${event.comment?.replyTo ? 'respondeu a um comentário' : 'comentou'} ${ENTITY_LABEL[entityType].in} "${entity.title}"`;
+
+// Por tipo de evento: quem recebe e o texto da notificação
+const RULES = {
+  [EVENT_TYPES.TASK_ASSIGNED]: {
+    entity: (event) => ['Task', event.task._id],
+    recipients: async (event) => [event.assignee],
+    title: () => 'Nova tarefa atribuída',
+    message: (event) => `${actorName(event)} atribuiu a tarefa "${event.task.title}" a você`
+  },
+  [EVENT_TYPES.TASK_STATUS_CHANGED]: {
+    entity: (event) => ['Task', event.task._id],
+    recipients: async (event) => [event.task.assignedTo, event.task.createdBy],
+    title: () => 'Status da tarefa alterado',
+    message: (event) => statusMessage('Task', event.task, event)
+  },
+  [EVENT_TYPES.TASK_COMMENTED]: {
+    entity: (event) => ['Task', event.task._id],
+    recipients: async (event) => {
+      const process = event.task.process
+        ? await Process.findById(event.task.process).select('responsible')
+        : null;
+      return commentRecipients(event, [event.task.assignedTo, event.task.createdBy, process?.responsible]);
+    },
+    title: () => 'Novo comentário',
+    message: (event) => commentMessage('Task', event.task, event)
+  },
+  [EVENT_TYPES.PROCESS_ASSIGNED]: {
+    entity: (event) => ['Process', event.process._id],
+    recipients: async (event) => event.users,
+    title: () => 'Você foi incluído em um processo',
+    message: (event) => `${actorName(event)} incluiu você no processo "${event.process.title}"`
+  },
+  [EVENT_TYPES.PROCESS_STATUS_CHANGED]: {
+    entity: (event) => ['Process', event.process._id],
+    recipients: async (event) => processMembers(event.process),
+    title: () => 'Status do processo alterado',
+    message: (event) => statusMessage('Process', event.process, event)
+  },
+  [EVENT_TYPES.PROCESS_COMMENTED]: {
+    entity: (event) => ['Process', event.process._id],
+    recipients: async (event) => commentRecipients(event, processMembers(event.process)),
+    title: () => 'Novo comentário',
+    message: (event) => commentMessage('Process', event.process, event)
+  },
+  [EVENT_TYPES.COMMENT_MENTIONED]: {
+    entity: (event) => [event.entityType, event.entity._id],
+    recipients: async (event) => event.mentioned,
+    title: () => 'Você foi mencionado',
+    message: (event) =>
+      `${actorName(event)} mencionou você em um comentário ${ENTITY_LABEL[event.entityType].of} "${event.entity.title}"`
+  },
+  [EVENT_TYPES.DEADLINE_REMINDER]: {
+    entity: (event) => [event.entityType, event.entity._id],
+    recipients: async (event) => event.recipients,
+    title: () => 'Prazo se aproximando',
+    message: (event) => (event.overdueHours > 0
+      ? `O prazo ${ENTITY_LABEL[event.entityType].of} "${event.entity.title}" venceu há ${event.overdueHours}h`
+      : `O prazo ${ENTITY_LABEL[event.entityType].of} "${event.entity.title}" está chegando`)
+  },
+  [EVENT_TYPES.DEADLINE_ESCALATION]: {
+    entity: (event) => [event.entityType, event.entity._id],
+    recipients: async (event) => event.recipients,
+    title: () => 'Prazo vencido',
+    message: (event) =>
+      `O prazo ${ENTITY_LABEL[event.entityType].of} "${event.entity.title}" venceu há ${event.overdueHours}h e ainda está em aberto`
+  },
+  [EVENT_TYPES.USER_CREATED]: {
+    entity: (event) => ['User', event.user._id],
+    recipients: async () => (await User.find({ role: 'admin', isActive: true }).select('_id')).map(admin => admin._id),
+    title: () => 'Novo usuário',
+    message: (event) => `${actorName(event)} cadastrou o usuário ${event.user.name} (${event.user.username})`
+  },
+  [EVENT_TYPES.USER_ROLE_CHANGED]: {
+    entity: (event) => ['User', event.user._id],
+    recipients: async (event) => [event.user._id],
+    title: () => 'Seu perfil de acesso mudou',
+    message: (event) => `${actorName(event)} alterou seu perfil de ${event.from} para ${event.to}`
+  }
+};
+
+// Tipos de evento que geram notificação (os únicos configuráveis nas preferências)
+const NOTIFIABLE_TYPES = Object.keys(RULES);
+
+/**
+ * Tipo habilitado nas preferências do usuário (ausente = habilitado)
+ * @param {Object} user
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isEnabledFor(user, type) {
+  const inApp = user.notificationPreferences?.inApp;
+  if (!inApp) return true;
+  const value = typeof inApp.get === 'function' ? inApp.get(type) : inApp[type];
+  return value !== false;
+}
+
+/**
+ * Preferências completas do usuário, com todos os tipos de evento
+ * @param {Object} user
+ * @returns {{ inApp: Object<string, boolean> }}
+ */
+function preferencesOf(user) {
+  const inApp = {};
+  NOTIFIABLE_TYPES.forEach(type => {
+    inApp[type] = isEnabledFor(user, type);
+  });
+  return { inApp };
+}
+
+/**
+ * Valida as preferências enviadas ({ inApp: { 'task.commented': false } })
+ * @param {Object} input
+ * @returns {{ errors: string[], values: Object<string, boolean> }}
+ */
+function validatePreferences(input) {
+  const errors = [];
+  const values = {};
+  const inApp = input?.inApp;
+
+  if (!inApp || typeof inApp !== 'object' || Array.isArray(inApp)) {
+    return { errors: ['inApp deve ser um objeto { tipoDeEvento: true|false }'], values };
+  }
+
+  Object.entries(inApp).forEach(([type, enabled]) => {
+    if (!NOTIFIABLE_TYPES.includes(type)) {
+      errors.push(`Tipo de evento inválido ou sem notificação: ${type}`);
+    } else if (typeof enabled !== 'boolean') {
+      errors.push(`${type} deve ser true ou false`);
+    } else {
+      values[type] = enabled;
+    }
+  });
+
+  return { errors, values };
+}
+
+/**
+ * Grava as notificações de um evento
+ * @param {Object} event - Evento publicado por emitEvent
+ * @returns {Promise<number>} Quantidade de notificações criadas
+ */
+async function notifyEvent(event) {
+  const rule = RULES[event.type];
+  if (!rule) return 0;
+
+  const actorId = idOf(event.actor);
+  const candidates = [...new Set((await rule.recipients(event)).filter(Boolean).map(idOf))]
+    .filter(id => id !== actorId);
+  if (candidates.length === 0) return 0;
+
+  const users = await User.find({ _id: { $in: candidates }, isActive: true }).select('notificationPreferences');
+  const recipients = users.filter(user => isEnabledFor(user, event.type));
+  if (recipients.length === 0) return 0;
+
+  const [entityType, entityId] = rule.entity(event);
+  const { type, occurredAt, ...data } = event;
+
+  await Notification.insertMany(recipients.map(user => ({
+    recipient: user._id,
+    type,
+    title: rule.title(event),
+    message: rule.message(event).slice(0, 1000),
+    entityType,
+    entityId,
+    actor: actorId,
+    data,
+    createdAt: occurredAt
+  })));
+
+  return recipients.length;
+}
+
+/**
+ * Registra a central de notificações no barramento (chamar uma vez na inicialização)
+ */
+function registerNotificationHandlers() {
+  NOTIFIABLE_TYPES.forEach(type => onEvent(type, notifyEvent));
+}
+
+module.exports = {
+  NOTIFIABLE_TYPES,
+  isEnabledFor,
+  preferencesOf,
+  validatePreferences,
+  notifyEvent,
+  registerNotificationHandlers
+};
@@ -0,0 +1,246 @@
+// src/services/processTemplates.js
+
+/**
+ * Validação de templates de processo e criação do processo com todas as
+ * tarefas previstas em uma única transação
+ */
+
+const mongoose = require('mongoose');
+const Process = require('../models/Process');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { findCycle, topologicalSort } = require('../utils/graph');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const templateError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Grafo de dependências dos blueprints (key -> keys das quais depende)
+ * @param {Object[]} blueprints
+ * @returns {Map<string, string[]>}
+ */
+function buildBlueprintGraph(blueprints) {
+  return new Map(blueprints.map(blueprint => [blueprint.key, blueprint.dependsOn || []]));
+}
+
+/**
+ * Valida a lista de blueprints de um template
+ * @param {Object[]} blueprints
+ * @returns {string[]} Lista de erros (vazia se válido)
+ */
+function validateBlueprints(blueprints) {
+  if (blueprints === undefined) return [];
+  if (!Array.isArray(blueprints)) return ['tasks deve ser uma lista'];
+
+  const errors = [];
+  const keys = blueprints.map(blueprint => blueprint?.key);
+
+  blueprints.forEach((blueprint, index) => {
+    const label = blueprint?.key || `#${index + 1}`;
+
+    if (!blueprint?.key || !blueprint.title) {
+      errors.push(`Tarefa ${label}: key e title são obrigatórios`);
+      return;
+    }
+
+    (blueprint.dependsOn || []).forEach(dependency => {
+      if (dependency === blueprint.key) {
+        errors.push(`Tarefa ${label} não pode depender de si mesma`);
+      } else if (!keys.includes(dependency)) {
+        errors.push(`Tarefa ${label} depende de ${dependency}, que não existe no template`);
+      }
+    });
+
+    const start = blueprint.startOffsetDays || 0;
+    if (blueprint.dueOffsetDays !== undefined && blueprint.dueOffsetDays !== null && blueprint.dueOffsetDays < start) {
+      errors.push(`Tarefa ${label}: dueOffsetDays não pode ser menor que startOffsetDays`);
+    }
+
+    const assignee = blueprint.assignee || {};
+    if (assignee.type === 'role' && !assignee.role) {
+      errors.push(`Tarefa ${label}: assignee do tipo role precisa de role`);
+    }
+    if (assignee.type === 'user' && !mongoose.isValidObjectId(assignee.user)) {
+      errors.push(`Tarefa ${label}: assignee do tipo user precisa de um usuário válido`);
+    }
+  });
+
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Existem tarefas com a mesma key');
+  }
+
+  if (errors.length === 0) {
+    const cycle = findCycle(buildBlueprintGraph(blueprints));
+    if (cycle) {
+      errors.push(`Dependências circulares: ${cycle.join(' -> ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve o responsável de cada blueprint. Tarefas por role são distribuídas
+ * em rodízio entre os membros da equipe (incluindo o responsável) com a role;
+ * sem ninguém com a role, ficam com o responsável do processo.
+ */
+async function resolveAssignees(blueprints, { responsible, team, creator, assignments }) {
+  const members = await User.find({
+    _id: { $in: [responsible, ...team] },
+    isActive: true
+  }).select('role');
+
+  const explicitIds = [
+    ...Object.values(assignments),
+    ...blueprints.filter(blueprint => blueprint.assignee?.type === 'user').map(blueprint => blueprint.assignee.user)
+  ].map(String);
+
+  if (explicitIds.some(id => !mongoose.isValidObjectId(id))) {
+    throw templateError('Usuário inválido nas atribuições');
+  }
+
+  const activeExplicit = await User.find({ _id: { $in: explicitIds }, isActive: true }).select('_id');
+  const activeIds = new Set(activeExplicit.map(user => user._id.toString()));
+  const missing = [...new Set(explicitIds)].filter(id => !activeIds.has(id));
+  if (missing.length > 0) {
+    throw templateError(`Usuário(s) não encontrado(s) ou inativo(s): ${missing.join(', ')}`);
+  }
+
+  const rotation = {};
+
+  return new Map(blueprints.map(blueprint => {
+    if (assignments[blueprint.key]) {
+      return [blueprint.key, assignments[blueprint.key]];
+    }
+
+    const { type = 'responsible', role, user } = blueprint.assignee || {};
+
+    if (type === 'creator') return [blueprint.key, creator];
+    if (type === 'user') return [blueprint.key, user];
+
+    if (type === 'role') {
+      const candidates = members.filter(member => member.role === role);
+      if (candidates.length > 0) {
+        rotation[role] = (rotation[role] ?? -1) + 1;
+        return [blueprint.key, candidates[rotation[role] % candidates.length]._id];
+      }
+    }
+
+    return [blueprint.key, responsible];
+  }));
+}
+
+/**
+ * Cria o processo e todas as tarefas do template em uma transação: ou tudo
+ * é gravado, ou nada é.
+ * @param {Object} template - Documento ProcessTemplate
+ * @param {Object} options - Dados do processo (title, responsible, team, startDate, dueDate...)
+ * @param {Object} options.assignments - Responsável por key de blueprint, sobrepondo o template
+ * @param {Object} user - Usuário que está criando
+ * @returns {Promise<{ process: Object, tasks: Object[] }>}
+ */
+async function instantiateTemplate(template, options, user) {
+  const blueprints = template.tasks.map(blueprint => blueprint.toObject ? blueprint.toObject() : blueprint);
+  const assignments = options.assignments || {};
+  const team = options.team || [];
+
+  const unknownKeys = Object.keys(assignments).filter(key => !blueprints.some(blueprint => blueprint.key === key));
+  if (unknownKeys.length > 0) {
+    throw templateError(`Tarefas inexistentes no template: ${unknownKeys.join(', ')}`);
+  }
+
+  const startDate = options.startDate ? new Date(options.startDate) : new Date();
+  if (Number.isNaN(startDate.getTime())) {
+    throw templateError('startDate inválida');
+  }
+
+  // Dependências são criadas antes das tarefas que dependem delas
+  const order = topologicalSort(buildBlueprintGraph(blueprints));
+  const byKey = new Map(blueprints.map(blueprint => [blueprint.key, blueprint]));
+
+  const assignees = await resolveAssignees(blueprints, {
+    responsible: options.responsible,
+    team,
+    creator: user._id,
+    assignments
+  });
+
+  const taskDueDates = blueprints
+    .filter(blueprint => blueprint.dueOffsetDays !== undefined && blueprint.dueOffsetDays !== null)
+    .map(blueprint => addDays(startDate, blueprint.dueOffsetDays));
+
+  let dueDate = options.dueDate;
+  if (!dueDate && template.defaults?.durationDays !== undefined && template.defaults?.durationDays !== null) {
+    dueDate = addDays(startDate, template.defaults.durationDays);
+  } else if (!dueDate && taskDueDates.length > 0) {
+    dueDate = new Date(Math.max(...taskDueDates));
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    // withTransaction pode repetir o callback: os documentos são recriados a cada tentativa
+    await session.withTransaction(async () => {
+      const process = new Process({
+        title: options.title || template.defaults?.title || template.name,
+        description: options.description ?? template.defaults?.description ?? template.description,
+        priority: options.priority || template.defaults?.priority,
+        responsible: options.responsible,
+        team,
+        startDate,
+        dueDate,
+        category: options.category ?? template.category,
+        tags: options.tags ?? template.tags,
+        template: template._id,
+        autoStatus: options.autoStatus,
+        createdBy: user._id
+      });
+      await process.save({ session });
+
+      const ids = new Map(order.map(key => [key, new mongoose.Types.ObjectId()]));
+      const tasks = [];
+
+      for (const key of order) {
+        const blueprint = byKey.get(key);
+        const task = new Task({
+          _id: ids.get(key),
+          title: blueprint.title,
+          description: blueprint.description,
+          priority: blueprint.priority,
+          assignedTo: assignees.get(key),
+          process: process._id,
+          startDate: addDays(startDate, blueprint.startOffsetDays || 0),
+          dueDate: blueprint.dueOffsetDays !== undefined && blueprint.dueOffsetDays !== null
+            ? addDays(startDate, blueprint.dueOffsetDays)
+            : undefined,
+          estimatedHours: blueprint.estimatedHours,
+          tags: blueprint.tags,
+          checklist: (blueprint.checklist || []).map(item => ({ item })),
+          dependencies: (blueprint.dependsOn || []).map(dependency => ids.get(dependency)),
+          createdBy: user._id
+        });
+        await task.save({ session });
+        tasks.push(task);
+      }
+
+      result = { process, tasks };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+module.exports = {
+  validateBlueprints,
+  instantiateTemplate
+};
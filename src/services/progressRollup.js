@@ -0,0 +1,247 @@
+// src/services/progressRollup.js
+
+/**
+ * Progresso (e, opcionalmente, status) do processo calculado a partir das
+ * tarefas raiz, e de cada tarefa pai a partir das suas subtarefas
+ */
+
+const Process = require('../models/Process');
+const Task = require('../models/Task');
+const { snapshot, recordAudit } = require('./audit');
+const { recordRevision } = require('./revisions');
+const { getWorkflow, findTransition } = require('./workflow');
+const { BLOCKED_STATUSES, findOpenDependencies } = require('./taskDependencies');
+const { EVENT_TYPES, emitEvent, emitUpdate, summarize } = require('./events');
+
+// Status derivado (vocabulário de processo) -> status de tarefa
+const TASK_STATUS = {
+  PENDENTE: 'PENDENTE',
+  EM_ANDAMENTO: 'EM_ANDAMENTO',
+  CONCLUIDO: 'CONCLUIDA'
+};
+
+/**
+ * Progresso ponderado pelas horas estimadas. Tarefas canceladas não entram;
+ * tarefas sem estimativa pesam a média das estimativas existentes (ou 1, se
+ * nenhuma tiver estimativa).
+ * @param {Object[]} tasks - Tarefas com status, progress e estimatedHours
+ * @returns {number} Progresso de 0 a 100
+ */
+function computeDerivedProgress(tasks) {
+  const active = tasks.filter(task => task.status !== 'CANCELADA');
+  if (active.length === 0) return 0;
+
+  const estimates = active.map(task => task.estimatedHours).filter(hours => hours > 0);
+  const fallbackWeight = estimates.length > 0
+    ? estimates.reduce((sum, hours) => sum + hours, 0) / estimates.length
+    : 1;
+
+  let totalWeight = 0;
+  let weightedProgress = 0;
+
+  active.forEach(task => {
+    const weight = task.estimatedHours > 0 ? task.estimatedHours : fallbackWeight;
+    const progress = task.status === 'CONCLUIDA' ? 100 : (task.progress || 0);
+
+    totalWeight += weight;
+    weightedProgress += weight * progress;
+  });
+
+  return Math.round(weightedProgress / totalWeight);
+}
+
+/**
+ * Status do processo sugerido pelas tarefas
+ * @param {Object[]} tasks
+ * @returns {string|null} PENDENTE | EM_ANDAMENTO | CONCLUIDO, ou null sem tarefas ativas
+ */
+function deriveStatus(tasks) {
+  const active = tasks.filter(task => task.status !== 'CANCELADA');
+  if (active.length === 0) return null;
+
+  if (active.every(task => task.status === 'CONCLUIDA')) return 'CONCLUIDO';
+
+  const started = active.some(task =>
+    ['EM_ANDAMENTO', 'CONCLUIDA'].includes(task.status) || task.progress > 0
+  );
+
+  return started ? 'EM_ANDAMENTO' : 'PENDENTE';
+}
+
+/**
+ * A mudança automática só acontece por uma transição do workflow que não
+ * exija campos e nunca a partir de um estado final (concluído/cancelado)
+ */
+function canAutoTransition(workflow, from, to) {
+  const current = workflow.states.find(state => state.key === from);
+  if (!current || current.final) return false;
+
+  const transition = findTransition(workflow, from, to);
+  return !!transition && (transition.requiredFields || []).length === 0;
+}
+
+async function recalculateOne(processId, req, trigger) {
+  const process = await Process.findById(processId);
+  if (!process) return null;
+
+  // Subtarefas já entram no progresso do pai: contar só as tarefas raiz
+  const tasks = await Task.find({ process: process._id, parentTask: null }).select('status progress estimatedHours');
+  const before = snapshot(process);
+
+  process.derivedProgress = computeDerivedProgress(tasks);
+
+  let statusChanged = false;
+
+  if (process.autoStatus) {
+    const target = deriveStatus(tasks);
+
+    if (target && target !== process.status &&
+        canAutoTransition(await getWorkflow('Process'), process.status, target)) {
+      process.status = target;
+      statusChanged = true;
+
+      if (target === 'CONCLUIDO') {
+        process.completedDate = new Date();
+        process.progress = 100;
+      }
+    }
+  }
+
+  if (!process.isModified()) return process;
+
+  await process.save();
+  emitUpdate('Process', req.user, process, before, { automatic: true });
+
+  if (statusChanged) {
+    console.log(`🔄 Processo ${process._id} movido automaticamente para ${process.status}`);
+
+    await recordAudit(req, {
+      entityType: 'Process',
+      entityId: process._id,
+      action: 'status',
+      before,
+      after: process,
+      metadata: { automatic: true, task: trigger }
+    });
+    await recordRevision({ entityType: 'Process', doc: process, before, author: req.user });
+
+    emitEvent(EVENT_TYPES.PROCESS_STATUS_CHANGED, {
+      actor: req.user,
+      process: summarize(process),
+      from: before.status,
+      to: process.status,
+      automatic: true
+    });
+  }
+
+  return process;
+}
+
+/**
+ * Recalcula o progresso derivado dos processos afetados por uma mudança em
+ * tarefa. Falhas são apenas logadas para não interromper a operação principal.
+ * @param {ObjectId|ObjectId[]} processIds - Processo(s) da tarefa (antes e depois da mudança)
+ * @param {Object} req - Request do Express (autor de eventual mudança de status)
+ * @param {ObjectId} trigger - Tarefa que motivou o recálculo
+ */
+async function recalculateProcessProgress(processIds, req, trigger) {
+  const ids = [...new Set([].concat(processIds).filter(Boolean).map(String))];
+
+  for (const processId of ids) {
+    try {
+      await recalculateOne(processId, req, trigger);
+    } catch (error) {
+      console.error(`❌ Erro ao recalcular progresso do processo ${processId}:`, error.message);
+    }
+  }
+}
+
+async function recalculateParent(parentId, req, trigger) {
+  const parent = await Task.findById(parentId);
+  if (!parent) return null;
+
+  const children = await Task.find({ parentTask: parent._id }).select('status progress estimatedHours');
+  if (children.length === 0) return parent;
+
+  const before = snapshot(parent);
+  parent.progress = computeDerivedProgress(children);
+
+  const target = TASK_STATUS[deriveStatus(children)];
+  let statusChanged = false;
+
+  if (target && target !== parent.status &&
+      canAutoTransition(await getWorkflow('Task'), parent.status, target)) {
+    // Pai com dependências em aberto não inicia/conclui sozinho
+    const blocked = BLOCKED_STATUSES.includes(target) &&
+      (await findOpenDependencies(parent.dependencies)).length > 0;
+
+    if (!blocked) {
+      parent.status = target;
+      statusChanged = true;
+
+      if (target === 'CONCLUIDA') {
+        parent.completedDate = new Date();
+        parent.progress = 100;
+      }
+    }
+  }
+
+  if (!parent.isModified()) return parent;
+
+  await parent.save();
+  emitUpdate('Task', req.user, parent, before, { automatic: true });
+
+  if (statusChanged) {
+    console.log(`🔄 Tarefa ${parent._id} movida automaticamente para ${parent.status}`);
+
+    await recordAudit(req, {
+      entityType: 'Task',
+      entityId: parent._id,
+      action: 'status',
+      before,
+      after: parent,
+      metadata: { automatic: true, task: trigger }
+    });
+    await recordRevision({ entityType: 'Task', doc: parent, before, author: req.user });
+
+    emitEvent(EVENT_TYPES.TASK_STATUS_CHANGED, {
+      actor: req.user,
+      task: summarize(parent),
+      from: before.status,
+      to: parent.status,
+      automatic: true
+    });
+  }
+
+  return parent;
+}
+
+/**
+ * Recalcula progresso e status das tarefas pai, subindo até a raiz. Deve
+ * rodar antes de recalculateProcessProgress. Falhas são apenas logadas.
+ * @param {ObjectId|ObjectId[]} parentIds - Pai(s) da tarefa alterada (antes e depois da mudança)
+ * @param {Object} req - Request do Express (autor de eventual mudança de status)
+ * @param {ObjectId} trigger - Tarefa que motivou o recálculo
+ */
+async function recalculateTaskAncestors(parentIds, req, trigger) {
+  const ids = [...new Set([].concat(parentIds).filter(Boolean).map(String))];
+
+  for (const parentId of ids) {
+    try {
+      let current = await recalculateParent(parentId, req, trigger);
+
+      while (current && current.parentTask) {
+        current = await recalculateParent(current.parentTask, req, trigger);
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao recalcular tarefa pai ${parentId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  computeDerivedProgress,
+  deriveStatus,
+  recalculateProcessProgress,
+  recalculateTaskAncestors
+};
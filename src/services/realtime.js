@@ -0,0 +1,260 @@
+// src/services/realtime.js
+
+/**
+ * Canal em tempo real (Server-Sent Events)
+ *
+ * Cada conexão aberta em /api/realtime/stream escolhe o que acompanhar:
+ * - processes: eventos de processos e das tarefas desses processos;
+ * - mine: eventos das tarefas atribuídas ao usuário (ou que deixaram de ser);
+ * - department: eventos cujo responsável (tarefa, processo ou usuário) é do departamento.
+ * Os eventos do barramento são repassados como mensagens SSE com o nome do
+ * evento (task.updated, process.commented...) e o JSON do evento em data.
+ *
+ * As conexões ficam em memória: em implantações com várias instâncias, cada
+ * uma só repassa os eventos que ela mesma publicou.
+ */
+
+const User = require('../models/User');
+const { idOf, onEvent } = require('./events');
+const { REALTIME_CONFIG } = require('../utils/constants');
+
+const connections = new Map();
+let connectionSeq = 0;
+let eventSeq = 0;
+let heartbeatTimer = null;
+
+// Departamento por usuário, com cache curto
+const departmentCache = new Map();
+
+function write(connection, chunk) {
+  if (!connection.res.writableEnded) connection.res.write(chunk);
+}
+
+function sendMessage(connection, name, data, id) {
+  write(connection, `${id ? `id: ${id}\n` : ''}event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Encerra uma conexão (também chamado quando o cliente desconecta)
+ * @param {Object} connection
+ * @param {string} reason - Enviado ao cliente em um evento "close", se ainda estiver conectado
+ */
+function closeConnection(connection, reason) {
+  if (!connections.delete(connection.id)) return;
+
+  if (reason && !connection.res.writableEnded) {
+    sendMessage(connection, 'close', { reason });
+  }
+  connection.res.end();
+
+  if (connections.size === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+// Mantém as conexões vivas e confere de novo o token de cada uma
+async function heartbeat() {
+  const now = Date.now();
+
+  for (const connection of [...connections.values()]) {
+    write(connection, ': ping\n\n');
+
+    if (now - connection.validatedAt < REALTIME_CONFIG.REVALIDATE_MS) continue;
+
+    try {
+      const result = await connection.revalidate();
+      if (result.valid) {
+        connection.validatedAt = now;
+      } else {
+        console.log(`❌ Realtime: Conexão de ${connection.user.username} encerrada (${result.error})`);
+        closeConnection(connection, result.error);
+      }
+    } catch (error) {
+      console.error('❌ Realtime: Erro ao revalidar conexão:', error.message);
+    }
+  }
+}
+
+/**
+ * Quantidade de conexões abertas de um usuário
+ * @param {ObjectId|string} userId
+ * @returns {number}
+ */
+function countUserConnections(userId) {
+  return [...connections.values()].filter(connection => connection.userId === idOf(userId)).length;
+}
+
+/**
+ * Registra uma conexão SSE já autenticada e envia o evento "ready"
+ * @param {Object} options
+ * @param {Object} options.res - Response do Express (cabeçalhos ainda não enviados)
+ * @param {Object} options.user - Usuário autenticado
+ * @param {Object} options.subscriptions - { processes: string[], mine: boolean, department: string|null }
+ * @param {Function} options.revalidate - async () => { valid, error }, chamada periodicamente
+ * @returns {Object} Conexão
+ */
+function openConnection({ res, user, subscriptions, revalidate }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Nginx e similares não devem segurar as mensagens em buffer
+    'X-Accel-Buffering': 'no'
+  });
+
+  const connection = {
+    id: ++connectionSeq,
+    res,
+    user,
+    userId: idOf(user),
+    subscriptions: {
+      processes: new Set(subscriptions.processes.map(String)),
+      mine: subscriptions.mine,
+      department: subscriptions.department
+    },
+    revalidate,
+    validatedAt: Date.now(),
+    openedAt: new Date()
+  };
+
+  connections.set(connection.id, connection);
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, REALTIME_CONFIG.HEARTBEAT_MS);
+    heartbeatTimer.unref();
+  }
+
+  write(connection, `retry: ${REALTIME_CONFIG.RETRY_MS}\n\n`);
+  sendMessage(connection, 'ready', {
+    connectionId: connection.id,
+    subscriptions: {
+      processes: [...connection.subscriptions.processes],
+      mine: connection.subscriptions.mine,
+      department: connection.subscriptions.department
+    }
+  });
+
+  return connection;
+}
+
+async function departmentsOf(userIds) {
+  const now = Date.now();
+  const missing = userIds.filter(id => {
+    const cached = departmentCache.get(id);
+    return !cached || now - cached.at > REALTIME_CONFIG.DEPARTMENT_CACHE_MS;
+  });
+
+  if (missing.length > 0) {
+    const users = await User.find({ _id: { $in: missing } }).select('department');
+    missing.forEach(id => departmentCache.set(id, { department: null, at: now }));
+    users.forEach(user => departmentCache.set(idOf(user), { department: user.department || null, at: now }));
+  }
+
+  return new Set(userIds.map(id => departmentCache.get(id)?.department).filter(Boolean));
+}
+
+const ids = (...values) => [...new Set(values.flat().filter(Boolean).map(idOf))];
+
+/**
+ * Processos, responsáveis por tarefas e donos (para departamento) de um evento
+ * @param {Object} event
+ * @returns {{ processes: string[], assignees: string[], owners: string[] }}
+ */
+function targetsOf(event) {
+  const { task, process, entity, previous = {} } = event;
+  const entityTask = event.entityType === 'Task' ? entity : null;
+  const entityProcess = event.entityType === 'Process' ? entity : null;
+
+  return {
+    processes: ids(task?.process, process?._id, entityTask?.process, entityProcess?._id, previous.process),
+    assignees: ids(task?.assignedTo, event.assignee, entityTask?.assignedTo, task && previous.assignedTo),
+    owners: ids(
+      task?.assignedTo, task && previous.assignedTo,
+      process?.responsible, process && previous.responsible,
+      entity?.assignedTo, entity?.responsible,
+      event.user?._id
+    )
+  };
+}
+
+/**
+ * Repassa um evento do barramento às conexões interessadas
+ * @param {Object} event
+ * @returns {Promise<number>} Quantidade de conexões que receberam
+ */
+async function broadcast(event) {
+  if (connections.size === 0) return 0;
+
+  const targets = targetsOf(event);
+  const needsDepartments = [...connections.values()].some(connection => connection.subscriptions.department);
+  const departments = needsDepartments && targets.owners.length > 0
+    ? await departmentsOf(targets.owners)
+    : new Set();
+
+  const id = ++eventSeq;
+  let delivered = 0;
+
+  for (const connection of connections.values()) {
+    const { subscriptions } = connection;
+
+    const interested = targets.processes.some(processId => subscriptions.processes.has(processId)) ||
+      (subscriptions.mine && targets.assignees.includes(connection.userId)) ||
+      (!!subscriptions.department && departments.has(subscriptions.department));
+
+    if (interested) {
+      sendMessage(connection, event.type, event, id);
+      delivered++;
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Resumo das conexões abertas nesta instância
+ * @returns {{ total: number, users: number, connections: Object[] }}
+ */
+function connectionStats() {
+  const list = [...connections.values()].map(connection => ({
+    id: connection.id,
+    user: { _id: connection.userId, username: connection.user.username },
+    subscriptions: {
+      processes: connection.subscriptions.processes.size,
+      mine: connection.subscriptions.mine,
+      department: connection.subscriptions.department
+    },
+    openedAt: connection.openedAt
+  }));
+
+  return {
+    total: list.length,
+    users: new Set(list.map(item => item.user._id)).size,
+    connections: list
+  };
+}
+
+/**
+ * Encerra todas as conexões (desligamento do servidor)
+ */
+function closeAllConnections() {
+  [...connections.values()].forEach(connection => closeConnection(connection, 'Servidor reiniciando'));
+}
+
+/**
+ * Registra o canal em tempo real no barramento (chamar uma vez na inicialização)
+ */
+function registerRealtimeHandlers() {
+  onEvent('*', broadcast);
+}
+
+module.exports = {
+  openConnection,
+  closeConnection,
+  closeAllConnections,
+  countUserConnections,
+  targetsOf,
+  broadcast,
+  connectionStats,
+  registerRealtimeHandlers
+};
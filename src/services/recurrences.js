@@ -0,0 +1,543 @@
+// src/services/recurrences.js
+
+/**
+ * Séries recorrentes de tarefas e processos
+ *
+ * A primeira ocorrência é o documento de origem; as seguintes são criadas a
+ * partir do modelo da série (series.template) quando a ocorrência atual
+ * termina (trigger "completion") ou quando chega a data (trigger "calendar",
+ * verificado pelo scheduler). Editar uma ocorrência altera só aquele
+ * documento; editar a série altera o modelo das próximas.
+ */
+
+const mongoose = require('mongoose');
+const Recurrence = require('../models/Recurrence');
+const Process = require('../models/Process');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { snapshot, recordAudit, systemRequest } = require('./audit');
+const { recordRevision } = require('./revisions');
+const { getWorkflow } = require('./workflow');
+const { recalculateProcessProgress, recalculateTaskAncestors } = require('./progressRollup');
+const { nextOccurrence } = require('../utils/recurrence');
+const { EVENT_TYPES, idOf, emitEvent, summarize } = require('./events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Campos copiados da ocorrência de origem para as próximas
+const TEMPLATE_FIELDS = {
+  Task: ['title', 'description', 'priority', 'assignedTo', 'process', 'parentTask', 'ancestors', 'estimatedHours', 'tags', 'checklist'],
+  Process: ['title', 'description', 'priority', 'responsible', 'team', 'category', 'tags', 'budget', 'autoStatus', 'template']
+};
+
+// Campos do modelo que podem ser alterados em PUT /api/recurrences/:id
+const EDITABLE_FIELDS = {
+  Task: ['title', 'description', 'priority', 'assignedTo', 'estimatedHours', 'tags', 'checklist'],
+  Process: ['title', 'description', 'priority', 'responsible', 'team', 'category', 'tags', 'budget', 'autoStatus']
+};
+
+function recurrenceError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+function sameDay(a, b) {
+  return new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+}
+
+/**
+ * Extrai o modelo da série de um documento
+ * @param {string} entityType
+ * @param {Object} doc
+ * @returns {Object}
+ */
+function buildTemplate(entityType, doc) {
+  const plain = doc.toObject ? doc.toObject() : doc;
+  const template = {};
+
+  TEMPLATE_FIELDS[entityType].forEach(field => {
+    if (plain[field] !== undefined && plain[field] !== null) {
+      template[field] = plain[field];
+    }
+  });
+
+  // Checklist volta a ficar em aberto em cada ocorrência
+  if (template.checklist) {
+    template.checklist = template.checklist.map(item => ({ item: item.item, assignedTo: item.assignedTo }));
+  }
+
+  return template;
+}
+
+/**
+ * Status finais do workflow da entidade
+ * @param {string} entityType
+ * @returns {Promise<string[]>}
+ */
+async function finalStatuses(entityType) {
+  const workflow = await getWorkflow(entityType);
+  return workflow.states.filter(state => state.final).map(state => state.key);
+}
+
+/**
+ * Próxima data da série depois de "after", pulando exceções e respeitando count
+ * @param {Object} series
+ * @param {Date} after
+ * @param {number} generated - Ocorrências já criadas
+ * @returns {Date|null}
+ */
+function computeNextDate(series, after, generated = series.generatedCount) {
+  if (series.rule.count && generated >= series.rule.count) return null;
+
+  let cursor = after;
+  // Cada exceção pula no máximo uma data
+  for (let i = 0; i <= series.exceptions.length; i++) {
+    const candidate = nextOccurrence(series.rule, series.dtstart, cursor);
+    if (!candidate) return null;
+    if (!series.exceptions.some(exception => sameDay(exception.date, candidate))) return candidate;
+    cursor = candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Próximas datas que a série vai gerar (sem as puladas)
+ * @param {Object} series
+ * @param {number} limit
+ * @returns {Date[]}
+ */
+function upcomingDates(series, limit = 5) {
+  const dates = [];
+  let cursor = series.lastOccurrenceDate || series.dtstart;
+
+  while (series.isActive && dates.length < limit) {
+    const next = computeNextDate(series, cursor, series.generatedCount + dates.length);
+    if (!next) break;
+    dates.push(next);
+    cursor = next;
+  }
+
+  return dates;
+}
+
+/**
+ * Cria a série a partir de um documento existente (que vira a ocorrência 1)
+ * @param {Object} options
+ * @param {string} options.entityType - 'Task' | 'Process'
+ * @param {Object} options.doc - Documento de origem
+ * @param {Object} options.rule - Regra já normalizada
+ * @param {string} options.trigger - completion | calendar
+ * @param {number} options.leadDays
+ * @param {Object} options.user
+ * @returns {Promise<Object>} Série criada
+ */
+async function createSeries({ entityType, doc, rule, trigger, leadDays, user }) {
+  if (doc.recurrence?.series) {
+    throw recurrenceError('Este item já pertence a uma série recorrente', 409);
+  }
+
+  const dtstart = doc.startDate || doc.createdAt;
+  const durationDays = doc.dueDate
+    ? Math.max(0, Math.round((new Date(doc.dueDate) - new Date(dtstart)) / DAY_MS))
+    : null;
+
+  const series = new Recurrence({
+    entityType,
+    source: doc._id,
+    template: buildTemplate(entityType, doc),
+    durationDays,
+    rule,
+    dtstart,
+    trigger,
+    leadDays,
+    generatedCount: 1,
+    lastOccurrenceDate: dtstart,
+    createdBy: user._id
+  });
+  series.nextOccurrenceDate = computeNextDate(series, dtstart, 1);
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await series.save({ session });
+
+      const linked = await mongoose.model(entityType).updateOne(
+        { _id: doc._id, 'recurrence.series': { $exists: false } },
+        { $set: { recurrence: { series: series._id, index: 1, occurrenceDate: dtstart } } },
+        { session }
+      );
+
+      if (linked.modifiedCount === 0) {
+        throw recurrenceError('Este item já pertence a uma série recorrente', 409);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return series;
+}
+
+async function existingId(Model, id, session) {
+  if (!id) return undefined;
+  return (await Model.exists({ _id: id }).session(session)) ? id : undefined;
+}
+
+async function buildTaskOccurrence(series, occurrenceDate, index, session) {
+  const template = series.template || {};
+  // Pai ou processo removidos depois da criação da série: a ocorrência fica sem eles
+  const parentTask = await existingId(Task, template.parentTask, session);
+
+  const task = new Task({
+    ...template,
+    process: await existingId(Process, template.process, session),
+    parentTask: parentTask || null,
+    ancestors: parentTask ? template.ancestors : [],
+    status: 'PENDENTE',
+    progress: 0,
+    startDate: occurrenceDate,
+    dueDate: series.durationDays !== null ? addDays(occurrenceDate, series.durationDays) : undefined,
+    recurrence: { series: series._id, index, occurrenceDate },
+    createdBy: series.createdBy
+  });
+  await task.save({ session });
+
+  return { doc: task, tasks: [] };
+}
+
+async function buildProcessOccurrence(series, occurrenceDate, index, session) {
+  const shift = new Date(occurrenceDate) - new Date(series.dtstart);
+  const shiftDate = date => (date ? new Date(new Date(date).getTime() + shift) : undefined);
+
+  const process = new Process({
+    ...series.template,
+    status: 'PENDENTE',
+    progress: 0,
+    startDate: occurrenceDate,
+    dueDate: series.durationDays !== null ? addDays(occurrenceDate, series.durationDays) : undefined,
+    recurrence: { series: series._id, index, occurrenceDate },
+    createdBy: series.createdBy
+  });
+  await process.save({ session });
+
+  // Tarefas do processo de origem, com hierarquia, dependências e datas deslocadas
+  const sourceTasks = (await Task.find({ process: series.source }).session(session).lean())
+    .filter(task => task.status !== 'CANCELADA');
+  const ids = new Map(sourceTasks.map(task => [task._id.toString(), new mongoose.Types.ObjectId()]));
+  const mapId = id => ids.get(String(id));
+
+  const tasks = [];
+  for (const source of sourceTasks) {
+    const parentTask = source.parentTask ? mapId(source.parentTask) || null : null;
+    const task = new Task({
+      _id: mapId(source._id),
+      title: source.title,
+      description: source.description,
+      priority: source.priority,
+      assignedTo: source.assignedTo,
+      process: process._id,
+      startDate: shiftDate(source.startDate),
+      dueDate: shiftDate(source.dueDate),
+      estimatedHours: source.estimatedHours,
+      tags: source.tags,
+      checklist: (source.checklist || []).map(item => ({
+        item: item.item,
+        assignedTo: item.assignedTo,
+        dueDate: shiftDate(item.dueDate)
+      })),
+      dependencies: (source.dependencies || []).map(mapId).filter(Boolean),
+      parentTask,
+      ancestors: parentTask ? (source.ancestors || []).map(mapId).filter(Boolean) : [],
+      createdBy: series.createdBy
+    });
+    await task.save({ session });
+    tasks.push(task);
+  }
+
+  return { doc: process, tasks };
+}
+
+/**
+ * Gera a próxima ocorrência da série. A reserva é atômica (condicionada a
+ * generatedCount), então duas chamadas simultâneas não duplicam a ocorrência.
+ * @param {Object} series
+ * @param {Object} options
+ * @param {Object} options.req - Request do Express (ou systemRequest no scheduler)
+ * @param {string} options.reason - completion | calendar | manual
+ * @returns {Promise<Object|null>} Documento criado ou null se nada foi gerado
+ */
+async function generateNext(series, { req, reason }) {
+  if (!series.isActive) return null;
+
+  // Por conclusão, a próxima data é a primeira depois de agora (datas perdidas não acumulam)
+  const after = series.trigger === 'completion' && reason === 'completion'
+    ? new Date(Math.max(new Date(series.lastOccurrenceDate || series.dtstart), Date.now()))
+    : series.lastOccurrenceDate || series.dtstart;
+
+  const occurrenceDate = reason === 'calendar' ? series.nextOccurrenceDate : computeNextDate(series, after);
+
+  if (!occurrenceDate) {
+    await Recurrence.updateOne(
+      { _id: series._id, isActive: true },
+      { $set: { isActive: false, nextOccurrenceDate: null, endedAt: new Date(), updatedAt: new Date() } }
+    );
+    console.log(`🔁 Recorrência: série ${series._id} encerrada (sem próximas datas)`);
+    return null;
+  }
+
+  const index = series.generatedCount + 1;
+  const followingDate = computeNextDate(series, occurrenceDate, index);
+  const session = await mongoose.startSession();
+  let result = null;
+
+  try {
+    await session.withTransaction(async () => {
+      result = null;
+
+      // Sem data seguinte, esta é a última ocorrência e a série termina
+      const ending = followingDate ? {} : { isActive: false, endedAt: new Date() };
+
+      const claimed = await Recurrence.findOneAndUpdate(
+        { _id: series._id, isActive: true, generatedCount: series.generatedCount },
+        {
+          $inc: { generatedCount: 1 },
+          $set: { lastOccurrenceDate: occurrenceDate, nextOccurrenceDate: followingDate, updatedAt: new Date(), ...ending }
+        },
+        { new: true, session }
+      );
+      if (!claimed) return;
+
+      result = series.entityType === 'Task'
+        ? await buildTaskOccurrence(claimed, occurrenceDate, index, session)
+        : await buildProcessOccurrence(claimed, occurrenceDate, index, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!result) return null;
+
+  const { doc, tasks } = result;
+  const metadata = { recurrence: series._id, occurrence: index, reason };
+  const author = req.user || { _id: series.createdBy };
+
+  await recordAudit(req, { entityType: series.entityType, entityId: doc._id, action: 'create', after: doc, metadata });
+  await recordRevision({ entityType: series.entityType, doc, author, action: 'create' });
+
+  for (const task of tasks) {
+    await recordAudit(req, { entityType: 'Task', entityId: task._id, action: 'create', after: task, metadata });
+    await recordRevision({ entityType: 'Task', doc: task, author, action: 'create' });
+  }
+
+  if (series.entityType === 'Task') {
+    await recalculateTaskAncestors(doc.parentTask, req, doc._id);
+    await recalculateProcessProgress(doc.process, req, doc._id);
+  } else {
+    await recalculateProcessProgress(doc._id, req);
+  }
+
+  // Ocorrência nova: eventos de criação e de atribuição ao responsável
+  const origin = { series: series._id, index, reason };
+  if (series.entityType === 'Task') {
+    emitEvent(EVENT_TYPES.TASK_CREATED, { actor: req.user, task: summarize(doc), recurrence: origin });
+    emitEvent(EVENT_TYPES.TASK_ASSIGNED, { actor: req.user, task: summarize(doc), assignee: doc.assignedTo });
+  } else {
+    emitEvent(EVENT_TYPES.PROCESS_CREATED, { actor: req.user, process: summarize(doc), recurrence: origin });
+    emitEvent(EVENT_TYPES.PROCESS_ASSIGNED, {
+      actor: req.user,
+      process: summarize(doc),
+      users: [...new Set([doc.responsible, ...(doc.team || [])].filter(Boolean).map(idOf))]
+    });
+    tasks.forEach(task => {
+      emitEvent(EVENT_TYPES.TASK_CREATED, { actor: req.user, task: summarize(task), recurrence: origin });
+      emitEvent(EVENT_TYPES.TASK_ASSIGNED, { actor: req.user, task: summarize(task), assignee: task.assignedTo });
+    });
+  }
+
+  console.log(`🔁 Recorrência: ocorrência ${index} da série ${series._id} criada (${reason}) para ${occurrenceDate.toISOString().slice(0, 10)}`);
+
+  return doc;
+}
+
+/**
+ * Chamado quando uma ocorrência muda de status: se ela é a mais recente de
+ * uma série "completion" e chegou a um estado final, gera a próxima.
+ * Falhas são apenas logadas.
+ * @param {string} entityType
+ * @param {Object} doc
+ * @param {Object} req
+ */
+async function handleOccurrenceClosed(entityType, doc, req) {
+  try {
+    if (!doc.recurrence?.series) return;
+
+    const series = await Recurrence.findById(doc.recurrence.series);
+    if (!series || !series.isActive || series.trigger !== 'completion') return;
+    if (doc.recurrence.index !== series.generatedCount) return;
+    if (!(await finalStatuses(entityType)).includes(doc.status)) return;
+
+    await generateNext(series, { req, reason: 'completion' });
+  } catch (error) {
+    console.error(`❌ Recorrência: Erro ao gerar próxima ocorrência de ${doc._id}:`, error.message);
+  }
+}
+
+/**
+ * Tarefa do scheduler: gera ocorrências do calendário que venceram e
+ * ocorrências "completion" cuja atual terminou sem passar pelas rotas
+ * (ex: status automático pelas subtarefas)
+ * @returns {Promise<number>} Quantidade de ocorrências criadas
+ */
+async function runDueRecurrences() {
+  let created = 0;
+
+  const due = await Recurrence.find({
+    isActive: true,
+    trigger: 'calendar',
+    nextOccurrenceDate: { $ne: null },
+    $expr: {
+      $lte: [{ $subtract: ['$nextOccurrenceDate', { $multiply: ['$leadDays', DAY_MS] }] }, new Date()]
+    }
+  });
+
+  for (const series of due) {
+    try {
+      const req = systemRequest(await User.findById(series.createdBy).select('username role'));
+      if (await generateNext(series, { req, reason: 'calendar' })) created++;
+    } catch (error) {
+      console.error(`❌ Recorrência: Erro na série ${series._id}:`, error.message);
+    }
+  }
+
+  const waiting = await Recurrence.find({ isActive: true, trigger: 'completion' });
+  const finals = {
+    Task: await finalStatuses('Task'),
+    Process: await finalStatuses('Process')
+  };
+
+  for (const series of waiting) {
+    try {
+      const current = await mongoose.model(series.entityType)
+        .findOne({ 'recurrence.series': series._id, 'recurrence.index': series.generatedCount })
+        .select('status');
+
+      // Ocorrência atual removida também libera a próxima
+      if (current && !finals[series.entityType].includes(current.status)) continue;
+
+      const req = systemRequest(await User.findById(series.createdBy).select('username role'));
+      if (await generateNext(series, { req, reason: 'completion' })) created++;
+    } catch (error) {
+      console.error(`❌ Recorrência: Erro na série ${series._id}:`, error.message);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Valida as alterações do modelo da série. O modelo é um campo livre (Mixed):
+ * o resultado da junção é conferido contra o schema de Task/Process para que
+ * as próximas ocorrências não falhem na criação.
+ * @param {string} entityType
+ * @param {Object} updates
+ * @param {Object} template - Modelo atual da série
+ * @returns {Promise<{ valid: boolean, error?: string, details?: string[], values?: Object }>}
+ */
+async function validateTemplateUpdates(entityType, updates, template = {}) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return { valid: false, error: 'updates deve ser um objeto' };
+  }
+
+  const invalid = Object.keys(updates).filter(field => !EDITABLE_FIELDS[entityType].includes(field));
+  if (invalid.length > 0) {
+    return { valid: false, error: `Campos não editáveis na série: ${invalid.join(', ')}` };
+  }
+
+  if (updates.title !== undefined && !String(updates.title).trim()) {
+    return { valid: false, error: 'Título não pode ser vazio' };
+  }
+
+  const userField = entityType === 'Task' ? 'assignedTo' : 'responsible';
+  if (updates[userField] !== undefined) {
+    if (!mongoose.isValidObjectId(updates[userField]) ||
+        !(await User.exists({ _id: updates[userField], isActive: true }))) {
+      return { valid: false, error: 'Responsável não encontrado ou inativo' };
+    }
+  }
+
+  const values = { ...updates };
+  if (values.checklist !== undefined) {
+    if (!Array.isArray(values.checklist)) {
+      return { valid: false, error: 'checklist deve ser uma lista' };
+    }
+    values.checklist = values.checklist.map(item => (typeof item === 'string'
+      ? { item }
+      : { item: item?.item, assignedTo: item?.assignedTo }));
+  }
+
+  const Model = entityType === 'Task' ? Task : Process;
+  const validationError = new Model({ ...template, ...values }).validateSync(EDITABLE_FIELDS[entityType]);
+  if (validationError) {
+    return {
+      valid: false,
+      error: 'Modelo da série inválido',
+      details: Object.values(validationError.errors).map(err => err.message)
+    };
+  }
+
+  return { valid: true, values };
+}
+
+/**
+ * Aplica as alterações do modelo às ocorrências ainda abertas
+ * @param {Object} series
+ * @param {Object} values
+ * @param {Object} req
+ * @returns {Promise<number>} Quantidade de ocorrências alteradas
+ */
+async function applyToOpenOccurrences(series, values, req) {
+  const Model = mongoose.model(series.entityType);
+  const occurrences = await Model.find({
+    'recurrence.series': series._id,
+    status: { $nin: await finalStatuses(series.entityType) }
+  });
+
+  for (const doc of occurrences) {
+    const before = snapshot(doc);
+    Object.assign(doc, values);
+    await doc.save();
+
+    await recordAudit(req, {
+      entityType: series.entityType,
+      entityId: doc._id,
+      action: 'update',
+      before,
+      after: doc,
+      metadata: { recurrence: series._id, seriesEdit: true }
+    });
+    await recordRevision({ entityType: series.entityType, doc, before, author: req.user });
+  }
+
+  return occurrences.length;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  EDITABLE_FIELDS,
+  buildTemplate,
+  computeNextDate,
+  upcomingDates,
+  createSeries,
+  generateNext,
+  handleOccurrenceClosed,
+  runDueRecurrences,
+  validateTemplateUpdates,
+  applyToOpenOccurrences
+};
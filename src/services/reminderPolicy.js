@@ -0,0 +1,102 @@
+// src/services/reminderPolicy.js
+
+/**
+ * Acesso à política de lembretes de prazo, com cache em memória
+ */
+
+const ReminderPolicy = require('../models/ReminderPolicy');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Limite dos deslocamentos aceitos (30 dias antes/depois do prazo)
+const MAX_OFFSET_HOURS = 720;
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Retorna a política vigente (cria a padrão se ainda não existir)
+ * @returns {Promise<Object>}
+ */
+async function getReminderPolicy() {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  const policy = await ReminderPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  cachedPolicy = policy.toObject();
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+/**
+ * Valida as alterações da política
+ * @param {Object} updates
+ * @param {Object} current - Política vigente (para comparar os limites de escalonamento)
+ * @returns {{ errors: string[], values: Object }}
+ */
+function validateReminderPolicy(updates, current) {
+  const errors = [];
+  const values = {};
+
+  if (updates.enabled !== undefined) {
+    values.enabled = !!updates.enabled;
+  }
+
+  if (updates.reminderOffsetsHours !== undefined) {
+    const offsets = updates.reminderOffsetsHours;
+    if (!Array.isArray(offsets) ||
+        offsets.some(offset => !Number.isInteger(offset) || Math.abs(offset) > MAX_OFFSET_HOURS)) {
+      errors.push(`reminderOffsetsHours deve ser uma lista de inteiros entre -${MAX_OFFSET_HOURS} e ${MAX_OFFSET_HOURS}`);
+    } else {
+      values.reminderOffsetsHours = [...new Set(offsets)].sort((a, b) => a - b);
+    }
+  }
+
+  ['escalateToResponsibleAfterHours', 'escalateToManagerAfterHours'].forEach(field => {
+    if (updates[field] === undefined) return;
+    if (!Number.isInteger(updates[field]) || updates[field] < 0 || updates[field] > MAX_OFFSET_HOURS) {
+      errors.push(`${field} deve ser um inteiro entre 0 e ${MAX_OFFSET_HOURS}`);
+    } else {
+      values[field] = updates[field];
+    }
+  });
+
+  const responsibleHours = values.escalateToResponsibleAfterHours ?? current.escalateToResponsibleAfterHours;
+  const managerHours = values.escalateToManagerAfterHours ?? current.escalateToManagerAfterHours;
+  if (errors.length === 0 && managerHours < responsibleHours) {
+    errors.push('escalateToManagerAfterHours não pode ser menor que escalateToResponsibleAfterHours');
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Atualiza a política e invalida o cache
+ * @param {Object} updates - Valores já validados
+ * @param {ObjectId} updatedBy
+ * @returns {Promise<Object>}
+ */
+async function updateReminderPolicy(updates, updatedBy) {
+  const policy = await ReminderPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { ...updates, updatedBy, updatedAt: new Date() } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  cachedPolicy = policy.toObject();
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+module.exports = {
+  MAX_OFFSET_HOURS,
+  getReminderPolicy,
+  validateReminderPolicy,
+  updateReminderPolicy
+};
@@ -0,0 +1,238 @@
+// src/services/reminders.js
+
+/**
+ * Lembretes de prazo e escalonamento de atrasos de tarefas e processos
+ *
+ * Executado pelo scheduler. Para cada item em aberto com dueDate:
+ * - lembra o responsável (assignedTo da tarefa / responsible do processo)
+ *   nos deslocamentos configurados em relação ao prazo;
+ * - com o atraso passando de escalateToResponsibleAfterHours, avisa o
+ *   responsável pelo processo da tarefa;
+ * - passando de escalateToManagerAfterHours, avisa os managers do
+ *   departamento do responsável (ou os admins, se não houver).
+ * Cada envio fica em reminderHistory do próprio documento e não se repete
+ * para o mesmo prazo.
+ */
+
+const Process = require('../models/Process');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { getWorkflow } = require('./workflow');
+const { getReminderPolicy } = require('./reminderPolicy');
+const { queueMail } = require('./mail/queue');
+const { EMAIL_TEMPLATES } = require('../utils/constants');
+const { formatDateTime } = require('../utils/standardUtils');
+const { EVENT_TYPES, emitEvent, summarize } = require('./events');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const ENTITY_MODELS = { Task, Process };
+
+const OWNER_FIELD = { Task: 'assignedTo', Process: 'responsible' };
+
+function sameDueDate(a, b) {
+  return !!a && !!b && new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Avisos devidos para um item no instante "now" (função pura)
+ * @param {string} entityType - 'Task' | 'Process'
+ * @param {Object} doc - Documento com dueDate e reminderHistory
+ * @param {Object} policy - Política de lembretes
+ * @param {Date} now
+ * @returns {Array<{ kind: string, level: string, offsetHours?: number }>}
+ */
+function pendingAlerts(entityType, doc, policy, now = new Date()) {
+  if (!doc.dueDate) return [];
+
+  const elapsedHours = (now - new Date(doc.dueDate)) / HOUR_MS;
+  const history = (doc.reminderHistory || []).filter(entry => sameDueDate(entry.dueDate, doc.dueDate));
+  const sent = (kind, level) => history.some(entry => entry.kind === kind && entry.level === level);
+  const alerts = [];
+
+  // Só o lembrete mais recente que já venceu: um item que entra atrasado
+  // no sistema não recebe todos os lembretes anteriores de uma vez
+  const dueOffsets = (policy.reminderOffsetsHours || []).filter(offset => elapsedHours >= offset);
+  if (dueOffsets.length > 0) {
+    const offsetHours = Math.max(...dueOffsets);
+    const alreadySent = history.some(entry => entry.kind === 'reminder' && entry.offsetHours >= offsetHours);
+    if (!alreadySent) {
+      alerts.push({ kind: 'reminder', level: 'assignee', offsetHours });
+    }
+  }
+
+  if (elapsedHours > 0) {
+    if (entityType === 'Task' && elapsedHours >= policy.escalateToResponsibleAfterHours &&
+        !sent('escalation', 'responsible')) {
+      alerts.push({ kind: 'escalation', level: 'responsible' });
+    }
+
+    if (elapsedHours >= policy.escalateToManagerAfterHours && !sent('escalation', 'manager')) {
+      alerts.push({ kind: 'escalation', level: 'manager' });
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Managers do departamento do usuário; sem nenhum, os admins
+ * @param {Object} owner - Usuário responsável pelo item
+ * @returns {Promise<Object[]>}
+ */
+async function findManagers(owner) {
+  const select = 'name username email role department';
+
+  if (owner?.department) {
+    const managers = await User.find({ role: 'manager', isActive: true, department: owner.department }).select(select);
+    if (managers.length > 0) return managers;
+  }
+
+  return await User.find({ role: 'admin', isActive: true }).select(select);
+}
+
+async function resolveRecipients(entityType, doc, level, owner) {
+  if (level === 'assignee') {
+    return owner && owner.isActive ? [owner] : [];
+  }
+
+  if (level === 'responsible') {
+    if (!doc.process) return [];
+    const process = await Process.findById(doc.process).select('responsible');
+    if (!process || String(process.responsible) === String(owner?._id)) return [];
+    const responsible = await User.findOne({ _id: process.responsible, isActive: true }).select('name username email');
+    return responsible ? [responsible] : [];
+  }
+
+  const managers = await findManagers(owner);
+  return managers.filter(manager => String(manager._id) !== String(owner?._id));
+}
+
+function entityUrl(entityType, doc) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/${entityType === 'Task' ? 'tasks' : 'processes'}/${doc._id}`;
+}
+
+async function deliver(entityType, doc, alert, recipients, owner, now) {
+  const overdueHours = Math.max(0, Math.floor((now - new Date(doc.dueDate)) / HOUR_MS));
+  const template = alert.kind === 'reminder' ? EMAIL_TEMPLATES.DUE_REMINDER : EMAIL_TEMPLATES.OVERDUE_ESCALATION;
+
+  for (const recipient of recipients) {
+    try {
+      await queueMail({
+        to: recipient.email,
+        template,
+        data: {
+          name: recipient.name,
+          entityLabel: entityType === 'Task' ? 'tarefa' : 'processo',
+          title: doc.title,
+          dueDate: formatDateTime(doc.dueDate),
+          overdueHours,
+          ownerName: owner?.name,
+          url: entityUrl(entityType, doc)
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Lembretes: Erro ao enfileirar email para ${recipient.username}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Registra o aviso no documento. A condição garante que duas execuções
+ * simultâneas não enviem o mesmo aviso.
+ * @returns {Promise<boolean>} true se este processo ficou com o envio
+ */
+async function claimAlert(entityType, doc, alert, recipients, now) {
+  const duplicate = {
+    kind: alert.kind,
+    level: alert.level,
+    dueDate: doc.dueDate,
+    ...(alert.kind === 'reminder' ? { offsetHours: { $gte: alert.offsetHours } } : {})
+  };
+
+  const result = await ENTITY_MODELS[entityType].updateOne(
+    { _id: doc._id, dueDate: doc.dueDate, reminderHistory: { $not: { $elemMatch: duplicate } } },
+    {
+      $push: {
+        reminderHistory: {
+          kind: alert.kind,
+          level: alert.level,
+          offsetHours: alert.offsetHours,
+          dueDate: doc.dueDate,
+          recipients: recipients.map(recipient => recipient._id),
+          sentAt: now
+        }
+      }
+    }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+async function processEntity(entityType, policy, now) {
+  const workflow = await getWorkflow(entityType);
+  const finals = workflow.states.filter(state => state.final).map(state => state.key);
+  const earliestOffset = Math.min(0, ...(policy.reminderOffsetsHours || []));
+
+  const docs = await ENTITY_MODELS[entityType].find({
+    dueDate: { $ne: null, $lte: new Date(now.getTime() - earliestOffset * HOUR_MS) },
+    status: { $nin: finals }
+  }).select(`title dueDate status process reminderHistory ${OWNER_FIELD[entityType]}`);
+
+  let sent = 0;
+
+  for (const doc of docs) {
+    const alerts = pendingAlerts(entityType, doc, policy, now);
+    if (alerts.length === 0) continue;
+
+    const owner = await User.findById(doc[OWNER_FIELD[entityType]]).select('name username email department isActive');
+
+    for (const alert of alerts) {
+      try {
+        const recipients = await resolveRecipients(entityType, doc, alert.level, owner);
+
+        // Registrado mesmo sem destinatários, para não ser reavaliado a cada execução
+        if (!(await claimAlert(entityType, doc, alert, recipients, now))) continue;
+
+        await deliver(entityType, doc, alert, recipients, owner, now);
+        if (recipients.length > 0) {
+          sent++;
+          emitEvent(alert.kind === 'reminder' ? EVENT_TYPES.DEADLINE_REMINDER : EVENT_TYPES.DEADLINE_ESCALATION, {
+            actor: null,
+            entityType,
+            entity: summarize(doc),
+            level: alert.level,
+            recipients: recipients.map(recipient => recipient._id),
+            overdueHours: Math.max(0, Math.floor((now - new Date(doc.dueDate)) / HOUR_MS))
+          });
+        }
+
+        if (alert.kind === 'escalation') {
+          console.log(`⏰ Lembretes: ${entityType} ${doc._id} escalonado para ${alert.level} (${recipients.length} destinatário(s))`);
+        }
+      } catch (error) {
+        console.error(`❌ Lembretes: Erro em ${entityType} ${doc._id}:`, error.message);
+      }
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Verifica prazos de tarefas e processos e envia os avisos devidos
+ * @param {Date} now
+ * @returns {Promise<number>} Quantidade de avisos enviados
+ */
+async function runReminders(now = new Date()) {
+  const policy = await getReminderPolicy();
+  if (!policy.enabled) return 0;
+
+  return await processEntity('Task', policy, now) + await processEntity('Process', policy, now);
+}
+
+module.exports = {
+  pendingAlerts,
+  runReminders
+};
@@ -0,0 +1,146 @@
+// src/services/revisions.js
+
+/**
+ * Histórico versionado de processos e tarefas
+ */
+
+const Revision = require('../models/Revision');
+const { toPlain, diffObjects } = require('../utils/diff');
+
+// Campos que entram no histórico (comentários e anexos têm fluxo próprio).
+// O processo da tarefa fica de fora: ele acompanha a hierarquia (parentTask e
+// subtarefas), que só muda por PUT /api/tasks/:id/move
+const TRACKED_FIELDS = {
+  Process: [
+    'title', 'description', 'status', 'priority', 'responsible', 'team',
+    'startDate', 'dueDate', 'completedDate', 'cancellationReason', 'progress', 'budget', 'autoStatus', 'category', 'tags'
+  ],
+  Task: [
+    'title', 'description', 'status', 'priority', 'assignedTo',
+    'startDate', 'dueDate', 'completedDate', 'cancellationReason', 'estimatedHours',
+    'progress', 'tags', 'checklist', 'dependencies'
+  ]
+};
+
+/**
+ * Extrai apenas os campos versionados de um documento
+ * @param {string} entityType
+ * @param {Object} doc
+ * @returns {Object}
+ */
+function pickTracked(entityType, doc) {
+  const plain = toPlain(doc);
+  return TRACKED_FIELDS[entityType].reduce((result, field) => {
+    result[field] = plain[field] ?? null;
+    return result;
+  }, {});
+}
+
+async function nextVersion(entityType, entityId) {
+  const last = await Revision.findOne({ entityType, entityId })
+    .sort({ version: -1 })
+    .select('version');
+  return last ? last.version + 1 : 1;
+}
+
+async function insertRevision(data) {
+  // Duas gravações simultâneas podem disputar a mesma versão: tentar de novo
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const version = await nextVersion(data.entityType, data.entityId);
+      return await Revision.create({ ...data, version });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Não foi possível reservar a próxima versão');
+}
+
+/**
+ * Registra uma revisão após salvar um processo/tarefa. Falhas são apenas
+ * logadas para não interromper a operação principal.
+ * @param {Object} options
+ * @param {string} options.entityType - 'Process' | 'Task'
+ * @param {Object} options.doc - Documento já salvo
+ * @param {Object} options.before - Snapshot anterior (ausente na criação)
+ * @param {Object} options.author - Usuário autor da mudança
+ * @param {string} options.action - create | update | revert
+ * @param {number} options.revertedFrom - Versão restaurada (revert)
+ * @returns {Promise<Object|null>}
+ */
+async function recordRevision({ entityType, doc, before, author, action = 'update', revertedFrom }) {
+  try {
+    const fields = TRACKED_FIELDS[entityType];
+    const changes = before ? diffObjects(before, doc, { fields }) : diffObjects({}, doc, { fields });
+
+    if (action !== 'create' && changes.length === 0) {
+      return null;
+    }
+
+    // Documentos criados antes do histórico existir: guardar o estado
+    // anterior como versão base para que ele também possa ser restaurado
+    if (before && action !== 'create' && !(await Revision.exists({ entityType, entityId: doc._id }))) {
+      await insertRevision({
+        entityType,
+        entityId: doc._id,
+        action: 'baseline',
+        changes: [],
+        snapshot: pickTracked(entityType, before)
+      });
+    }
+
+    return await insertRevision({
+      entityType,
+      entityId: doc._id,
+      action,
+      revertedFrom,
+      changes,
+      snapshot: pickTracked(entityType, doc),
+      author: author?._id
+    });
+  } catch (error) {
+    console.error(`❌ Revision: Erro ao registrar revisão de ${entityType} ${doc._id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Linha do tempo de revisões de uma entidade (mais recente primeiro)
+ * @param {string} entityType
+ * @param {ObjectId} entityId
+ * @returns {Promise<Array>}
+ */
+async function getHistory(entityType, entityId) {
+  return await Revision.find({ entityType, entityId })
+    .select('-snapshot')
+    .populate('author', 'name username')
+    .sort({ version: -1 });
+}
+
+/**
+ * Aplica no documento o estado de uma versão anterior (não salva)
+ * @param {string} entityType
+ * @param {Object} doc - Documento Mongoose
+ * @param {number} version
+ * @returns {Promise<Object|null>} Revisão aplicada, ou null se não existir
+ */
+async function applyRevision(entityType, doc, version) {
+  const revision = await Revision.findOne({ entityType, entityId: doc._id, version });
+  if (!revision) return null;
+
+  for (const field of TRACKED_FIELDS[entityType]) {
+    if (!(field in revision.snapshot)) continue;
+
+    const value = revision.snapshot[field];
+    doc.set(field, value === null ? undefined : value);
+  }
+
+  return revision;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  recordRevision,
+  getHistory,
+  applyRevision
+};
@@ -0,0 +1,168 @@
+// src/services/schedule.js
+
+/**
+ * Cálculo do cronograma de um processo pelo método do caminho crítico (CPM)
+ *
+ * As datas são contadas em dias corridos a partir do início do processo.
+ * Duração de cada tarefa: estimatedHours / SCHEDULE_CONFIG.HOURS_PER_DAY; sem
+ * estimativa, o intervalo entre startDate e dueDate; sem nenhum dos dois, a
+ * tarefa é tratada como marco (duração zero).
+ */
+
+const { topologicalSort } = require('../utils/graph');
+const { SCHEDULE_CONFIG } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tolerância para considerar folga zero (arredondamentos de ponto flutuante)
+const SLACK_EPSILON_MS = 60 * 1000;
+
+const toDays = (ms) => Math.round((ms / DAY_MS) * 100) / 100;
+
+/**
+ * Duração planejada da tarefa em milissegundos
+ * @param {Object} task
+ * @returns {number}
+ */
+function taskDuration(task) {
+  if (task.estimatedHours > 0) {
+    return (task.estimatedHours / SCHEDULE_CONFIG.HOURS_PER_DAY) * DAY_MS;
+  }
+
+  if (task.startDate && task.dueDate) {
+    return Math.max(0, new Date(task.dueDate) - new Date(task.startDate));
+  }
+
+  return 0;
+}
+
+/**
+ * Cadeia crítica: partindo da tarefa crítica que termina por último, volta
+ * pelas dependências críticas que terminam exatamente quando ela começa
+ */
+function buildCriticalChain(nodes, projectFinish) {
+  let current = [...nodes.values()]
+    .filter(node => node.critical && Math.abs(node.earliestFinish - projectFinish) <= SLACK_EPSILON_MS)
+    .sort((a, b) => a.earliestStart - b.earliestStart)[0];
+
+  const chain = [];
+
+  while (current) {
+    chain.unshift(current);
+    const start = current.earliestStart;
+
+    current = current.dependencies
+      .map(id => nodes.get(id))
+      .find(node => node && node.critical && Math.abs(node.earliestFinish - start) <= SLACK_EPSILON_MS);
+  }
+
+  return chain;
+}
+
+/**
+ * Executa o CPM sobre as tarefas do processo
+ * @param {Object} process - Documento do processo (startDate, dueDate)
+ * @param {Object[]} tasks - Tarefas do processo
+ * @returns {Object} Cronograma com datas por tarefa, cadeia crítica e projeção de término
+ * @throws {Error} Se as dependências formarem ciclo
+ */
+function computeSchedule(process, tasks) {
+  // Tarefas canceladas não ocupam o cronograma
+  const active = tasks.filter(task => task.status !== 'CANCELADA');
+
+  const taskStarts = active.filter(task => task.startDate).map(task => new Date(task.startDate).getTime());
+  const origin = process.startDate
+    ? new Date(process.startDate).getTime()
+    : Math.min(Date.now(), ...taskStarts);
+
+  const nodes = new Map(active.map(task => {
+    const id = task._id.toString();
+    return [id, {
+      task,
+      id,
+      duration: taskDuration(task),
+      dependencies: (task.dependencies || []).map(dependency => String(dependency._id || dependency)),
+      successors: []
+    }];
+  }));
+
+  // Dependências fora do conjunto (canceladas ou de outro processo) são ignoradas
+  nodes.forEach(node => {
+    node.dependencies = node.dependencies.filter(id => nodes.has(id));
+    node.dependencies.forEach(id => nodes.get(id).successors.push(node.id));
+  });
+
+  const order = topologicalSort(new Map([...nodes].map(([id, node]) => [id, node.dependencies])));
+
+  // Ida: início mais cedo respeita dependências e a startDate da própria tarefa
+  order.forEach(id => {
+    const node = nodes.get(id);
+    const constraint = node.task.startDate
+      ? Math.max(0, new Date(node.task.startDate).getTime() - origin)
+      : 0;
+    const afterDependencies = Math.max(0, ...node.dependencies.map(dep => nodes.get(dep).earliestFinish));
+
+    // Tarefas concluídas usam a data real de conclusão
+    if (node.task.status === 'CONCLUIDA' && node.task.completedDate) {
+      node.earliestFinish = Math.max(0, new Date(node.task.completedDate).getTime() - origin);
+      node.earliestStart = Math.max(0, node.earliestFinish - node.duration);
+      return;
+    }
+
+    node.earliestStart = Math.max(constraint, afterDependencies);
+    node.earliestFinish = node.earliestStart + node.duration;
+  });
+
+  const projectFinish = Math.max(0, ...[...nodes.values()].map(node => node.earliestFinish));
+
+  // Volta: término mais tarde sem atrasar o fim do processo
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    node.latestFinish = Math.min(projectFinish, ...node.successors.map(succ => nodes.get(succ).latestStart));
+    node.latestStart = node.latestFinish - node.duration;
+    node.slack = Math.max(0, node.latestStart - node.earliestStart);
+    node.critical = node.slack <= SLACK_EPSILON_MS;
+  });
+
+  const toDate = (offset) => new Date(origin + offset);
+  const criticalChain = buildCriticalChain(nodes, projectFinish);
+  const projectedEndDate = toDate(projectFinish);
+  const dueDate = process.dueDate ? new Date(process.dueDate) : null;
+
+  return {
+    startDate: toDate(0),
+    projectedEndDate,
+    dueDate,
+    // Positivo = término projetado depois do prazo
+    varianceDays: dueDate ? toDays(projectedEndDate - dueDate) : null,
+    onSchedule: dueDate ? projectedEndDate <= dueDate : null,
+    durationDays: toDays(projectFinish),
+    criticalPath: criticalChain.map(node => ({ _id: node.id, title: node.task.title })),
+    tasks: order.map(id => {
+      const node = nodes.get(id);
+      const earliestFinish = toDate(node.earliestFinish);
+      const taskDue = node.task.dueDate ? new Date(node.task.dueDate) : null;
+
+      return {
+        _id: node.id,
+        title: node.task.title,
+        status: node.task.status,
+        assignedTo: node.task.assignedTo,
+        dependencies: node.dependencies,
+        durationDays: toDays(node.duration),
+        earliestStart: toDate(node.earliestStart),
+        earliestFinish,
+        latestStart: toDate(node.latestStart),
+        latestFinish: toDate(node.latestFinish),
+        slackDays: toDays(node.slack),
+        critical: node.critical,
+        dueDate: taskDue,
+        lateByDays: taskDue && earliestFinish > taskDue ? toDays(earliestFinish - taskDue) : 0
+      };
+    })
+  };
+}
+
+module.exports = {
+  taskDuration,
+  computeSchedule
+};
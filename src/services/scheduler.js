@@ -0,0 +1,86 @@
+// src/services/scheduler.js
+
+/**
+ * Tarefas periódicas executadas dentro do próprio processo do servidor.
+ * Os timers usam unref() para não segurar o encerramento, e cada tarefa
+ * só roda com o MongoDB conectado e sem sobrepor a execução anterior.
+ * Defina SCHEDULER_DISABLED=true nas instâncias que não devem executá-las.
+ */
+
+const mongoose = require('mongoose');
+const { SCHEDULER_CONFIG } = require('../utils/constants');
+
+// Carregadas sob demanda para não criar dependência circular com os serviços
+const JOBS = [
+  {
+    name: 'recorrências',
+    intervalMs: SCHEDULER_CONFIG.RECURRENCE_INTERVAL_MS,
+    run: () => require('./recurrences').runDueRecurrences()
+  },
+  {
+    name: 'lembretes de prazo',
+    intervalMs: SCHEDULER_CONFIG.REMINDER_INTERVAL_MS,
+    run: () => require('./reminders').runReminders()
+  },
+  {
+    name: 'fila de emails',
+    intervalMs: SCHEDULER_CONFIG.MAIL_QUEUE_INTERVAL_MS,
+    run: () => require('./mail/queue').processMailQueue()
+  },
+  {
+    name: 'webhooks',
+    intervalMs: SCHEDULER_CONFIG.WEBHOOK_INTERVAL_MS,
+    run: () => require('./webhooks').processWebhookQueue()
+  }
+];
+
+const timers = [];
+const running = new Set();
+
+async function runJob(job) {
+  if (running.has(job.name) || mongoose.connection.readyState !== 1) return;
+
+  running.add(job.name);
+  try {
+    const result = await job.run();
+    if (result) {
+      console.log(`⏱️ Scheduler: ${job.name} processou ${result} item(ns)`);
+    }
+  } catch (error) {
+    console.error(`❌ Scheduler: Erro em ${job.name}:`, error.message);
+  } finally {
+    running.delete(job.name);
+  }
+}
+
+/**
+ * Inicia os timers de todas as tarefas (chamado uma vez na subida do servidor)
+ */
+function startScheduler() {
+  if (process.env.SCHEDULER_DISABLED === 'true') {
+    console.log('⏱️ Scheduler desativado (SCHEDULER_DISABLED=true)');
+    return;
+  }
+
+  if (timers.length > 0) return;
+
+  JOBS.forEach(job => {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  });
+
+  console.log(`⏱️ Scheduler iniciado: ${JOBS.map(job => job.name).join(', ')}`);
+}
+
+/**
+ * Para os timers (encerramento do servidor)
+ */
+function stopScheduler() {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
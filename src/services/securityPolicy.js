@@ -0,0 +1,80 @@
+// src/services/securityPolicy.js
+
+/**
+ * Acesso à política de segurança global com cache em memória,
+ * já que ela é consultada a cada requisição administrativa.
+ */
+
+const SecurityPolicy = require('../models/SecurityPolicy');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cachedPolicy = null;
+let cachedAt = 0;
+
+/**
+ * Retorna a política vigente (cria a padrão se ainda não existir)
+ * @returns {Promise<Object>}
+ */
+async function getSecurityPolicy() {
+  if (cachedPolicy && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicy;
+  }
+
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default', twoFactorRequiredRoles: [] } },
+    { new: true, upsert: true }
+  );
+
+  cachedPolicy = policy.toObject();
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+/**
+ * Atualiza a política e invalida o cache
+ * @param {Object} updates
+ * @param {ObjectId} updatedBy
+ * @returns {Promise<Object>}
+ */
+async function updateSecurityPolicy(updates, updatedBy) {
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { ...updates, updatedBy, updatedAt: new Date() } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  cachedPolicy = policy.toObject();
+  cachedAt = Date.now();
+  return cachedPolicy;
+}
+
+/**
+ * Indica se a política exige 2FA para o usuário e ele ainda não ativou
+ * @param {Object} user
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorSetupRequired(user) {
+  if (user.twoFactor?.enabled) return false;
+
+  const policy = await getSecurityPolicy();
+  return (policy.twoFactorRequiredRoles || []).includes(user.role);
+}
+
+/**
+ * Indica se a política exige 2FA para a role
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequiredForRole(role) {
+  const policy = await getSecurityPolicy();
+  return (policy.twoFactorRequiredRoles || []).includes(role);
+}
+
+module.exports = {
+  getSecurityPolicy,
+  updateSecurityPolicy,
+  isTwoFactorSetupRequired,
+  isTwoFactorRequiredForRole
+};
@@ -0,0 +1,174 @@
+// src/services/taskDependencies.js
+
+/**
+ * Validação das dependências entre tarefas e bloqueio de tarefas com
+ * pré-requisitos em aberto
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { getWorkflow } = require('./workflow');
+const { findCycle } = require('../utils/graph');
+
+// Status que exigem dependências resolvidas (iniciar e concluir)
+const BLOCKED_STATUSES = ['EM_ANDAMENTO', 'CONCLUIDA'];
+
+const MANAGERS = ['admin', 'manager'];
+
+/**
+ * Status em que uma dependência deixa de bloquear (estados finais do workflow)
+ * @returns {Promise<string[]>}
+ */
+async function resolvedStatuses() {
+  const workflow = await getWorkflow('Task');
+  return workflow.states.filter(state => state.final).map(state => state.key);
+}
+
+/**
+ * Valida as dependências de uma tarefa: ids existentes, sem autorreferência,
+ * todas no mesmo processo e sem formar ciclos
+ * @param {Object} options
+ * @param {ObjectId} options.taskId - Tarefa sendo editada (ausente na criação)
+ * @param {ObjectId} options.processId - Processo da tarefa (após a mudança)
+ * @param {Array} options.dependencies - Ids das dependências
+ * @returns {Promise<{ valid: boolean, status?: number, error?: string, details?: Object }>}
+ */
+async function validateDependencies({ taskId, processId, dependencies = [] }) {
+  if (!Array.isArray(dependencies)) {
+    return { valid: false, status: 400, error: 'dependencies deve ser uma lista' };
+  }
+
+  const ids = [...new Set(dependencies.map(String))];
+
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    return { valid: false, status: 400, error: 'Dependência com id inválido' };
+  }
+
+  if (taskId && ids.includes(String(taskId))) {
+    return { valid: false, status: 400, error: 'Uma tarefa não pode depender de si mesma' };
+  }
+
+  // Tarefas que dependem desta não podem ficar em outro processo
+  if (taskId && await Task.exists({ dependencies: taskId, process: { $ne: processId } })) {
+    return {
+      valid: false,
+      status: 409,
+      error: 'Existem tarefas de outro processo que dependem desta tarefa'
+    };
+  }
+
+  if (ids.length === 0) return { valid: true };
+
+  const found = await Task.find({ _id: { $in: ids } }).select('process title');
+
+  const missing = ids.filter(id => !found.some(task => task._id.toString() === id));
+  if (missing.length > 0) {
+    return { valid: false, status: 400, error: 'Dependência não encontrada', details: { missing } };
+  }
+
+  const crossProcess = found.filter(task => String(task.process) !== String(processId));
+  if (crossProcess.length > 0) {
+    return {
+      valid: false,
+      status: 400,
+      error: 'Dependências devem pertencer ao mesmo processo da tarefa',
+      details: { tasks: crossProcess.map(task => ({ _id: task._id, title: task.title })) }
+    };
+  }
+
+  // Na criação ninguém depende da tarefa ainda: não há como fechar um ciclo
+  if (!taskId) return { valid: true };
+
+  const siblings = await Task.find({ process: processId }).select('dependencies title');
+  const graph = new Map(siblings.map(task => [
+    task._id.toString(),
+    task.dependencies.map(String)
+  ]));
+  graph.set(String(taskId), ids);
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    const titles = new Map(siblings.map(task => [task._id.toString(), task.title]));
+    return {
+      valid: false,
+      status: 400,
+      error: 'Dependências circulares',
+      details: { cycle: cycle.map(id => ({ _id: id, title: titles.get(id) })) }
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Dependências da tarefa que ainda não foram resolvidas
+ * @param {Array} dependencies - Ids das dependências
+ * @returns {Promise<Object[]>}
+ */
+async function findOpenDependencies(dependencies = []) {
+  if (dependencies.length === 0) return [];
+
+  return await Task.find({
+    _id: { $in: dependencies },
+    status: { $nin: await resolvedStatuses() }
+  }).select('title status assignedTo dueDate');
+}
+
+/**
+ * Tarefas que dependem desta e continuam esperando por ela
+ * @param {Object} task
+ * @returns {Promise<Object[]>}
+ */
+async function findBlockedTasks(task) {
+  const resolved = await resolvedStatuses();
+  if (resolved.includes(task.status)) return [];
+
+  return await Task.find({
+    dependencies: task._id,
+    status: { $nin: resolved }
+  }).select('title status assignedTo dueDate');
+}
+
+/**
+ * Verifica se a tarefa pode ir para o status pedido com as dependências atuais.
+ * Admin/manager podem forçar com override = true.
+ * @param {Object} options
+ * @param {string} options.status - Status desejado
+ * @param {Array} options.dependencies - Ids das dependências
+ * @param {Object} options.user - Usuário da requisição
+ * @param {boolean} options.override - overrideDependencies enviado na requisição
+ * @returns {Promise<{ allowed: boolean, status?: number, error?: string, blockedBy?: Object[], overridden?: Object[] }>}
+ */
+async function checkDependencyBlock({ status, dependencies, user, override }) {
+  if (!BLOCKED_STATUSES.includes(status)) return { allowed: true };
+
+  const open = await findOpenDependencies(dependencies);
+  if (open.length === 0) return { allowed: true };
+
+  if (override === true) {
+    if (!MANAGERS.includes(user.role)) {
+      return {
+        allowed: false,
+        status: 403,
+        error: 'Apenas admin ou manager podem ignorar dependências em aberto',
+        blockedBy: open
+      };
+    }
+    return { allowed: true, overridden: open };
+  }
+
+  return {
+    allowed: false,
+    status: 409,
+    error: 'Tarefa bloqueada por dependências em aberto',
+    blockedBy: open
+  };
+}
+
+module.exports = {
+  BLOCKED_STATUSES,
+  validateDependencies,
+  findOpenDependencies,
+  findBlockedTasks,
+  checkDependencyBlock
+};
@@ -0,0 +1,173 @@
+// src/services/taskTree.js
+
+/**
+ * Hierarquia de tarefas (subtarefas em qualquer profundidade)
+ *
+ * Cada tarefa guarda parentTask e ancestors (ids do topo até o pai), o que
+ * permite buscar uma subárvore inteira com uma consulta.
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+/**
+ * Valida o pai informado para uma tarefa (nova ou existente)
+ * @param {Object} options
+ * @param {ObjectId} options.parentId - Novo pai (null = tarefa raiz)
+ * @param {Object} options.task - Tarefa sendo movida (ausente na criação)
+ * @returns {Promise<{ valid: boolean, status?: number, error?: string, parent?: Object }>}
+ */
+async function validateParent({ parentId, task }) {
+  if (!parentId) return { valid: true, parent: null };
+
+  if (!mongoose.isValidObjectId(parentId)) {
+    return { valid: false, status: 400, error: 'parentTask inválido' };
+  }
+
+  const parent = await Task.findById(parentId).select('process ancestors title');
+
+  if (!parent) {
+    return { valid: false, status: 404, error: 'Tarefa pai não encontrada' };
+  }
+
+  if (task) {
+    const taskId = task._id.toString();
+    if (parent._id.toString() === taskId || parent.ancestors.some(id => id.toString() === taskId)) {
+      return { valid: false, status: 400, error: 'Uma tarefa não pode ficar abaixo dela mesma ou de uma subtarefa sua' };
+    }
+  }
+
+  return { valid: true, parent };
+}
+
+/**
+ * Lista de ancestrais de uma tarefa cujo pai é "parent"
+ * @param {Object|null} parent
+ * @returns {ObjectId[]}
+ */
+function ancestorsFor(parent) {
+  return parent ? [...parent.ancestors, parent._id] : [];
+}
+
+/**
+ * Todas as subtarefas (em qualquer nível) de uma tarefa
+ * @param {ObjectId} taskId
+ * @param {string} select - Campos a retornar
+ * @returns {Promise<Object[]>}
+ */
+async function findDescendants(taskId, select) {
+  const query = Task.find({ ancestors: taskId });
+  return await (select ? query.select(select) : query);
+}
+
+/**
+ * Monta a árvore aninhada a partir da raiz e das subtarefas
+ * @param {Object} root
+ * @param {Object[]} descendants
+ * @returns {Object} Raiz com children recursivos
+ */
+function buildTree(root, descendants) {
+  const nodes = new Map();
+  const toNode = (task) => ({ ...task.toJSON(), depth: task.ancestors.length - root.ancestors.length, children: [] });
+
+  const rootNode = toNode(root);
+  nodes.set(root._id.toString(), rootNode);
+  descendants.forEach(task => nodes.set(task._id.toString(), toNode(task)));
+
+  // Pais antes dos filhos, irmãos por data de criação
+  [...descendants]
+    .sort((a, b) => a.ancestors.length - b.ancestors.length || a.createdAt - b.createdAt)
+    .forEach(task => {
+      const parent = nodes.get(String(task.parentTask));
+      if (parent) parent.children.push(nodes.get(task._id.toString()));
+    });
+
+  return rootNode;
+}
+
+/**
+ * Ao trocar de processo, a subárvore não pode ter dependências com tarefas
+ * que ficam para trás (regra de dependências no mesmo processo)
+ */
+async function findExternalDependencies(subtreeIds) {
+  const idSet = new Set(subtreeIds.map(String));
+
+  const subtree = await Task.find({ _id: { $in: subtreeIds } }).select('dependencies');
+  const outgoing = subtree.some(task => task.dependencies.some(id => !idSet.has(id.toString())));
+
+  const incoming = await Task.exists({
+    _id: { $nin: subtreeIds },
+    dependencies: { $in: subtreeIds }
+  });
+
+  return outgoing || !!incoming;
+}
+
+/**
+ * Move uma tarefa e toda a sua subárvore para outro pai e/ou processo, em
+ * uma transação
+ * @param {Object} task - Documento da tarefa
+ * @param {Object} options
+ * @param {Object|null} options.parent - Novo pai já validado (null = raiz)
+ * @param {ObjectId} options.processId - Processo de destino
+ * @returns {Promise<{ moved: number }|{ status: number, error: string }>}
+ */
+async function moveSubtree(task, { parent, processId }) {
+  const descendants = await findDescendants(task._id, 'ancestors');
+  const subtreeIds = [task._id, ...descendants.map(item => item._id)];
+  const processChanged = String(processId) !== String(task.process);
+
+  if (processChanged && await findExternalDependencies(subtreeIds)) {
+    return {
+      status: 409,
+      error: 'A subárvore tem dependências com tarefas que ficariam em outro processo'
+    };
+  }
+
+  const newAncestors = ancestorsFor(parent);
+  const oldDepth = task.ancestors.length;
+  const now = new Date();
+
+  const operations = [
+    {
+      updateOne: {
+        filter: { _id: task._id },
+        update: {
+          $set: { parentTask: parent ? parent._id : null, ancestors: newAncestors, process: processId, updatedAt: now }
+        }
+      }
+    },
+    // Subtarefas mantêm o caminho abaixo da tarefa movida e trocam o prefixo
+    ...descendants.map(item => ({
+      updateOne: {
+        filter: { _id: item._id },
+        update: {
+          $set: {
+            ancestors: [...newAncestors, task._id, ...item.ancestors.slice(oldDepth + 1)],
+            process: processId,
+            updatedAt: now
+          }
+        }
+      }
+    }))
+  ];
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await Task.bulkWrite(operations, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { moved: subtreeIds.length };
+}
+
+module.exports = {
+  validateParent,
+  ancestorsFor,
+  findDescendants,
+  buildTree,
+  moveSubtree
+};
@@ -0,0 +1,100 @@
+// src/services/timeTracking.js
+
+/**
+ * Regras dos apontamentos de horas e sincronização de Task.actualHours
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+
+// Um apontamento não pode passar de 24 horas
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+/**
+ * Minutos inteiros entre duas datas
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {number}
+ */
+function minutesBetween(start, end) {
+  return Math.max(0, Math.round((new Date(end) - new Date(start)) / 60000));
+}
+
+/**
+ * Quem pode apontar horas na tarefa: responsável, criador ou admin/manager
+ * @param {Object} task
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function canLogTime(task, user) {
+  return task.assignedTo?.toString() === user._id.toString() ||
+    task.createdBy?.toString() === user._id.toString() ||
+    ['admin', 'manager'].includes(user.role);
+}
+
+/**
+ * Quem pode editar/remover um apontamento: o dono ou admin/manager
+ * @param {Object} entry
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function canEditEntry(entry, user) {
+  return entry.user.toString() === user._id.toString() || ['admin', 'manager'].includes(user.role);
+}
+
+/**
+ * Valida o período de um apontamento manual ou editado
+ * @param {Object} period
+ * @param {Date} period.startedAt
+ * @param {Date} period.endedAt
+ * @returns {string|null} Mensagem de erro, ou null se válido
+ */
+function validatePeriod({ startedAt, endedAt }) {
+  if (Number.isNaN(startedAt.getTime()) || Number.isNaN(endedAt.getTime())) {
+    return 'Datas inválidas';
+  }
+  if (endedAt <= startedAt) {
+    return 'O fim deve ser depois do início';
+  }
+  if (endedAt > new Date()) {
+    return 'Não é possível apontar horas no futuro';
+  }
+  if (minutesBetween(startedAt, endedAt) > MAX_ENTRY_MINUTES) {
+    return 'Um apontamento não pode passar de 24 horas';
+  }
+  return null;
+}
+
+/**
+ * Recalcula Task.actualHours a partir dos apontamentos encerrados. Falhas são
+ * apenas logadas para não interromper a operação principal.
+ * @param {ObjectId|ObjectId[]} taskIds
+ */
+async function syncActualHours(taskIds) {
+  const ids = [...new Set([].concat(taskIds).filter(Boolean).map(String))];
+
+  for (const taskId of ids) {
+    try {
+      const [result] = await TimeEntry.aggregate([
+        { $match: { task: new mongoose.Types.ObjectId(taskId), isRunning: false } },
+        { $group: { _id: null, minutes: { $sum: '$durationMinutes' } } }
+      ]);
+
+      const actualHours = Math.round(((result?.minutes || 0) / 60) * 100) / 100;
+
+      await Task.updateOne({ _id: taskId }, { $set: { actualHours, updatedAt: new Date() } });
+    } catch (error) {
+      console.error(`❌ Erro ao recalcular horas da tarefa ${taskId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  MAX_ENTRY_MINUTES,
+  minutesBetween,
+  canLogTime,
+  canEditEntry,
+  validatePeriod,
+  syncActualHours
+};
@@ -0,0 +1,261 @@
+// src/services/timeline.js
+
+/**
+ * Timeline de um processo (dados prontos para Gantt) e exportação em CSV e
+ * MS Project XML (MSPDI)
+ */
+
+const { taskDuration } = require('./schedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'ID', 'Tarefa', 'Status', 'Prioridade', 'Início', 'Fim', 'Progresso (%)',
+  'Responsável', 'Horas estimadas', 'Predecessoras', 'Id interno'
+];
+
+/**
+ * Monta a timeline do processo: início/fim normalizados de cada tarefa e as
+ * arestas de dependência (término-início)
+ * @param {Object} process - Processo com startDate, dueDate e progresso
+ * @param {Object[]} tasks - Tarefas com assignedTo populado
+ * @returns {{ process: Object, tasks: Object[], dependencies: Object[] }}
+ */
+function buildTimeline(process, tasks) {
+  const processStart = new Date(process.startDate || process.createdAt || Date.now());
+
+  const items = tasks.map(task => {
+    const start = new Date(task.startDate || processStart);
+    let end;
+
+    if (task.status === 'CONCLUIDA' && task.completedDate) {
+      end = new Date(task.completedDate);
+    } else if (task.dueDate) {
+      end = new Date(task.dueDate);
+    } else {
+      end = new Date(start.getTime() + taskDuration(task));
+    }
+
+    // Conclusão registrada antes do início planejado: barra de duração zero
+    if (end < start) end = new Date(start);
+
+    const assignee = task.assignedTo && task.assignedTo._id
+      ? { _id: task.assignedTo._id, name: task.assignedTo.name, username: task.assignedTo.username }
+      : null;
+
+    return {
+      _id: task._id.toString(),
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      parentTask: task.parentTask ? task.parentTask.toString() : null,
+      start,
+      end,
+      progress: task.status === 'CONCLUIDA' ? 100 : (task.progress || 0),
+      estimatedHours: task.estimatedHours || 0,
+      milestone: end.getTime() === start.getTime(),
+      assignee
+    };
+  }).sort((a, b) => a.start - b.start || a.title.localeCompare(b.title));
+
+  const ids = new Set(items.map(item => item._id));
+  const dependencies = [];
+
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(dependency => {
+      const from = String(dependency._id || dependency);
+      if (ids.has(from)) {
+        dependencies.push({ from, to: task._id.toString(), type: 'FS' });
+      }
+    });
+  });
+
+  const ends = items.map(item => item.end.getTime());
+  const processEnd = process.dueDate
+    ? new Date(Math.max(new Date(process.dueDate).getTime(), ...ends))
+    : new Date(Math.max(processStart.getTime(), ...ends));
+
+  return {
+    process: {
+      _id: process._id.toString(),
+      title: process.title,
+      status: process.status,
+      start: processStart,
+      end: processEnd,
+      dueDate: process.dueDate || null,
+      progress: process.progress || 0,
+      derivedProgress: process.derivedProgress || 0
+    },
+    tasks: items,
+    dependencies
+  };
+}
+
+/**
+ * Escapa um valor de célula CSV. Valores que começam com =, +, - ou @ são
+ * prefixados com ' para não serem interpretados como fórmula em planilhas.
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta a timeline em CSV (UTF-8 com BOM, para abrir direto no Excel)
+ * @param {Object} timeline - Resultado de buildTimeline
+ * @returns {string}
+ */
+function timelineToCsv(timeline) {
+  const rowIds = new Map(timeline.tasks.map((task, index) => [task._id, index + 1]));
+
+  const rows = timeline.tasks.map(task => [
+    rowIds.get(task._id),
+    task.title,
+    task.status,
+    task.priority,
+    task.start.toISOString(),
+    task.end.toISOString(),
+    task.progress,
+    task.assignee ? task.assignee.name : '',
+    task.estimatedHours,
+    timeline.dependencies
+      .filter(edge => edge.to === task._id)
+      .map(edge => rowIds.get(edge.from))
+      .join(' '),
+    task._id
+  ]);
+
+  return '\uFEFF' + [CSV_COLUMNS, ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// O MS Project espera data/hora sem fuso (yyyy-mm-ddThh:mm:ss)
+const msProjectDate = (date) => date.toISOString().slice(0, 19);
+
+// Duração no formato ISO 8601 usado pelo MSPDI (ex: PT16H0M0S)
+function msProjectDuration(task) {
+  const hours = task.estimatedHours > 0
+    ? task.estimatedHours
+    : (task.end - task.start) / HOUR_MS;
+  const wholeHours = Math.floor(hours);
+  const minutes = Math.round((hours - wholeHours) * 60);
+  return `PT${wholeHours}H${minutes}M0S`;
+}
+
+/**
+ * Exporta a timeline no formato XML do Microsoft Project (MSPDI), que também
+ * é aceito pelo ProjectLibre e GanttProject
+ * @param {Object} timeline - Resultado de buildTimeline
+ * @returns {string}
+ */
+function timelineToMsProjectXml(timeline) {
+  const { process, tasks, dependencies } = timeline;
+  const taskUids = new Map(tasks.map((task, index) => [task._id, index + 1]));
+
+  const resources = [];
+  const resourceUids = new Map();
+  tasks.forEach(task => {
+    if (task.assignee && !resourceUids.has(String(task.assignee._id))) {
+      resourceUids.set(String(task.assignee._id), resources.length + 1);
+      resources.push(task.assignee);
+    }
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Project xmlns="http://schemas.microsoft.com/project">',
+    `  <Name>${escapeXml(process.title)}.xml</Name>`,
+    `  <Title>${escapeXml(process.title)}</Title>`,
+    `  <StartDate>${msProjectDate(process.start)}</StartDate>`,
+    `  <FinishDate>${msProjectDate(process.end)}</FinishDate>`,
+    '  <Tasks>',
+    // Tarefa 0 é o resumo do projeto
+    '    <Task>',
+    '      <UID>0</UID>',
+    '      <ID>0</ID>',
+    `      <Name>${escapeXml(process.title)}</Name>`,
+    '      <OutlineLevel>0</OutlineLevel>',
+    '      <Summary>1</Summary>',
+    `      <Start>${msProjectDate(process.start)}</Start>`,
+    `      <Finish>${msProjectDate(process.end)}</Finish>`,
+    `      <PercentComplete>${Math.round(process.derivedProgress || process.progress)}</PercentComplete>`,
+    '    </Task>'
+  ];
+
+  tasks.forEach(task => {
+    const uid = taskUids.get(task._id);
+
+    lines.push(
+      '    <Task>',
+      `      <UID>${uid}</UID>`,
+      `      <ID>${uid}</ID>`,
+      `      <Name>${escapeXml(task.title)}</Name>`,
+      '      <OutlineLevel>1</OutlineLevel>',
+      `      <Start>${msProjectDate(task.start)}</Start>`,
+      `      <Finish>${msProjectDate(task.end)}</Finish>`,
+      `      <Duration>${msProjectDuration(task)}</Duration>`,
+      `      <Milestone>${task.milestone ? 1 : 0}</Milestone>`,
+      `      <PercentComplete>${Math.round(task.progress)}</PercentComplete>`
+    );
+
+    dependencies
+      .filter(edge => edge.to === task._id)
+      .forEach(edge => {
+        lines.push(
+          '      <PredecessorLink>',
+          `        <PredecessorUID>${taskUids.get(edge.from)}</PredecessorUID>`,
+          '        <Type>1</Type>', // 1 = término-início (FS)
+          '      </PredecessorLink>'
+        );
+      });
+
+    lines.push('    </Task>');
+  });
+
+  lines.push('  </Tasks>', '  <Resources>');
+
+  resources.forEach((resource, index) => {
+    lines.push(
+      '    <Resource>',
+      `      <UID>${index + 1}</UID>`,
+      `      <ID>${index + 1}</ID>`,
+      `      <Name>${escapeXml(resource.name || resource.username)}</Name>`,
+      '    </Resource>'
+    );
+  });
+
+  lines.push('  </Resources>', '  <Assignments>');
+
+  tasks.filter(task => task.assignee).forEach((task, index) => {
+    lines.push(
+      '    <Assignment>',
+      `      <UID>${index + 1}</UID>`,
+      `      <TaskUID>${taskUids.get(task._id)}</TaskUID>`,
+      `      <ResourceUID>${resourceUids.get(String(task.assignee._id))}</ResourceUID>`,
+      '    </Assignment>'
+    );
+  });
+
+  lines.push('  </Assignments>', '</Project>');
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  buildTimeline,
+  timelineToCsv,
+  timelineToMsProjectXml
+};
@@ -0,0 +1,114 @@
+// src/services/timesheets.js
+
+/**
+ * Semanas de apontamento, resumo semanal e trava de semanas enviadas/aprovadas
+ */
+
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const TimeEntry = require('../models/TimeEntry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enquanto em análise ou depois de aprovada, a semana não aceita mudanças
+const LOCKED_STATUSES = ['ENVIADO', 'APROVADO'];
+
+/**
+ * Segunda-feira 00:00 (UTC) da semana de uma data
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+function startOfWeek(date) {
+  const day = new Date(date);
+  const start = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+  const weekday = (new Date(start).getUTCDay() + 6) % 7; // segunda = 0
+
+  return new Date(start - weekday * DAY_MS);
+}
+
+/**
+ * Intervalo [início, fim) da semana
+ * @param {Date|string} date - Qualquer data da semana
+ * @returns {{ start: Date, end: Date }}
+ */
+function weekRange(date) {
+  const start = startOfWeek(date);
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+}
+
+/**
+ * Lê o parâmetro "week" (YYYY-MM-DD, qualquer dia da semana); sem ele, a semana atual
+ * @param {string} value
+ * @returns {Date|null} Início da semana, ou null se a data for inválida
+ */
+function parseWeek(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? null : startOfWeek(date);
+}
+
+/**
+ * Resumo dos apontamentos encerrados do usuário na semana
+ * @param {ObjectId} userId
+ * @param {Date} weekStart
+ * @returns {Promise<{ totalMinutes: number, entryCount: number, byTask: Object[], byDay: Object[] }>}
+ */
+async function summarizeWeek(userId, weekStart) {
+  const { start, end } = weekRange(weekStart);
+  const match = {
+    user: new mongoose.Types.ObjectId(String(userId)),
+    isRunning: false,
+    startedAt: { $gte: start, $lt: end }
+  };
+
+  const [byTask, byDay] = await Promise.all([
+    TimeEntry.aggregate([
+      { $match: match },
+      { $group: { _id: '$task', minutes: { $sum: '$durationMinutes' }, entries: { $sum: 1 } } },
+      { $lookup: { from: 'tasks', localField: '_id', foreignField: '_id', as: 'task' } },
+      { $unwind: { path: '$task', preserveNullAndEmptyArrays: true } },
+      { $project: { _id: 0, task: '$_id', title: '$task.title', minutes: 1, entries: 1 } },
+      { $sort: { minutes: -1 } }
+    ]),
+    TimeEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } },
+          minutes: { $sum: '$durationMinutes' }
+        }
+      },
+      { $project: { _id: 0, date: '$_id', minutes: 1 } },
+      { $sort: { date: 1 } }
+    ])
+  ]);
+
+  return {
+    totalMinutes: byTask.reduce((sum, item) => sum + item.minutes, 0),
+    entryCount: byTask.reduce((sum, item) => sum + item.entries, 0),
+    byTask,
+    byDay
+  };
+}
+
+/**
+ * Verifica se a semana de uma data está travada para o usuário
+ * @param {ObjectId} userId
+ * @param {Date} date - Data do apontamento (startedAt)
+ * @returns {Promise<Object|null>} Folha que trava a semana, ou null
+ */
+async function findLockingTimesheet(userId, date) {
+  return await Timesheet.findOne({
+    user: userId,
+    weekStart: startOfWeek(date),
+    status: { $in: LOCKED_STATUSES }
+  }).select('status weekStart');
+}
+
+module.exports = {
+  LOCKED_STATUSES,
+  startOfWeek,
+  weekRange,
+  parseWeek,
+  summarizeWeek,
+  findLockingTimesheet
+};
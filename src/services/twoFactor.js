@@ -0,0 +1,146 @@
+// src/services/twoFactor.js
+
+/**
+ * Regras de negócio do 2FA sobre o documento do usuário
+ */
+
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+
+const MAX_FAILED_ATTEMPTS = 5;
+
+/**
+ * Inicia o cadastro: gera um segredo pendente (ainda não ativo)
+ * @param {Object} user - Documento do usuário (não é salvo aqui)
+ * @returns {{ secret: string, otpauthUrl: string }}
+ */
+function startEnrollment(user) {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({ secret, accountName: user.username })
+  };
+}
+
+/**
+ * Substitui os códigos de recuperação e retorna os novos em texto puro
+ * (única vez em que ficam visíveis)
+ * @param {Object} user
+ * @returns {string[]}
+ */
+function regenerateRecoveryCodes(user) {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+}
+
+/**
+ * Confirma o cadastro com o primeiro código do aplicativo
+ * @param {Object} user
+ * @param {string} code
+ * @returns {string[]|null} Códigos de recuperação, ou null se o código for inválido
+ */
+function confirmEnrollment(user, code) {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTOTP(secret, code);
+  if (step === null) return null;
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.enabledAt = new Date();
+
+  return regenerateRecoveryCodes(user);
+}
+
+/**
+ * Verifica o segundo fator (código TOTP ou código de recuperação).
+ * Atualiza o documento (passo usado, código consumido, contador de falhas).
+ * @param {Object} user
+ * @param {Object} credentials
+ * @param {string} credentials.code - Código TOTP
+ * @param {string} credentials.recoveryCode - Código de recuperação
+ * @returns {{ valid: boolean, method?: string, locked?: boolean }}
+ */
+function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    return { valid: false, locked: true };
+  }
+
+  if (code) {
+    const step = verifyTOTP(decryptSecret(user.twoFactor.secret), code, {
+      lastUsedStep: user.twoFactor.lastUsedStep
+    });
+
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.failedAttempts = 0;
+      return { valid: true, method: 'totp' };
+    }
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = user.twoFactor.recoveryCodes.find(item => item.hash === hash && !item.usedAt);
+
+    if (entry) {
+      entry.usedAt = new Date();
+      user.twoFactor.failedAttempts = 0;
+      return { valid: true, method: 'recovery_code' };
+    }
+  }
+
+  user.twoFactor.failedAttempts += 1;
+  return {
+    valid: false,
+    locked: user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS
+  };
+}
+
+/**
+ * Desativa o 2FA e apaga segredos e códigos
+ * @param {Object} user
+ */
+function disableTwoFactor(user) {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = -1;
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.enabledAt = undefined;
+}
+
+/**
+ * Quantidade de códigos de recuperação ainda não usados
+ * @param {Object} user
+ * @returns {number}
+ */
+function remainingRecoveryCodes(user) {
+  return (user.twoFactor?.recoveryCodes || []).filter(item => !item.usedAt).length;
+}
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  remainingRecoveryCodes
+};
@@ -0,0 +1,398 @@
+// src/services/webhooks.js
+
+/**
+ * Webhooks de saída
+ *
+ * Cada evento do barramento vira uma WebhookDelivery para cada assinatura
+ * ativa que o assina. O corpo é JSON ({ id, type, occurredAt, data }) e vai
+ * assinado no cabeçalho X-ProcessFlow-Signature: "t=<timestamp>,v1=<hmac>",
+ * onde hmac = HMAC-SHA256(segredo, "<timestamp>.<corpo>") em hexadecimal.
+ *
+ * Respostas 2xx contam como entregue. Falhas (outro status, timeout, erro de
+ * rede) são reenviadas pelo scheduler com espera exponencial até
+ * WEBHOOK_CONFIG.MAX_ATTEMPTS. Cada tentativa reserva a entrega empurrando
+ * nextAttemptAt, então duas instâncias não enviam a mesma entrega.
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENT_TYPES, idOf, onEvent } = require('./events');
+const { encryptSecret, decryptSecret } = require('../utils/totp');
+const { WEBHOOK_CONFIG } = require('../utils/constants');
+
+const PING_EVENT = 'ping';
+
+/**
+ * Gera um segredo novo para assinatura
+ * @returns {string}
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 de "<timestamp>.<corpo>"
+ * @param {string} secret
+ * @param {number} timestamp - Segundos desde a época
+ * @param {string} body - Corpo exato enviado
+ * @returns {string} Hexadecimal
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Confere o cabeçalho de assinatura (para uso dos receptores)
+ * @param {string} secret
+ * @param {string} header - Valor de X-ProcessFlow-Signature
+ * @param {string} body - Corpo recebido, sem alterações
+ * @param {Object} options
+ * @param {number} options.toleranceSeconds - Idade máxima aceita (contra replay)
+ * @param {Date} options.now
+ * @returns {boolean}
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = 300, now = new Date() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Math.floor(now.getTime() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Espera antes da próxima tentativa, dado o número de tentativas já feitas
+ * @param {number} attempts
+ * @returns {number} Milissegundos
+ */
+function retryDelay(attempts) {
+  return Math.min(WEBHOOK_CONFIG.RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_CONFIG.RETRY_MAX_MS);
+}
+
+/**
+ * Valida os dados de uma assinatura
+ * @param {Object} input
+ * @param {Object} options
+ * @param {boolean} options.partial - Atualização (campos ausentes são mantidos)
+ * @returns {{ errors: string[], values: Object }}
+ */
+function validateWebhookInput(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (has('name') || !partial) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      errors.push('name é obrigatório');
+    } else if (name.length > 100) {
+      errors.push('name deve ter no máximo 100 caracteres');
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (has('url') || !partial) {
+    let url = null;
+    try {
+      url = new URL(String(input.url || ''));
+    } catch (error) {
+      url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url deve ser uma URL http(s) válida');
+    } else {
+      values.url = url.toString();
+    }
+  }
+
+  if (has('events') || !partial) {
+    const types = Object.values(EVENT_TYPES);
+    const events = Array.isArray(input.events) ? [...new Set(input.events.map(String))] : [];
+
+    if (events.length === 0) {
+      errors.push(`events deve listar ao menos um tipo de evento (ou "*"): ${types.join(', ')}`);
+    } else if (events.some(event => event !== '*' && !types.includes(event))) {
+      errors.push(`Tipos de evento desconhecidos: ${events.filter(event => event !== '*' && !types.includes(event)).join(', ')}`);
+    } else {
+      values.events = events.includes('*') ? ['*'] : events;
+    }
+  }
+
+  if (has('description')) {
+    values.description = String(input.description || '').slice(0, 500);
+  }
+
+  if (has('isActive')) {
+    values.isActive = !!input.isActive;
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Corpo enviado para um evento do barramento
+ * @param {Object} event
+ * @returns {{ id: string, type: string, occurredAt: Date, data: Object }}
+ */
+function buildPayload(event) {
+  const { type, occurredAt, ...data } = event;
+  return { id: crypto.randomUUID(), type, occurredAt, data };
+}
+
+// Reserva uma entrega pendente e vencida (ou uma específica, com "id")
+async function claimDelivery(now, id) {
+  return await WebhookDelivery.findOneAndUpdate(
+    {
+      ...(id ? { _id: id } : {}),
+      status: 'pending',
+      nextAttemptAt: { $lte: now }
+    },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_CONFIG.LEASE_MS), updatedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// POST assinado para a URL; resolve com o status HTTP e o início da resposta
+async function postSigned(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signPayload(decryptSecret(webhook.secret), timestamp, body);
+
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ProcessFlow-Webhooks/1.0',
+      [WEBHOOK_CONFIG.SIGNATURE_HEADER]: `t=${timestamp},v1=${signature}`,
+      'X-ProcessFlow-Event': delivery.event,
+      'X-ProcessFlow-Event-Id': delivery.eventId,
+      'X-ProcessFlow-Delivery': String(delivery._id)
+    },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(WEBHOOK_CONFIG.TIMEOUT_MS)
+  });
+
+  const text = await response.text().catch(() => '');
+  return { status: response.status, body: text.slice(0, WEBHOOK_CONFIG.RESPONSE_BODY_LIMIT) };
+}
+
+/**
+ * Faz uma tentativa de uma entrega já reservada. Reenvios automáticos param
+ * se a assinatura foi desativada ou removida; ping e reentrega manual não.
+ * @param {Object} delivery - WebhookDelivery
+ * @param {Object} options
+ * @param {boolean} options.manual
+ * @returns {Promise<Object>} A entrega atualizada
+ */
+async function attemptDelivery(delivery, { manual = false } = {}) {
+  const webhook = await Webhook.findById(delivery.webhook);
+
+  if (!webhook || (!webhook.isActive && !manual)) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook inativo ou removido';
+    await delivery.save();
+    return delivery;
+  }
+
+  const startedAt = Date.now();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date(startedAt);
+
+  try {
+    const response = await postSigned(webhook, delivery);
+    delivery.responseStatus = response.status;
+    delivery.responseBody = response.body;
+    delivery.error = response.status >= 200 && response.status < 300 ? undefined : `HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = error.name === 'TimeoutError'
+      ? `Sem resposta em ${WEBHOOK_CONFIG.TIMEOUT_MS / 1000}s`
+      : (error.cause?.message || error.message);
+  }
+
+  delivery.durationMs = Date.now() - startedAt;
+
+  if (!delivery.error) {
+    delivery.status = 'success';
+  } else if (delivery.attempts >= WEBHOOK_CONFIG.MAX_ATTEMPTS || manual) {
+    // Ping e reentrega mostram o resultado na hora e não entram na fila
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+  }
+
+  await delivery.save();
+
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    { $set: { lastDeliveryAt: delivery.lastAttemptAt, lastDeliveryStatus: delivery.error ? 'failed' : 'success' } }
+  );
+
+  if (delivery.error) {
+    const next = delivery.status === 'pending' ? `, nova tentativa às ${delivery.nextAttemptAt.toISOString()}` : '';
+    console.error(`🔄 Webhook: ${delivery.event} para ${webhook.url} falhou (tentativa ${delivery.attempts}${next}):`, delivery.error);
+  }
+
+  return delivery;
+}
+
+// Primeira tentativa em segundo plano, sem segurar quem publicou o evento
+function attemptSoon(deliveryId) {
+  setImmediate(async () => {
+    try {
+      const claimed = await claimDelivery(new Date(), deliveryId);
+      if (claimed) await attemptDelivery(claimed);
+    } catch (error) {
+      console.error(`❌ Webhook: Erro na entrega ${deliveryId}:`, error.message);
+    }
+  });
+}
+
+/**
+ * Cria as entregas de um evento para as assinaturas ativas que o assinam
+ * @param {Object} event - Evento publicado por emitEvent
+ * @returns {Promise<number>} Quantidade de entregas criadas
+ */
+async function dispatchEvent(event) {
+  const webhooks = await Webhook.find({ isActive: true, events: { $in: [event.type, '*'] } }).select('_id');
+  if (webhooks.length === 0) return 0;
+
+  const payload = buildPayload(event);
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    eventId: payload.id,
+    event: payload.type,
+    payload
+  })));
+
+  deliveries.forEach(delivery => attemptSoon(delivery._id));
+  return deliveries.length;
+}
+
+/**
+ * Envia as entregas pendentes cuja próxima tentativa já venceu (scheduler)
+ * @param {Date} now
+ * @returns {Promise<number>} Quantidade de entregas concluídas com sucesso
+ */
+async function processWebhookQueue(now = new Date()) {
+  let delivered = 0;
+
+  for (let i = 0; i < WEBHOOK_CONFIG.BATCH_SIZE; i++) {
+    const delivery = await claimDelivery(now);
+    if (!delivery) break;
+
+    if ((await attemptDelivery(delivery)).status === 'success') delivered++;
+  }
+
+  return delivered;
+}
+
+// Cria uma entrega manual e já faz a tentativa, para devolver o resultado
+async function deliverNow(fields) {
+  const delivery = await WebhookDelivery.create({ ...fields, nextAttemptAt: new Date() });
+  const claimed = await claimDelivery(new Date(), delivery._id);
+  return await attemptDelivery(claimed, { manual: true });
+}
+
+/**
+ * Envia um evento "ping" para testar a URL e o segredo
+ * @param {Object} webhook
+ * @param {Object} user - Quem pediu o teste
+ * @returns {Promise<Object>} Entrega com o resultado
+ */
+async function pingWebhook(webhook, user) {
+  const payload = buildPayload({
+    type: PING_EVENT,
+    occurredAt: new Date(),
+    webhook: { _id: idOf(webhook), name: webhook.name, events: webhook.events },
+    message: 'Teste de webhook do ProcessFlow'
+  });
+
+  return await deliverNow({
+    webhook: webhook._id,
+    eventId: payload.id,
+    event: PING_EVENT,
+    payload,
+    requestedBy: user._id
+  });
+}
+
+/**
+ * Reenvia o mesmo corpo (e o mesmo id de evento) de uma entrega anterior
+ * @param {Object} original - WebhookDelivery
+ * @param {Object} user - Quem pediu a reentrega
+ * @returns {Promise<Object>} Nova entrega com o resultado
+ */
+async function redeliver(original, user) {
+  return await deliverNow({
+    webhook: original.webhook,
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    requestedBy: user._id
+  });
+}
+
+/**
+ * Cria uma assinatura com segredo gerado (ou informado)
+ * @param {Object} values - Validados por validateWebhookInput
+ * @param {string} secret
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+async function createWebhook(values, secret, user) {
+  return await Webhook.create({
+    ...values,
+    secret: encryptSecret(secret),
+    createdBy: user._id,
+    updatedBy: user._id
+  });
+}
+
+/**
+ * Troca o segredo da assinatura
+ * @param {Object} webhook
+ * @param {Object} user
+ * @returns {Promise<string>} Segredo novo (exibido uma única vez)
+ */
+async function rotateWebhookSecret(webhook, user) {
+  const secret = generateWebhookSecret();
+  webhook.secret = encryptSecret(secret);
+  webhook.updatedBy = user._id;
+  await webhook.save();
+  return secret;
+}
+
+/**
+ * Registra o envio de webhooks no barramento (chamar uma vez na inicialização)
+ */
+function registerWebhookHandlers() {
+  onEvent('*', dispatchEvent);
+}
+
+module.exports = {
+  PING_EVENT,
+  generateWebhookSecret,
+  signPayload,
+  verifySignature,
+  retryDelay,
+  validateWebhookInput,
+  dispatchEvent,
+  processWebhookQueue,
+  pingWebhook,
+  redeliver,
+  createWebhook,
+  rotateWebhookSecret,
+  registerWebhookHandlers
+};
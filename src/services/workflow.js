@@ -0,0 +1,219 @@
+// src/services/workflow.js
+
+/**
+ * Regras de transição de status definidas nos workflows do banco
+ */
+
+const mongoose = require('mongoose');
+const Workflow = require('../models/Workflow');
+
+const MANAGERS = ['admin', 'manager'];
+
+// Workflows criados na primeira utilização, se o banco ainda não tiver nenhum
+const DEFAULT_WORKFLOWS = {
+  Process: {
+    name: 'Fluxo padrão de processos',
+    states: [
+      { key: 'PENDENTE', label: 'Pendente', initial: true },
+      { key: 'EM_ANDAMENTO', label: 'Em andamento', initial: true },
+      { key: 'CONCLUIDO', label: 'Concluído', final: true },
+      { key: 'CANCELADO', label: 'Cancelado', final: true }
+    ],
+    transitions: [
+      { from: 'PENDENTE', to: 'EM_ANDAMENTO', name: 'Iniciar' },
+      { from: 'PENDENTE', to: 'CANCELADO', name: 'Cancelar', requiredFields: ['cancellationReason'] },
+      { from: 'EM_ANDAMENTO', to: 'PENDENTE', name: 'Pausar' },
+      { from: 'EM_ANDAMENTO', to: 'CONCLUIDO', name: 'Concluir' },
+      { from: 'EM_ANDAMENTO', to: 'CANCELADO', name: 'Cancelar', requiredFields: ['cancellationReason'] },
+      { from: 'CONCLUIDO', to: 'EM_ANDAMENTO', name: 'Reabrir', roles: MANAGERS },
+      { from: 'CANCELADO', to: 'PENDENTE', name: 'Reativar', roles: MANAGERS }
+    ]
+  },
+  Task: {
+    name: 'Fluxo padrão de tarefas',
+    states: [
+      { key: 'PENDENTE', label: 'Pendente', initial: true },
+      { key: 'EM_ANDAMENTO', label: 'Em andamento', initial: true },
+      { key: 'CONCLUIDA', label: 'Concluída', final: true },
+      { key: 'CANCELADA', label: 'Cancelada', final: true }
+    ],
+    transitions: [
+      { from: 'PENDENTE', to: 'EM_ANDAMENTO', name: 'Iniciar' },
+      { from: 'PENDENTE', to: 'CONCLUIDA', name: 'Concluir' },
+      { from: 'PENDENTE', to: 'CANCELADA', name: 'Cancelar', requiredFields: ['cancellationReason'] },
+      { from: 'EM_ANDAMENTO', to: 'PENDENTE', name: 'Pausar' },
+      { from: 'EM_ANDAMENTO', to: 'CONCLUIDA', name: 'Concluir' },
+      { from: 'EM_ANDAMENTO', to: 'CANCELADA', name: 'Cancelar', requiredFields: ['cancellationReason'] },
+      { from: 'CONCLUIDA', to: 'EM_ANDAMENTO', name: 'Reabrir', roles: MANAGERS },
+      { from: 'CANCELADA', to: 'PENDENTE', name: 'Reativar', roles: MANAGERS }
+    ]
+  }
+};
+
+/**
+ * Status aceitos pelo schema do modelo
+ * @param {string} entityType
+ * @returns {string[]}
+ */
+function modelStatuses(entityType) {
+  return mongoose.model(entityType).schema.path('status').enumValues;
+}
+
+/**
+ * Retorna o workflow de um tipo de entidade (cria o padrão se não existir)
+ * @param {string} entityType - 'Process' | 'Task'
+ * @returns {Promise<Object>}
+ */
+async function getWorkflow(entityType) {
+  const workflow = await Workflow.findOne({ entityType });
+  if (workflow) return workflow;
+
+  try {
+    return await Workflow.create({ entityType, ...DEFAULT_WORKFLOWS[entityType] });
+  } catch (error) {
+    // Outra requisição criou o padrão ao mesmo tempo
+    if (error.code === 11000) return await Workflow.findOne({ entityType });
+    throw error;
+  }
+}
+
+/**
+ * Valida a consistência de uma definição de workflow
+ * @param {string} entityType
+ * @param {Object} definition - { states, transitions }
+ * @returns {string[]} Lista de erros (vazia se válida)
+ */
+function validateDefinition(entityType, { states, transitions }) {
+  const errors = [];
+  const allowedStatuses = modelStatuses(entityType);
+
+  if (!Array.isArray(states) || states.length === 0) {
+    return ['states deve ser uma lista não vazia'];
+  }
+  if (!Array.isArray(transitions)) {
+    return ['transitions deve ser uma lista'];
+  }
+
+  const keys = states.map(state => state.key);
+
+  keys.forEach(key => {
+    if (!allowedStatuses.includes(key)) {
+      errors.push(`Estado ${key} não existe no modelo (${allowedStatuses.join(', ')})`);
+    }
+  });
+
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Estados duplicados');
+  }
+
+  if (!states.some(state => state.initial)) {
+    errors.push('Pelo menos um estado deve ser inicial');
+  }
+
+  transitions.forEach(({ from, to }) => {
+    if (!keys.includes(from) || !keys.includes(to)) {
+      errors.push(`Transição ${from} -> ${to} usa estado inexistente`);
+    }
+    if (from === to) {
+      errors.push(`Transição ${from} -> ${to} não altera o estado`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Transição configurada entre dois estados
+ */
+function findTransition(workflow, from, to) {
+  return workflow.transitions.find(transition => transition.from === from && transition.to === to);
+}
+
+function roleAllowed(transition, user) {
+  return !transition.roles || transition.roles.length === 0 || transition.roles.includes(user.role);
+}
+
+/**
+ * Transições disponíveis a partir de um estado para o usuário
+ * @param {Object} workflow
+ * @param {string} from - Estado atual
+ * @param {Object} user
+ * @returns {Array}
+ */
+function availableTransitions(workflow, from, user) {
+  const labels = Object.fromEntries(workflow.states.map(state => [state.key, state.label]));
+
+  return workflow.transitions
+    .filter(transition => transition.from === from && roleAllowed(transition, user))
+    .map(transition => ({
+      to: transition.to,
+      toLabel: labels[transition.to],
+      name: transition.name,
+      requiredFields: transition.requiredFields || []
+    }));
+}
+
+/**
+ * Verifica se o usuário pode mover a entidade de um estado para outro
+ * @param {Object} workflow
+ * @param {string} from - Estado atual
+ * @param {string} to - Estado desejado
+ * @param {Object} user
+ * @param {Object} payload - Dados enviados na requisição
+ * @returns {{ allowed: boolean, status?: number, error?: string, missingFields?: string[] }}
+ */
+function checkTransition(workflow, from, to, user, payload = {}) {
+  if (!workflow.states.some(state => state.key === to)) {
+    return { allowed: false, status: 400, error: `Status ${to} não faz parte do workflow` };
+  }
+
+  const transition = findTransition(workflow, from, to);
+
+  if (!transition) {
+    return { allowed: false, status: 409, error: `Transição de ${from} para ${to} não permitida` };
+  }
+
+  if (!roleAllowed(transition, user)) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Transição de ${from} para ${to} restrita a: ${transition.roles.join(', ')}`
+    };
+  }
+
+  const missingFields = (transition.requiredFields || []).filter(field => {
+    const value = payload[field];
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  });
+
+  if (missingFields.length > 0) {
+    return {
+      allowed: false,
+      status: 400,
+      error: `Campos obrigatórios para esta transição: ${missingFields.join(', ')}`,
+      missingFields
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Verifica se o status pode ser usado na criação
+ * @param {Object} workflow
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isInitialState(workflow, status) {
+  return workflow.states.some(state => state.key === status && state.initial);
+}
+
+module.exports = {
+  DEFAULT_WORKFLOWS,
+  getWorkflow,
+  validateDefinition,
+  findTransition,
+  availableTransitions,
+  checkTransition,
+  isInitialState
+};
@@ -49,10 +49,18 @@ const PAGINATION = {
 const JWT_CONFIG = {
   EXPIRES_IN: '24h',
   REFRESH_EXPIRES_IN: '7d',
+  // Duração máxima de uma sessão desde o login, mesmo sendo renovada
+  SESSION_MAX_AGE: '30d',
   ISSUER: 'processflow-api',
   AUDIENCE: 'processflow-app'
 };
 
+// Redefinição de senha
+const PASSWORD_RESET_CONFIG = {
+  EXPIRES_IN: '30m',
+  RESET_PATH: '/reset-password'
+};
+
 // Rate limiting
 const RATE_LIMITS = {
   GENERAL: {
@@ -69,6 +77,13 @@ const RATE_LIMITS = {
   }
 };
 
+// Bloqueio progressivo de conta após falhas de login
+const ACCOUNT_LOCKOUT = {
+  MAX_FAILED_ATTEMPTS: RATE_LIMITS.AUTH.max,
+  BASE_LOCK_MS: 15 * 60 * 1000, // primeiro bloqueio: 15 minutos
+  MAX_LOCK_MS: 24 * 60 * 60 * 1000 // dobra a cada bloqueio, até 24 horas
+};
+
 // Configurações de validação
 const VALIDATION = {
   PASSWORD: {
@@ -100,12 +115,62 @@ const ERROR_CODES = {
   TOKEN_INVALID: 'TOKEN_INVALID'
 };
 
+// Cronograma (caminho crítico e timeline)
+const SCHEDULE_CONFIG = {
+  HOURS_PER_DAY: 8 // converte estimatedHours em dias corridos de duração
+};
+
+// Tarefas em segundo plano (src/services/scheduler.js)
+const SCHEDULER_CONFIG = {
+  RECURRENCE_INTERVAL_MS: 60 * 1000, // verificação de séries recorrentes
+  REMINDER_INTERVAL_MS: 15 * 60 * 1000, // lembretes de prazo e escalonamento
+  MAIL_QUEUE_INTERVAL_MS: 60 * 1000, // reenvio de emails que falharam
+  WEBHOOK_INTERVAL_MS: 30 * 1000 // reenvio de webhooks que falharam
+};
+
 // Configurações de email
 const EMAIL_TEMPLATES = {
   WELCOME: 'welcome',
   PASSWORD_RESET: 'password-reset',
+  ACCOUNT_LOCKED: 'account-locked',
   TASK_ASSIGNED: 'task-assigned',
-  PROCESS_COMPLETED: 'process-completed'
+  PROCESS_COMPLETED: 'process-completed',
+  DUE_REMINDER: 'due-reminder',
+  OVERDUE_ESCALATION: 'overdue-escalation'
+};
+
+// Fila de emails (src/services/mail/queue.js)
+const MAIL_QUEUE_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  // Espera antes de cada nova tentativa (a última se repete)
+  RETRY_DELAYS_MS: [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000],
+  // Tempo em que uma mensagem fica reservada para quem está enviando
+  LEASE_MS: 5 * 60 * 1000,
+  BATCH_SIZE: 50
+};
+
+// Webhooks de saída (src/services/webhooks.js)
+const WEBHOOK_CONFIG = {
+  MAX_ATTEMPTS: 8,
+  // Espera antes da tentativa n+1: BASE * 2^(n-1), limitada a MAX
+  RETRY_BASE_MS: 30 * 1000,
+  RETRY_MAX_MS: 6 * 60 * 60 * 1000,
+  TIMEOUT_MS: 10 * 1000,
+  LEASE_MS: 2 * 60 * 1000,
+  BATCH_SIZE: 50,
+  // Trecho da resposta guardado no log de entregas
+  RESPONSE_BODY_LIMIT: 2000,
+  SIGNATURE_HEADER: 'X-ProcessFlow-Signature'
+};
+
+// Canal em tempo real (src/services/realtime.js)
+const REALTIME_CONFIG = {
+  HEARTBEAT_MS: 25 * 1000, // comentário SSE para manter proxies com a conexão aberta
+  REVALIDATE_MS: 60 * 1000, // token conferido de novo durante a conexão
+  RETRY_MS: 5 * 1000, // espera sugerida ao cliente para reconectar
+  MAX_CONNECTIONS_PER_USER: 5,
+  MAX_PROCESS_SUBSCRIPTIONS: 50,
+  DEPARTMENT_CACHE_MS: 60 * 1000
 };
 
 module.exports = {
@@ -114,8 +179,15 @@ module.exports = {
   USER_ROLES,
   PAGINATION,
   JWT_CONFIG,
+  PASSWORD_RESET_CONFIG,
   RATE_LIMITS,
+  ACCOUNT_LOCKOUT,
   VALIDATION,
   ERROR_CODES,
-  EMAIL_TEMPLATES
+  SCHEDULE_CONFIG,
+  SCHEDULER_CONFIG,
+  EMAIL_TEMPLATES,
+  MAIL_QUEUE_CONFIG,
+  WEBHOOK_CONFIG,
+  REALTIME_CONFIG
 };
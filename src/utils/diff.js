@@ -0,0 +1,65 @@
+// src/utils/diff.js
+
+/**
+ * Comparação campo a campo entre dois estados de um documento
+ */
+
+// Campos controlados pelo próprio sistema, que não interessam num histórico
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Converte um documento Mongoose (ou objeto) em JSON puro e comparável
+ * (ObjectId -> string, Date -> ISO string, referências populadas -> id)
+ * @param {Object} doc
+ * @returns {Object}
+ */
+function toPlain(doc) {
+  if (!doc) return {};
+
+  const object = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+
+  return JSON.parse(JSON.stringify(object));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Lista os campos de primeiro nível que mudaram entre dois estados
+ * @param {Object} before - Estado anterior (documento ou objeto)
+ * @param {Object} after - Estado posterior (documento ou objeto)
+ * @param {Object} options
+ * @param {string[]} options.fields - Restringir a estes campos
+ * @param {string[]} options.ignore - Campos adicionais a ignorar
+ * @param {string[]} options.redact - Campos cujo valor não deve ser gravado
+ * @returns {Array<{ field: string, before: any, after: any }>}
+ */
+function diffObjects(before, after, { fields, ignore = [], redact = [] } = {}) {
+  const plainBefore = toPlain(before);
+  const plainAfter = toPlain(after);
+  const skipped = new Set([...IGNORED_FIELDS, ...ignore]);
+
+  const keys = fields || [...new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)])];
+
+  return keys
+    .filter(field => !skipped.has(field))
+    .filter(field => !isEqual(plainBefore[field], plainAfter[field]))
+    .map(field => {
+      if (redact.includes(field)) {
+        return { field, before: '[REDACTED]', after: '[REDACTED]' };
+      }
+      return {
+        field,
+        before: plainBefore[field] ?? null,
+        after: plainAfter[field] ?? null
+      };
+    });
+}
+
+module.exports = {
+  toPlain,
+  diffObjects
+};
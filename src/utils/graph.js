@@ -0,0 +1,99 @@
+// src/utils/graph.js
+
+/**
+ * Algoritmos sobre grafos de dependência (tarefas, blueprints de template)
+ *
+ * O grafo é representado como Map<nó, nó[]>, onde a lista contém as
+ * dependências do nó (arestas "depende de").
+ */
+
+/**
+ * Procura um ciclo no grafo
+ * @param {Map<string, string[]>} graph
+ * @returns {string[]|null} Caminho do ciclo (primeiro nó repetido no fim) ou null
+ */
+function findCycle(graph) {
+  const WHITE = 0;
+  const GRAY = 1;
+  const BLACK = 2;
+  const color = new Map();
+  const stack = [];
+
+  const visit = (node) => {
+    color.set(node, GRAY);
+    stack.push(node);
+
+    for (const dependency of graph.get(node) || []) {
+      const state = color.get(dependency) || WHITE;
+
+      if (state === GRAY) {
+        return [...stack.slice(stack.indexOf(dependency)), dependency];
+      }
+      if (state === WHITE && graph.has(dependency)) {
+        const cycle = visit(dependency);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    color.set(node, BLACK);
+    return null;
+  };
+
+  for (const node of graph.keys()) {
+    if ((color.get(node) || WHITE) === WHITE) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Ordena os nós de forma que cada um venha depois das suas dependências
+ * (algoritmo de Kahn). Dependências que não estão no grafo são ignoradas.
+ * @param {Map<string, string[]>} graph
+ * @returns {string[]} Nós ordenados
+ * @throws {Error} Se houver ciclo (error.cycle contém o caminho)
+ */
+function topologicalSort(graph) {
+  const pending = new Map();
+  const dependents = new Map();
+
+  for (const [node, dependencies] of graph) {
+    const known = (dependencies || []).filter(dependency => graph.has(dependency));
+    pending.set(node, new Set(known).size);
+
+    for (const dependency of new Set(known)) {
+      if (!dependents.has(dependency)) dependents.set(dependency, []);
+      dependents.get(dependency).push(node);
+    }
+  }
+
+  const queue = [...pending.keys()].filter(node => pending.get(node) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    order.push(node);
+
+    for (const dependent of dependents.get(node) || []) {
+      pending.set(dependent, pending.get(dependent) - 1);
+      if (pending.get(dependent) === 0) queue.push(dependent);
+    }
+  }
+
+  if (order.length !== graph.size) {
+    const error = new Error('Dependências circulares');
+    error.cycle = findCycle(graph);
+    throw error;
+  }
+
+  return order;
+}
+
+module.exports = {
+  findCycle,
+  topologicalSort
+};
@@ -0,0 +1,132 @@
+// src/utils/markdown.js
+
+/**
+ * Markdown dos comentários, em um subconjunto: **negrito**, *itálico*,
+ * ~~riscado~~, `código`, blocos ```código```, [links](https://...), listas
+ * (- item / 1. item), citações (> texto) e @menções.
+ *
+ * Tags HTML de verdade (<b>, </div>, <script>...</script>) são removidas com
+ * sanitizeHtml, exceto dentro de código; o restante do texto é escapado por
+ * inteiro, então "a < b" continua legível. O único HTML da saída é o gerado
+ * aqui, e links só aceitam http, https e mailto.
+ */
+
+const { escapeHtml, sanitizeHtml } = require('./standardUtils');
+
+// Menção: @ seguido de um username válido, sem estar colado a outra palavra (ex: emails)
+const MENTION_REGEX = /(^|[^\w@.])@([a-zA-Z0-9_]{3,30})\b/g;
+
+const SAFE_URL_REGEX = /^(https?:\/\/|mailto:)/i;
+
+// Só o que tem cara de tag: "<" colado a um nome (ou "/nome"), comentários e
+// blocos <script>. Comparações como "a < b" ou "x<5" não casam
+const HTML_TAG_REGEX = /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>|<!--[\s\S]*?-->|<\/?[a-zA-Z][\w:-]*(?:\s[^<>]*)?\/?>/gi;
+
+/**
+ * Usernames mencionados no texto, sem repetição (na ordem em que aparecem)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractMentions(text) {
+  if (typeof text !== 'string') return [];
+
+  // Menções dentro de código não contam
+  const withoutCode = text.replace(/```[\s\S]*?```/g, ' ').replace(/`[^`\n]*`/g, ' ');
+  const usernames = [];
+
+  for (const match of withoutCode.matchAll(MENTION_REGEX)) {
+    if (!usernames.some(username => username.toLowerCase() === match[2].toLowerCase())) {
+      usernames.push(match[2]);
+    }
+  }
+
+  return usernames;
+}
+
+// Formatação de uma linha já escapada. Código e links viram marcadores (keep)
+// para não receberem a formatação de negrito/itálico
+function renderInline(text, keep) {
+  return text
+    .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      // A URL já está escapada; &amp; volta a ser & só para conferir o esquema
+      if (!SAFE_URL_REGEX.test(url.replace(/&amp;/g, '&'))) return match;
+      return keep(`<a href="${url}" rel="noopener noreferrer nofollow" target="_blank">${label}</a>`);
+    })
+    .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*([^*\n]+)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\n]+)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~\n]+)~~/g, '<del>$1</del>')
+    .replace(MENTION_REGEX, '$1<span class="mention">@$2</span>');
+}
+
+/**
+ * Converte o Markdown de um comentário em HTML seguro
+ * @param {string} text
+ * @returns {string}
+ */
+function renderMarkdown(text) {
+  if (typeof text !== 'string' || !text.trim()) return '';
+
+  const codes = [];
+  const keep = (html) => `\u0000${codes.push(html) - 1}\u0000`;
+
+  // Código é separado antes de tudo para sair literal (escapado, sem remover tags)
+  let source = text.replace(/\r\n?/g, '\n').replace(/\u0000/g, '')
+    .replace(/```[^\n]*\n?([\s\S]*?)```/g, (match, code) => `\n${keep(`<pre><code>${escapeHtml(code.replace(/\n$/, ''))}</code></pre>`)}\n`)
+    .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`));
+
+  source = escapeHtml(source.replace(HTML_TAG_REGEX, tag => sanitizeHtml(tag)));
+
+  const blocks = [];
+  let list = null;
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push(`<p>${paragraph.map(line => renderInline(line, keep)).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item, keep)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+
+  for (const line of source.split('\n')) {
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const quote = line.match(/^\s*&gt;\s?(.*)$/);
+    const block = line.match(/^\u0000\d+\u0000$/);
+
+    if (bullet || numbered) {
+      const tag = bullet ? 'ul' : 'ol';
+      flushParagraph();
+      if (list?.tag !== tag) flushList();
+      list = list || { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (quote) {
+      flushParagraph();
+      flushList();
+      blocks.push(`<blockquote>${renderInline(quote[1], keep)}</blockquote>`);
+    } else if (block) {
+      flushParagraph();
+      flushList();
+      blocks.push(line);
+    } else if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+  flushList();
+
+  return blocks.join('\n')
+    .replace(/<\/blockquote>\n<blockquote>/g, '<br>')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => codes[index]);
+}
+
+module.exports = {
+  extractMentions,
+  renderMarkdown
+};
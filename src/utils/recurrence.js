@@ -0,0 +1,267 @@
+// src/utils/recurrence.js
+
+/**
+ * Regras de recorrência no estilo RRULE (RFC 5545), em um subconjunto:
+ * FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (semanal), BYMONTHDAY (mensal),
+ * UNTIL e COUNT. Todas as datas são tratadas em UTC.
+ *
+ * Formato interno da regra:
+ * { frequency, interval, byWeekday: ['MO', ...], byMonthDay: [1, 15, -1], until, count }
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limite de períodos percorridos na busca da próxima data (evita laços sem fim)
+const MAX_PERIODS = 5000;
+
+/**
+ * Converte uma string RRULE em regra (aceita o prefixo "RRULE:")
+ * @param {string} value - Ex: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @returns {Object}
+ */
+function parseRRule(value) {
+  const rule = {};
+  const body = String(value).trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [key, raw = ''] = part.split('=');
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = raw.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(raw);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = raw.toUpperCase().split(',').filter(Boolean);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = raw.split(',').filter(Boolean).map(Number);
+        break;
+      case 'UNTIL':
+        rule.until = parseRRuleDate(raw);
+        break;
+      case 'COUNT':
+        rule.count = Number(raw);
+        break;
+      default:
+        throw new Error(`Parâmetro de recorrência não suportado: ${key}`);
+    }
+  }
+
+  return rule;
+}
+
+// UNTIL no formato 20261231 ou 20261231T235959Z (também aceita ISO)
+function parseRRuleDate(raw) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(raw);
+  if (!match) return new Date(raw);
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+/**
+ * Converte uma regra em string RRULE
+ * @param {Object} rule
+ * @returns {string}
+ */
+function toRRuleString(rule) {
+  const parts = [`FREQ=${rule.frequency}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday?.length) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+}
+
+/**
+ * Normaliza uma regra (objeto ou string RRULE) e valida seus campos
+ * @param {Object|string} input
+ * @returns {{ rule?: Object, errors: string[] }}
+ */
+function normalizeRule(input) {
+  let raw;
+
+  try {
+    raw = typeof input === 'string' ? parseRRule(input) : { ...(input || {}) };
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+
+  const errors = [];
+  const rule = {
+    frequency: String(raw.frequency || '').toUpperCase(),
+    interval: raw.interval === undefined || raw.interval === null ? 1 : Number(raw.interval)
+  };
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`frequency deve ser: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    errors.push('interval deve ser um inteiro entre 1 e 365');
+  }
+
+  if (raw.byWeekday !== undefined && raw.byWeekday !== null && !Array.isArray(raw.byWeekday)) {
+    errors.push('byWeekday deve ser uma lista (ex: ["MO", "WE"])');
+  } else if (raw.byWeekday?.length) {
+    const days = [...new Set(raw.byWeekday.map(day => String(day).toUpperCase()))];
+    if (rule.frequency !== 'WEEKLY') {
+      errors.push('byWeekday só pode ser usado com frequency WEEKLY');
+    } else if (days.some(day => !WEEKDAYS.includes(day))) {
+      errors.push(`byWeekday aceita: ${WEEKDAYS.join(', ')}`);
+    }
+    rule.byWeekday = days;
+  }
+
+  if (raw.byMonthDay !== undefined && raw.byMonthDay !== null && !Array.isArray(raw.byMonthDay)) {
+    errors.push('byMonthDay deve ser uma lista (ex: [1, 15, -1])');
+  } else if (raw.byMonthDay?.length) {
+    const days = [...new Set(raw.byMonthDay.map(Number))];
+    if (rule.frequency !== 'MONTHLY') {
+      errors.push('byMonthDay só pode ser usado com frequency MONTHLY');
+    } else if (days.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+      errors.push('byMonthDay aceita dias de 1 a 31 ou negativos contados do fim do mês (-1 = último dia)');
+    }
+    rule.byMonthDay = days;
+  }
+
+  if (raw.until) {
+    rule.until = new Date(raw.until);
+    if (Number.isNaN(rule.until.getTime())) {
+      errors.push('until inválido');
+    }
+  }
+
+  if (raw.count !== undefined && raw.count !== null) {
+    rule.count = Number(raw.count);
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      errors.push('count deve ser um inteiro maior que zero');
+    }
+  }
+
+  if (rule.until && rule.count) {
+    errors.push('Use until ou count, não os dois');
+  }
+
+  return errors.length > 0 ? { errors } : { rule, errors };
+}
+
+// Índice do dia da semana no padrão da RRULE (0 = segunda)
+function weekdayIndex(date) {
+  return (date.getUTCDay() + 6) % 7;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function atTimeOf(dtstart, year, month, day) {
+  return new Date(Date.UTC(
+    year, month, day,
+    dtstart.getUTCHours(), dtstart.getUTCMinutes(), dtstart.getUTCSeconds(), dtstart.getUTCMilliseconds()
+  ));
+}
+
+// Datas candidatas do período "period" (0 = período do dtstart), em ordem
+function periodCandidates(rule, dtstart, period) {
+  const step = period * rule.interval;
+
+  if (rule.frequency === 'DAILY') {
+    return [new Date(dtstart.getTime() + step * DAY_MS)];
+  }
+
+  if (rule.frequency === 'WEEKLY') {
+    const weekStart = new Date(dtstart.getTime() - weekdayIndex(dtstart) * DAY_MS + step * 7 * DAY_MS);
+    const days = rule.byWeekday?.length
+      ? rule.byWeekday.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b)
+      : [weekdayIndex(dtstart)];
+    return days.map(day => new Date(weekStart.getTime() + day * DAY_MS));
+  }
+
+  // MONTHLY: dias inexistentes no mês (ex: 31 em abril) são ignorados, como na RFC
+  const monthIndex = dtstart.getUTCMonth() + step;
+  const year = dtstart.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+  const length = daysInMonth(year, month);
+  const days = rule.byMonthDay?.length ? rule.byMonthDay : [dtstart.getUTCDate()];
+
+  return [...new Set(days.map(day => (day < 0 ? length + day + 1 : day)))]
+    .filter(day => day >= 1 && day <= length)
+    .sort((a, b) => a - b)
+    .map(day => atTimeOf(dtstart, year, month, day));
+}
+
+/**
+ * Próxima ocorrência estritamente depois de "after". O limite de count é
+ * responsabilidade de quem chama (depende de quantas ocorrências já existem).
+ * @param {Object} rule - Regra normalizada
+ * @param {Date} dtstart - Data da primeira ocorrência da série
+ * @param {Date} after
+ * @returns {Date|null} null quando a série terminou (until)
+ */
+function nextOccurrence(rule, dtstart, after) {
+  const start = new Date(dtstart);
+  const threshold = new Date(after);
+
+  // Pula direto para perto do período de "after" em vez de percorrer desde o início
+  let period = 0;
+  if (threshold > start) {
+    const elapsedDays = Math.floor((threshold - start) / DAY_MS);
+    const periodDays = { DAILY: 1, WEEKLY: 7, MONTHLY: 31 }[rule.frequency] * rule.interval;
+    period = Math.max(0, Math.floor(elapsedDays / periodDays) - 1);
+  }
+
+  for (let i = 0; i < MAX_PERIODS; i++, period++) {
+    for (const candidate of periodCandidates(rule, start, period)) {
+      if (candidate < start || candidate <= threshold) continue;
+      if (rule.until && candidate > new Date(rule.until)) return null;
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Descrição curta da regra em português (ex: "a cada 2 semanas (seg, qua)")
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  const labels = { MO: 'seg', TU: 'ter', WE: 'qua', TH: 'qui', FR: 'sex', SA: 'sáb', SU: 'dom' };
+  const units = {
+    DAILY: ['todo dia', 'dias'],
+    WEEKLY: ['toda semana', 'semanas'],
+    MONTHLY: ['todo mês', 'meses']
+  }[rule.frequency];
+
+  let text = rule.interval > 1 ? `a cada ${rule.interval} ${units[1]}` : units[0];
+
+  if (rule.byWeekday?.length) text += ` (${rule.byWeekday.map(day => labels[day]).join(', ')})`;
+  if (rule.byMonthDay?.length) {
+    text += ` (dia ${rule.byMonthDay.map(day => (day === -1 ? 'último' : day)).join(', ')})`;
+  }
+  if (rule.until) text += ` até ${new Date(rule.until).toISOString().slice(0, 10)}`;
+  if (rule.count) text += `, ${rule.count} vezes`;
+
+  return text;
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  parseRRule,
+  toRRuleString,
+  normalizeRule,
+  nextOccurrence,
+  describeRule
+};
@@ -283,6 +283,17 @@ function generateRequestId() {
 
 // ==================== SANITIZAÇÃO ====================
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapa os caracteres especiais de HTML (emails e comentários renderizados)
+ * @param {*} value - null/undefined viram string vazia
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 /**
  * Remove tags HTML e caracteres perigosos
  * @param {string} input 
@@ -605,6 +616,7 @@ module.exports = {
   generateRequestId,
   
   // Sanitização
+  escapeHtml,
   sanitizeHtml,
   sanitizeInput,
   removeSensitiveFields,
@@ -0,0 +1,307 @@
+// src/utils/tokens.js
+
+/**
+ * Emissão de access tokens (JWT) e refresh tokens (opacos, com sessão no banco)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { JWT_CONFIG } = require('./constants');
+
+const ACCESS_TOKEN_EXPIRES_IN = '1h';
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+const CHALLENGE_AUDIENCE = 'processflow-2fa';
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Converte uma duração no formato do JWT ('15m', '1h', '7d') em milissegundos
+ * @param {string|number} value
+ * @returns {number}
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value * 1000;
+
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Duração inválida: ${value}`);
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Gera o hash SHA-256 de um token para armazenamento
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Compara dois hashes em tempo constante
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Gera um access token JWT para o usuário
+ * @param {Object} user - Documento do usuário
+ * @param {Object} claims - Claims adicionais (ex: sid)
+ * @returns {string}
+ */
+function signAccessToken(user, claims = {}) {
+  const payload = {
+    userId: user._id.toString(),
+    username: user.username,
+    role: user.role,
+    tv: user.tokenVersion || 0,
+    ...claims
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+    algorithm: 'HS256',
+    issuer: 'processflow-backend',
+    audience: 'processflow-frontend'
+  });
+}
+
+/**
+ * Gera o token de desafio do login em duas etapas. Ele só é aceito em
+ * /api/auth/login/2fa e não dá acesso às demais rotas.
+ * @param {Object} user
+ * @returns {string}
+ */
+function signChallengeToken(user) {
+  return jwt.sign(
+    {
+      userId: user._id.toString(),
+      tv: user.tokenVersion || 0,
+      purpose: '2fa'
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+      algorithm: 'HS256',
+      issuer: 'processflow-backend',
+      audience: CHALLENGE_AUDIENCE
+    }
+  );
+}
+
+/**
+ * Verifica um token de desafio de 2FA
+ * @param {string} token
+ * @returns {Object} Payload decodificado (lança erro se inválido)
+ */
+function verifyChallengeToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    algorithms: ['HS256'],
+    audience: CHALLENGE_AUDIENCE
+  });
+
+  if (decoded.purpose !== '2fa') {
+    throw new jwt.JsonWebTokenError('Token de desafio inválido');
+  }
+
+  return decoded;
+}
+
+/**
+ * Monta o refresh token no formato "<sessionId>.<segredo>"
+ */
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    tokenHash: hashToken(secret)
+  };
+}
+
+/**
+ * Separa um refresh token em id da sessão e segredo
+ * @param {string} refreshToken
+ * @returns {{ sessionId: string, secret: string }|null}
+ */
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (!sessionId || !secret || rest.length > 0) return null;
+  if (!/^[0-9a-fA-F]{24}$/.test(sessionId)) return null;
+
+  return { sessionId, secret };
+}
+
+/**
+ * Validade do refresh token: REFRESH_EXPIRES_IN a partir de agora, limitada a
+ * SESSION_MAX_AGE desde a criação da sessão (renovar não a mantém viva para sempre)
+ * @param {Date} createdAt - Criação da sessão
+ * @returns {Date}
+ */
+function refreshExpiryDate(createdAt = new Date()) {
+  const sliding = Date.now() + parseDuration(JWT_CONFIG.REFRESH_EXPIRES_IN);
+  const limit = new Date(createdAt).getTime() + parseDuration(JWT_CONFIG.SESSION_MAX_AGE);
+  return new Date(Math.min(sliding, limit));
+}
+
+function buildTokenResponse(user, session, refreshToken) {
+  return {
+    token: signAccessToken(user, { sid: session._id.toString() }),
+    refreshToken,
+    expiresIn: parseDuration(ACCESS_TOKEN_EXPIRES_IN) / 1000,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Cria uma nova sessão e emite o par access/refresh token
+ * @param {Object} user - Documento do usuário
+ * @param {Object} req - Request do Express (para IP e User-Agent)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+async function issueTokens(user, req) {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiryDate()
+  });
+
+  const { refreshToken, tokenHash } = buildRefreshToken(session._id);
+  session.tokenHash = tokenHash;
+  await session.save();
+
+  return buildTokenResponse(user, session, refreshToken);
+}
+
+/**
+ * Rotaciona a sessão: invalida o refresh token atual e emite um novo par.
+ * A nova validade não passa de SESSION_MAX_AGE desde o login.
+ * A troca é atômica (condicionada ao hash atual) para que duas renovações
+ * concorrentes com o mesmo token não gerem dois tokens válidos.
+ * @returns {Promise<Object|null>} Novos tokens ou null se o token já foi trocado
+ */
+async function rotateTokens(user, session, currentHash, req) {
+  const { refreshToken, tokenHash } = buildRefreshToken(session._id);
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: currentHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiryDate(session.createdAt),
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        updatedAt: new Date()
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) return null;
+
+  return buildTokenResponse(user, rotated, refreshToken);
+}
+
+/**
+ * Revoga um access token específico (logout do dispositivo atual)
+ * @param {Object} decoded - Payload já verificado do JWT
+ */
+async function revokeAccessToken(decoded, reason = 'logout') {
+  if (!decoded?.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.userId,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Verifica se o jti de um access token está na lista de revogação
+ * @param {string} jti
+ * @returns {Promise<boolean>}
+ */
+async function isAccessTokenRevoked(jti) {
+  if (!jti) return false;
+  return !!(await RevokedToken.exists({ jti }));
+}
+
+/**
+ * Verifica se a sessão (sid) de um access token já foi encerrada ou expirou.
+ * Encerrar uma sessão derruba também os access tokens emitidos para ela.
+ * @param {string} sid - Ausente em tokens emitidos sem sessão
+ * @returns {Promise<boolean>}
+ */
+async function isSessionRevoked(sid) {
+  if (!sid) return false;
+  return !(await Session.exists({ _id: sid, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+/**
+ * Invalida todos os tokens do usuário: incrementa tokenVersion (access tokens)
+ * e encerra todas as sessões abertas (refresh tokens)
+ * @param {string|ObjectId} userId
+ * @param {string} reason - Motivo registrado nas sessões
+ * @returns {Promise<number>} Nova tokenVersion
+ */
+async function revokeAllUserTokens(userId, reason = 'logout_all') {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('tokenVersion');
+
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, updatedAt: new Date() } }
+  );
+
+  return user ? user.tokenVersion : 0;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  CHALLENGE_TOKEN_EXPIRES_IN,
+  parseDuration,
+  hashToken,
+  safeEqual,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  parseRefreshToken,
+  issueTokens,
+  rotateTokens,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  isSessionRevoked,
+  revokeAllUserTokens
+};
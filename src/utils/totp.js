@@ -0,0 +1,234 @@
+// src/utils/totp.js
+
+/**
+ * TOTP (RFC 6238) e utilidades de autenticação em dois fatores
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DEFAULTS = {
+  STEP_SECONDS: 30,
+  DIGITS: 6,
+  WINDOW: 1, // passos aceitos antes/depois do atual (tolerância de relógio)
+  ISSUER: 'ProcessFlow'
+};
+
+/**
+ * Codifica bytes em Base32 (RFC 4648, sem padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodifica uma string Base32 (ignora espaços, padding e caixa)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Segredo Base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Gera um segredo TOTP aleatório (160 bits, recomendado pela RFC 4226)
+ * @returns {string} Segredo em Base32
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcula o código HOTP (RFC 4226) para um contador
+ */
+function hotp(secret, counter, digits = TOTP_DEFAULTS.DIGITS) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Número do passo de tempo atual
+ * @param {number} timestamp - Em milissegundos
+ * @returns {number}
+ */
+function currentStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_DEFAULTS.STEP_SECONDS);
+}
+
+/**
+ * Gera o código TOTP de um instante
+ * @param {string} secret - Segredo em Base32
+ * @param {number} timestamp - Em milissegundos
+ * @returns {string}
+ */
+function generateTOTP(secret, timestamp = Date.now()) {
+  return hotp(secret, currentStep(timestamp));
+}
+
+/**
+ * Verifica um código TOTP dentro da janela de tolerância
+ * @param {string} secret - Segredo em Base32
+ * @param {string} code - Código informado pelo usuário
+ * @param {Object} options
+ * @param {number} options.lastUsedStep - Último passo aceito (impede reuso do mesmo código)
+ * @returns {number|null} Passo correspondente ao código, ou null se inválido
+ */
+function verifyTOTP(secret, code, { lastUsedStep = -1, timestamp = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep(timestamp);
+
+  for (let offset = -TOTP_DEFAULTS.WINDOW; offset <= TOTP_DEFAULTS.WINDOW; offset++) {
+    const candidateStep = step + offset;
+    if (candidateStep <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(secret, candidateStep));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return candidateStep;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Monta a URI otpauth:// usada para gerar o QR code no aplicativo autenticador
+ * @param {Object} options
+ * @param {string} options.secret - Segredo em Base32
+ * @param {string} options.accountName - Identificação da conta (ex: username)
+ * @param {string} options.issuer - Nome exibido no aplicativo
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer = TOTP_DEFAULTS.ISSUER }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.DIGITS),
+    period: String(TOTP_DEFAULTS.STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Gera códigos de recuperação no formato XXXXX-XXXXX
+ * @param {number} count
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Normaliza e gera o hash de um código de recuperação
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function getEncryptionKey() {
+  const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keySource) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY ou JWT_SECRET deve estar configurado');
+  }
+  return crypto.createHash('sha256').update(keySource).digest();
+}
+
+/**
+ * Criptografa o segredo TOTP para armazenamento (AES-256-GCM)
+ * @param {string} secret
+ * @returns {string} iv:tag:conteúdo em base64
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Descriptografa um segredo gerado por encryptSecret
+ * @param {string} payload
+ * @returns {string}
+ */
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  TOTP_DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};